@@ -1,3 +1,4 @@
+import type {JsonReporterEvent} from '../types/json-reporter-events.js';
 import type {StateChangeEvent} from '../types/state-change-events.js';
 
 export type Event = StateChangeEvent;
@@ -5,3 +6,7 @@ export type Event = StateChangeEvent;
 export type ObservedRun = {
 	events: AsyncIterableIterator<Event>;
 };
+
+export type JsonEvent = JsonReporterEvent;
+
+export type {WatchControlCommand, WatchControlEvent} from '../types/watch-control.js';
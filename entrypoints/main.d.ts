@@ -1,6 +1,8 @@
 import type {TestFn} from '../types/test-fn.js';
 
 export type * from '../types/assertions.js';
+export type * from '../types/clock.js';
+export type * from '../types/mock.js';
 export type * from '../types/try-fn.js';
 export type * from '../types/test-fn.js';
 export type * from '../types/subscribable.js';
@@ -17,6 +17,7 @@ import isCi from './is-ci.js';
 import {getApplicableLineNumbers} from './line-numbers.js';
 import {setCappedTimeout} from './now-and-timers.js';
 import {observeWorkerProcess} from './plugin-support/shared-workers.js';
+import {shuffle} from './random-order.js';
 import RunStatus from './run-status.js';
 import scheduler from './scheduler.js';
 import serializeError from './serialize-error.js';
@@ -40,6 +41,8 @@ function getFilePathPrefix(files) {
 	return commonPathPrefix(files);
 }
 
+const compareFilePaths = (a, b) => a.localeCompare(b, [], {numeric: true});
+
 class TimeoutTrigger {
 	constructor(fn, waitMs = 0) {
 		this.fn = fn.bind(null);
@@ -145,6 +148,17 @@ export default class Api extends Emittery {
 		};
 
 		const {providers = []} = this.options;
+		const {failedTests} = runtimeOptions;
+
+		// Obsolete snapshots can only be detected when all tests in all test files are run.
+		const detectObsoleteSnapshots = selectedFiles.length === 0
+			&& filter.length === 0
+			&& typeof testFileSelector !== 'function'
+			&& failedTests === undefined
+			&& apiOptions.match.length === 0
+			&& !apiOptions.debug
+			&& !apiOptions.listTests
+			&& !apiOptions.parallelRuns;
 
 		let testFiles;
 		try {
@@ -161,6 +175,12 @@ export default class Api extends Emittery {
 						testFiles,
 					});
 			}
+
+			// Only run the test files with previous failures.
+			if (failedTests !== undefined) {
+				const {appliedFilters, ignoredFilterPatternFiles} = selectedFiles;
+				selectedFiles = Object.assign(selectedFiles.filter(file => failedTests.has(file)), {appliedFilters, ignoredFilterPatternFiles});
+			}
 		} catch (error) {
 			selectedFiles = [];
 			setupOrGlobError = error;
@@ -179,9 +199,11 @@ export default class Api extends Emittery {
 				const fileCount = selectedFiles.length;
 
 				// The files must be in the same order across all runs, so sort them.
-				const defaultComparator = (a, b) => a.localeCompare(b, [], {numeric: true});
-				selectedFiles = selectedFiles.toSorted(this.options.sortTestFiles ?? defaultComparator);
-				selectedFiles = chunkd(selectedFiles, currentIndex, totalRuns);
+				selectedFiles = selectedFiles.toSorted(this.options.sortTestFiles ?? compareFilePaths);
+				// Fall back to splitting by file count if there are no recorded durations.
+				selectedFiles = (this.options.shardBalancing === 'duration'
+					? scheduler.durationBalancedShard(selectedFiles, this.options.projectDir, this._getLocalCacheDir(), {currentIndex, totalRuns})
+					: null) ?? chunkd(selectedFiles, currentIndex, totalRuns);
 
 				const currentFileCount = selectedFiles.length;
 
@@ -195,7 +217,10 @@ export default class Api extends Emittery {
 				runStatus = new RunStatus(selectedFiles.length, null, selectionInsights);
 			}
 
-			selectedFiles = scheduler.failingTestsFirst(selectedFiles, this._getLocalCacheDir(), this.options.cacheEnabled);
+			// When shuffling, sort the files first so that their order only depends on the seed.
+			selectedFiles = this.options.randomSeed === undefined
+				? scheduler.failingTestsFirst(selectedFiles, this.options.projectDir, this._getLocalCacheDir(), this.options.cacheEnabled)
+				: shuffle(selectedFiles.toSorted(compareFilePaths), this.options.randomSeed);
 
 			const debugWithoutSpecificFile = Boolean(this.options.debug) && !this.options.debug.active && selectedFiles.length !== 1;
 
@@ -203,10 +228,12 @@ export default class Api extends Emittery {
 				bailWithoutReporting: debugWithoutSpecificFile,
 				debug: Boolean(this.options.debug),
 				failFastEnabled: failFast,
+				failOnObsoleteSnapshots: apiOptions.failOnObsoleteSnapshots === true,
 				filePathPrefix: getFilePathPrefix(selectedFiles),
 				files: selectedFiles,
-				matching: apiOptions.match.length > 0 || runtimeOptions.interactiveMatchPattern !== undefined,
+				matching: apiOptions.match.length > 0 || runtimeOptions.interactiveMatchPattern !== undefined || failedTests !== undefined,
 				previousFailures: runtimeOptions.countPreviousFailures?.() ?? 0,
+				randomSeed: this.options.randomSeed,
 				firstRun: runtimeOptions.firstRun ?? true,
 				status: runStatus,
 			});
@@ -220,7 +247,12 @@ export default class Api extends Emittery {
 				return runStatus;
 			}
 
+			const accessedSnapshots = new Set();
 			runStatus.on('stateChange', ({data: record}) => {
+				if (record.type === 'accessed-snapshots') {
+					accessedSnapshots.add(record.filename);
+				}
+
 				if (record.testFile && !timedOutWorkerFiles.has(record.testFile) && record.type !== 'worker-stderr' && record.type !== 'worker-stdout') {
 					// Debounce the timer whenever there is test-related activity from workers that haven't already timed out.
 					timeoutTrigger.debounce();
@@ -258,6 +290,7 @@ export default class Api extends Emittery {
 			}
 
 			const deregisteredSharedWorkers = [];
+			const fileDurations = new Map();
 
 			// Try and run each file, limited by `concurrency`.
 			await pMap(selectedFiles, async file => {
@@ -267,17 +300,25 @@ export default class Api extends Emittery {
 					return;
 				}
 
-				const lineNumbers = getApplicableLineNumbers(globs.normalizeFileForMatching(apiOptions.projectDir, file), filter);
+				// The test file selector may apply filters with line numbers, for instance in watch mode.
+				const lineNumbers = getApplicableLineNumbers(globs.normalizeFileForMatching(apiOptions.projectDir, file), selectionInsights.filter);
 				// Removing `providers` and `sortTestFiles` fields because they cannot be transferred to the worker threads.
 				const {providers, sortTestFiles, match, ...forkOptions} = apiOptions;
 				const options = {
 					...forkOptions,
 					providerStates,
 					lineNumbers,
+					detectObsoleteSnapshots,
 					recordNewSnapshots: !isCi,
 					match: runtimeOptions.interactiveMatchPattern === undefined ? match : [...match, runtimeOptions.interactiveMatchPattern],
+					// Rerun only the failed tests, unless the test file itself failed.
+					selectTitles: failedTests?.get(file) ?? undefined,
 				};
 
+				if (runtimeOptions.reportSnapshotMismatches) {
+					options.reportSnapshotMismatches = true;
+				}
+
 				if (runtimeOptions.updateSnapshots) {
 					// Don't use in Object.assign() since it'll override options.updateSnapshots even when false.
 					options.updateSnapshots = true;
@@ -298,14 +339,41 @@ export default class Api extends Emittery {
 				});
 				timeoutTrigger.debounce();
 
+				const start = performance.now();
 				await worker.promise;
+				fileDurations.set(file, performance.now() - start);
 			}, {concurrency, stopOnError: false});
 
 			// Allow shared workers to clean up before the run ends.
 			await Promise.all(deregisteredSharedWorkers);
-			const files = scheduler.storeFailedTestFiles(runStatus, this.options.cacheEnabled === false ? null : this._createCacheDir());
-			if (files) {
-				runStatus.emitStateChange({type: 'touched-files', files});
+
+			// Snapshot files can only be considered obsolete if every test file has finished successfully.
+			if (detectObsoleteSnapshots && runStatus.stats.finishedWorkers === selectedFiles.length) {
+				const {findObsoleteSnapshotFiles, removeSnapshotFiles} = await import('./snapshot-manager.js');
+				const files = findObsoleteSnapshotFiles({accessedSnapshots, fixedLocation: apiOptions.snapshotDir});
+				if (files.length > 0) {
+					const pruned = apiOptions.pruneSnapshots === true;
+					if (pruned) {
+						removeSnapshotFiles(files);
+					}
+
+					runStatus.emitStateChange({type: 'obsolete-snapshot-files', files, pruned});
+				}
+			}
+
+			// Tests don't run when they're being listed, so there are no results to store.
+			if (!this.options.listTests) {
+				const files = scheduler.storeFailedTests(runStatus, this.options.projectDir, this.options.cacheEnabled === false ? null : this._createCacheDir());
+				if (files) {
+					runStatus.emitStateChange({type: 'touched-files', files});
+				}
+
+				if (this.options.shardBalancing === 'duration') {
+					const durationFiles = scheduler.storeFileDurations(fileDurations, this.options.projectDir, this.options.cacheEnabled === false ? null : this._createCacheDir());
+					if (durationFiles) {
+						runStatus.emitStateChange({type: 'touched-files', files: durationFiles});
+					}
+				}
 			}
 		} catch (error) {
 			runStatus.emitStateChange({type: 'internal-error', err: serializeError(error)});
@@ -315,6 +383,11 @@ export default class Api extends Emittery {
 		return runStatus.end();
 	}
 
+	// Read the tests that failed in previous runs. Provide them as the `failedTests` runtime option to rerun only those tests.
+	readFailedTests() {
+		return this.options.cacheEnabled === false ? new Map() : scheduler.readFailedTests(this.options.projectDir, this._getLocalCacheDir());
+	}
+
 	_getLocalCacheDir() {
 		return path.join(this.options.projectDir, 'node_modules', '.cache', 'ava');
 	}
@@ -3,8 +3,9 @@ import {isNativeError} from 'node:util/types';
 import concordance from 'concordance';
 import isPromise from 'is-promise';
 
-import concordanceOptions from './concordance-options.js';
+import concordanceOptions, {snapshotManager as snapshotFormatOptions} from './concordance-options.js';
 import {CIRCULAR_SELECTOR, isLikeSelector, selectComparable} from './like-selector.js';
+import {getCalls} from './mock.js';
 import {SnapshotError, VersionMismatchError} from './snapshot-manager.js';
 
 function formatDescriptorDiff(actualDescriptor, expectedDescriptor, options) {
@@ -265,6 +266,8 @@ export class Assertions {
 		failPending = notImplemented,
 		skip = notImplemented,
 		compareWithSnapshot = notImplemented,
+		compareWithInlineSnapshot = notImplemented,
+		normalizeSnapshotValue = value => value,
 		experiments = {},
 		disableSnapshots = false,
 	} = {}) {
@@ -649,7 +652,7 @@ export class Assertions {
 
 			let result;
 			try {
-				result = compareWithSnapshot({expected, message});
+				result = compareWithSnapshot({expected: normalizeSnapshotValue(expected), message});
 			} catch (error) {
 				if (!(error instanceof SnapshotError)) {
 					throw error;
@@ -684,6 +687,50 @@ export class Assertions {
 			}
 		});
 
+		this.snapshot.inline = withSkip((actual, expected, message) => {
+			if (disableSnapshots) {
+				throw fail(new AssertionError('`t.snapshot.inline()` can only be used in tests', {
+					assertion: 't.snapshot.inline()',
+				}));
+			}
+
+			assertMessage(message, 't.snapshot.inline()');
+
+			if (expected !== undefined && typeof expected !== 'string') {
+				throw fail(new AssertionError('The expected value of `t.snapshot.inline()` must be a string', {
+					assertion: 't.snapshot.inline()',
+					formattedDetails: [formatWithLabel('Called with:', expected)],
+				}));
+			}
+
+			const formatted = concordance.format(normalizeSnapshotValue(actual), snapshotFormatOptions);
+			const result = compareWithInlineSnapshot({actual: formatted, expected});
+			if (result.pass) {
+				return pass();
+			}
+
+			if (result.unlocatable) {
+				throw fail(new AssertionError(message ?? 'Could not find the `t.snapshot.inline()` call in the test file, so the snapshot cannot be written', {
+					assertion: 't.snapshot.inline()',
+				}));
+			}
+
+			if (result.expected === undefined) {
+				// This can only occur in CI environments.
+				throw fail(new AssertionError(message ?? 'No inline snapshot available — new snapshots are not created in CI environments', {
+					assertion: 't.snapshot.inline()',
+				}));
+			}
+
+			throw fail(new AssertionError(message ?? 'Did not match inline snapshot', {
+				assertion: 't.snapshot.inline()',
+				formattedDetails: [formatDescriptorDiff(
+					concordance.describe(formatted, concordanceOptions),
+					concordance.describe(result.expected, concordanceOptions),
+				)],
+			}));
+		});
+
 		this.truthy = withSkip((actual, message) => {
 			assertMessage(message, 't.truthy()');
 
@@ -808,5 +855,84 @@ export class Assertions {
 
 			return pass();
 		});
+
+		const assertMock = (mock, assertion) => {
+			const calls = getCalls(mock);
+			if (calls === undefined) {
+				throw fail(new AssertionError(`\`${assertion}\` must be called with a mock function created by \`t.mock.fn()\` or \`t.mock.method()\``, {
+					assertion,
+					formattedDetails: [formatWithLabel('Called with:', mock)],
+				}));
+			}
+
+			return calls;
+		};
+
+		this.calledTimes = withSkip((mock, count, message) => {
+			assertMessage(message, 't.calledTimes()');
+			const calls = assertMock(mock, 't.calledTimes()');
+
+			if (!Number.isSafeInteger(count) || count < 0) {
+				throw fail(new AssertionError('`t.calledTimes()` must be called with a non-negative integer', {
+					assertion: 't.calledTimes()',
+					formattedDetails: [formatWithLabel('Called with:', count)],
+				}));
+			}
+
+			if (calls.length === count) {
+				return pass();
+			}
+
+			const formattedDetails = [formatDescriptorDiff(concordance.describe(calls.length, concordanceOptions), concordance.describe(count, concordanceOptions))];
+			if (calls.length > 0) {
+				formattedDetails.push(formatWithLabel('Mock function was called with:', calls.map(call => call.arguments)));
+			}
+
+			throw fail(new AssertionError(message, {
+				assertion: 't.calledTimes()',
+				formattedDetails,
+			}));
+		});
+
+		this.calledWith = withSkip((mock, expectedArguments, message) => {
+			assertMessage(message, 't.calledWith()');
+			const calls = assertMock(mock, 't.calledWith()');
+
+			if (!Array.isArray(expectedArguments)) {
+				throw fail(new AssertionError('`t.calledWith()` must be called with an array of expected arguments', {
+					assertion: 't.calledWith()',
+					formattedDetails: [formatWithLabel('Called with:', expectedArguments)],
+				}));
+			}
+
+			if (calls.length === 0) {
+				throw fail(new AssertionError(message, {
+					assertion: 't.calledWith()',
+					formattedDetails: [formatWithLabel('Mock function was not called. Expected arguments:', expectedArguments)],
+				}));
+			}
+
+			let result;
+			for (const call of calls) {
+				result = concordance.compare(call.arguments, expectedArguments, concordanceOptions);
+				if (result.pass) {
+					return pass();
+				}
+			}
+
+			// Show the difference with the most recent call, which is usually the one the test is interested in.
+			const lastCall = calls.at(-1);
+			const actualDescriptor = result.actual ?? concordance.describe(lastCall.arguments, concordanceOptions);
+			const expectedDescriptor = result.expected ?? concordance.describe(expectedArguments, concordanceOptions);
+			const formattedDetails = [formatDescriptorDiff(actualDescriptor, expectedDescriptor)];
+			if (calls.length > 1) {
+				formattedDetails.unshift(formatWithLabel('Mock function was called with:', calls.map(call => call.arguments)));
+			}
+
+			throw fail(new AssertionError(message, {
+				assertion: 't.calledWith()',
+				formattedDetails,
+			}));
+		});
 	}
 }
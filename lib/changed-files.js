@@ -0,0 +1,156 @@
+import childProcess from 'node:child_process';
+import path from 'node:path';
+import {promisify} from 'node:util';
+
+import figures from 'figures';
+import plur from 'plur';
+
+import {chalk} from './chalk.js';
+import FileTracer from './file-tracer.js';
+import {findTests} from './globs.js';
+
+const execFile = promisify(childProcess.execFile);
+
+export class ChangedFilesError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = 'ChangedFilesError';
+	}
+}
+
+// Changes to these files may affect any test file, so they cause all test files to be run.
+const LOCKFILES = new Set([
+	'bun.lock',
+	'bun.lockb',
+	'npm-shrinkwrap.json',
+	'package-lock.json',
+	'pnpm-lock.yaml',
+	'yarn.lock',
+]);
+
+const isConfigFile = (file, configFile) => file === configFile
+	|| path.basename(file) === 'package.json'
+	|| /^ava\.config\.[cm]?js$/.test(path.basename(file));
+
+const git = (args, {projectDir}) => execFile('git', args, {
+	cwd: projectDir,
+	encoding: 'utf8',
+	maxBuffer: Number.POSITIVE_INFINITY,
+});
+
+const resolveRevision = async (ref, options) => {
+	try {
+		const {stdout} = await git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], options);
+		return stdout.trim();
+	} catch {
+		throw new ChangedFilesError(`Could not find Git revision ${ref}`);
+	}
+};
+
+// Without a revision, compare with the last commit. Otherwise compare with the commit the revision has in common with
+// the current branch, so that changes made on the revision's branch itself are not included.
+const determineBase = async (ref, options) => {
+	const head = await resolveRevision('HEAD', options);
+	if (ref === undefined) {
+		return head;
+	}
+
+	const revision = await resolveRevision(ref, options);
+	try {
+		const {stdout} = await git(['merge-base', revision, head], options);
+		return stdout.trim();
+	} catch {
+		throw new ChangedFilesError(`Could not find a common ancestor of ${ref} and HEAD`);
+	}
+};
+
+// Find the files in the project directory that were changed since `ref`, or that have uncommitted changes if `ref` is
+// undefined. This includes files that are not yet tracked by Git.
+async function findChangedFiles({projectDir, ref}) {
+	const options = {projectDir};
+	try {
+		await git(['rev-parse', '--is-inside-work-tree'], options);
+	} catch {
+		throw new ChangedFilesError('Changed files can only be determined inside a Git repository');
+	}
+
+	const base = await determineBase(ref, options);
+	const [{stdout: changed}, {stdout: untracked}] = await Promise.all([
+		git(['diff', '--name-only', '--relative', '--no-renames', '-z', base], options),
+		git(['ls-files', '--others', '--exclude-standard', '-z'], options),
+	]);
+
+	return [...new Set([...changed.split('\0'), ...untracked.split('\0')])]
+		.filter(Boolean)
+		.map(file => path.join(projectDir, file))
+		.toSorted();
+}
+
+// Map each test file that changed, or that (indirectly) imports a changed file, to the changed files that caused it to
+// be selected.
+async function traceChangedFiles({changedFiles, projectDir, testFiles}) {
+	const fileTracer = new FileTracer({base: projectDir});
+	fileTracer.update(testFiles.map(file => ({path: path.relative(projectDir, file), isTest: true, exists: true})));
+	await fileTracer.busy;
+
+	const isTestFile = new Set(testFiles);
+	const selected = new Map();
+	const select = (testFile, reason) => {
+		if (selected.has(testFile)) {
+			selected.get(testFile).push(reason);
+		} else {
+			selected.set(testFile, [reason]);
+		}
+	};
+
+	for (const file of changedFiles) {
+		if (isTestFile.has(file)) {
+			select(file, file);
+			continue;
+		}
+
+		for (const testFile of fileTracer.traceToTestFile(path.relative(projectDir, file))) {
+			select(path.join(projectDir, testFile), file);
+		}
+	}
+
+	return selected;
+}
+
+const describeReasons = (testFile, reasons, projectDir) => reasons.includes(testFile)
+	? 'changed'
+	: `depends on ${reasons.map(file => path.relative(projectDir, file)).join(', ')}`;
+
+/**
+ * Select the test files that are affected by changes since the Git revision `ref`, or by uncommitted changes if `ref`
+ * is undefined, and explain why each was selected. All test files are selected if a configuration file or lockfile
+ * changed. Problems that the user can address are thrown as `ChangedFilesError`.
+ */
+export async function selectChangedTestFiles({configFile, globs, projectDir, ref}) {
+	const [changedFiles, testFiles] = await Promise.all([
+		findChangedFiles({projectDir, ref}),
+		findTests({cwd: projectDir, ...globs}),
+	]);
+	const changes = ref === undefined ? 'uncommitted changes' : `changes since ${ref}`;
+
+	// Explain the selection on stderr, so it does not interfere with reporters such as TAP that write to stdout.
+
+	const fullRunReason = changedFiles.find(file => isConfigFile(file, configFile) || LOCKFILES.has(path.basename(file)));
+	if (fullRunReason !== undefined) {
+		console.error(`\n  ${chalk.magenta(figures.warning)} Running all test files, since ${path.relative(projectDir, fullRunReason)} is among the ${changes}`);
+		return testFiles;
+	}
+
+	const selected = await traceChangedFiles({changedFiles, projectDir, testFiles});
+	if (selected.size === 0) {
+		console.error(`\n  ${chalk.green(figures.tick)} No test files are affected by ${changes}`);
+		return [];
+	}
+
+	console.error(`\n  Running ${selected.size} ${plur('test file', selected.size)} affected by ${changes}:\n`);
+	for (const [testFile, reasons] of [...selected].toSorted(([a], [b]) => a.localeCompare(b))) {
+		console.error(`  ${path.relative(projectDir, testFile)} ${chalk.gray(`(${describeReasons(testFile, reasons, projectDir)})`)}`);
+	}
+
+	return [...selected.keys()];
+}
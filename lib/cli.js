@@ -5,6 +5,7 @@ import v8 from 'node:v8';
 
 import arrify from 'arrify';
 import figures from 'figures';
+import ms from 'ms';
 import yargs from 'yargs';
 import {hideBin} from 'yargs/helpers';
 
@@ -14,11 +15,13 @@ import {chalk} from './chalk.js';
 import validateEnvironmentVariables from './environment-variables.js';
 import normalizeExtensions from './extensions.js';
 import {normalizeGlobs, normalizePattern} from './globs.js';
-import isCi from './is-ci.js';
+import isCi, {isGithubActions} from './is-ci.js';
 import {splitPatternAndLineNumbers} from './line-numbers.js';
 import {loadConfig} from './load-config.js';
+import {findTerminalReporter, loadReporters} from './load-reporters.js';
 import normalizeNodeArguments from './node-arguments.js';
 import pkg from './pkg.js';
+import {generateSeed, isValidSeed} from './random-order.js';
 
 function exit(message) {
 	console.error(`\n  ${chalk.red(figures.cross)} ${message}`);
@@ -28,12 +31,27 @@ function exit(message) {
 const coerceLastValue = value => Array.isArray(value) ? value.pop() : value;
 
 const FLAGS = {
+	changed: {
+		coerce: coerceLastValue,
+		description: 'Only run test files affected by uncommitted changes',
+		type: 'boolean',
+	},
+	'changed-since': {
+		coerce: coerceLastValue,
+		description: 'Only run test files affected by changes since the given Git revision',
+		type: 'string',
+	},
 	concurrency: {
 		alias: 'c',
 		coerce: coerceLastValue,
 		description: 'Max number of test files running at the same time (default: CPU cores)',
 		type: 'number',
 	},
+	control: {
+		coerce: coerceLastValue,
+		description: 'Control watch mode through JSON commands on standard input, and write JSON events to standard output. Only `json` is supported',
+		type: 'string',
+	},
 	'fail-fast': {
 		coerce: coerceLastValue,
 		description: 'Stop after first test failure',
@@ -54,12 +72,41 @@ const FLAGS = {
 		description: 'Additional Node.js arguments for launching worker processes (specify as a single string)',
 		type: 'string',
 	},
+	'only-failures': {
+		coerce: coerceLastValue,
+		description: 'Only run the tests that failed previously',
+		type: 'boolean',
+	},
+	'prune-snapshots': {
+		coerce: coerceLastValue,
+		description: 'Remove snapshots that are no longer used by any test',
+		type: 'boolean',
+	},
+	random: {
+		coerce: coerceLastValue,
+		description: 'Run test files and tests in a random order. Provide a seed to replay a previous order',
+		type: 'string',
+	},
+	reporter: {
+		description: 'Select a reporter: default, tap, junit, json, github-actions or a module. Append :<file> to write the report to a file (can be repeated)',
+		type: 'string',
+	},
+	retries: {
+		coerce: coerceLastValue,
+		description: 'Retry failing tests up to the given number of times',
+		type: 'number',
+	},
 	serial: {
 		alias: 's',
 		coerce: coerceLastValue,
 		description: 'Run tests serially',
 		type: 'boolean',
 	},
+	shard: {
+		coerce: coerceLastValue,
+		description: 'Only run the given shard of the test files, e.g. 2/5 for the second of five shards',
+		type: 'string',
+	},
 	tap: {
 		alias: 't',
 		coerce: coerceLastValue,
@@ -92,6 +139,141 @@ const FLAGS = {
 	},
 };
 
+// Flags take precedence over the configuration.
+function combineFlags(conf, argv) {
+	const combined = {...conf};
+	for (const flag of Object.keys(FLAGS)) {
+		if (flag === 'no-worker-threads' && Object.hasOwn(argv, 'worker-threads')) {
+			combined.workerThreads = argv['worker-threads'];
+			continue;
+		}
+
+		if (argv[flag] !== undefined) {
+			switch (flag) {
+				case 'fail-fast': {
+					combined.failFast = argv[flag];
+					break;
+				}
+
+				case 'prune-snapshots': {
+					combined.pruneSnapshots = argv[flag];
+					break;
+				}
+
+				case 'update-snapshots': {
+					combined.updateSnapshots = argv[flag];
+					break;
+				}
+
+				case 'changed':
+				case 'changed-since':
+				case 'control':
+				case 'node-arguments':
+				case 'only-failures': {
+					break;
+				}
+
+				default: {
+					combined[flag] = argv[flag];
+				}
+			}
+		}
+	}
+
+	return combined;
+}
+
+// Watch mode reloads the configuration when these files change. Required modules are resolved relative to the project
+// directory; package names won't match any file in the project and so are not watched.
+const findConfigFiles = (conf, combined) => [
+	path.join(conf.projectDir, 'package.json'),
+	path.join(conf.projectDir, 'ava.config.js'),
+	path.join(conf.projectDir, 'ava.config.mjs'),
+	...(conf.configFile ? [conf.configFile] : []),
+	...arrify(combined.require).map(entry => path.resolve(conf.projectDir, arrify(entry)[0])),
+];
+
+// Validate the configuration and derive the options that depend on it. Problems are thrown rather than exiting the
+// process, so that watch mode can report them when the configuration is reloaded.
+async function resolveRunConfig({argv, combined, conf}) { // eslint-disable-line complexity
+	const {projectDir} = conf;
+	if (Object.hasOwn(combined, 'concurrency') && (!Number.isInteger(combined.concurrency) || combined.concurrency < 0)) {
+		throw new Error('The --concurrency or -c flag must be provided with a non-negative integer.');
+	}
+
+	if (Object.hasOwn(combined, 'retries') && (!Number.isInteger(combined.retries) || combined.retries < 0)) {
+		throw new Error('The --retries flag and ’retries’ configuration must be provided with a non-negative integer.');
+	}
+
+	let randomSeed;
+	if (combined.random !== undefined && combined.random !== false) {
+		randomSeed = combined.random === true || combined.random === '' ? generateSeed() : Number(combined.random);
+		if (!isValidSeed(randomSeed)) {
+			throw new Error('The --random flag and ’random’ configuration must be provided without a value, or with an integer seed between 0 and 4294967295.');
+		}
+	}
+
+	if (Object.hasOwn(conf, 'shardBalancing') && conf.shardBalancing !== 'files' && conf.shardBalancing !== 'duration') {
+		throw new Error('’shardBalancing’ must be either ’files’ or ’duration’.');
+	}
+
+	if (Object.hasOwn(conf, 'snapshotFormat') && conf.snapshotFormat !== 'binary' && conf.snapshotFormat !== 'text') {
+		throw new Error('’snapshotFormat’ must be either ’binary’ or ’text’.');
+	}
+
+	if (Object.hasOwn(conf, 'snapshotSerializers') && (!Array.isArray(conf.snapshotSerializers) || !conf.snapshotSerializers.every(ref => typeof ref === 'string'))) {
+		throw new Error('’snapshotSerializers’ must be an array of module paths or package names.');
+	}
+
+	let testTimeout;
+	if (Object.hasOwn(conf, 'testTimeout')) {
+		testTimeout = typeof conf.testTimeout === 'string' ? ms(conf.testTimeout) : conf.testTimeout;
+		if (!Number.isInteger(testTimeout) || testTimeout <= 0) {
+			throw new Error('’testTimeout’ must be a positive number of milliseconds, or a duration such as ’5s’.');
+		}
+	}
+
+	if (Object.hasOwn(conf, 'sortTestFiles') && typeof conf.sortTestFiles !== 'function') {
+		throw new Error('’sortTestFiles’ must be a comparator function.');
+	}
+
+	if (Object.hasOwn(conf, 'watch')) {
+		throw new Error('’watch’ must not be configured, use the --watch CLI flag instead.');
+	}
+
+	if (Object.hasOwn(conf, 'ignoredByWatcher')) {
+		throw new Error('’ignoredByWatcher’ has moved to ’watchMode.ignoreChanges’.');
+	}
+
+	const providers = [];
+	if (Object.hasOwn(conf, 'typescript')) {
+		const {default: providerManager} = await import('./provider-manager.js');
+		const {identifier: protocol, level, main} = await providerManager.typescript(projectDir);
+		providers.push({
+			level,
+			protocol,
+			main: main({config: conf.typescript}),
+			type: 'typescript',
+		});
+	}
+
+	const environmentVariables = validateEnvironmentVariables(conf.environmentVariables);
+	const extensions = normalizeExtensions(conf.extensions, providers);
+	const globs = normalizeGlobs({
+		files: conf.files, ignoredByWatcher: conf.watchMode?.ignoreChanges, extensions, providers,
+	});
+
+	let nodeArguments = normalizeNodeArguments(conf.nodeArguments, argv['node-arguments']);
+	if (combined.workerThreads !== false && 'filterNodeArgumentsForWorkerThreads' in conf) {
+		const {filterNodeArgumentsForWorkerThreads: filter} = conf;
+		nodeArguments = nodeArguments.filter(argument => filter(argument));
+	}
+
+	return {
+		environmentVariables, extensions, globs, nodeArguments, providers, randomSeed, testTimeout,
+	};
+}
+
 export default async function loadCli() { // eslint-disable-line complexity
 	let conf;
 	let confError;
@@ -130,7 +312,9 @@ export default async function loadCli() { // eslint-disable-line complexity
 		}
 		: null;
 
+	let list = null;
 	let resetCache = false;
+	let snapshotCommand = null;
 	const {argv} = yargs(hideBin(process.argv))
 		.scriptName('ava')
 		.version(pkg.version)
@@ -151,7 +335,9 @@ export default async function loadCli() { // eslint-disable-line complexity
 		})
 		.usage('$0 [<pattern>...]')
 		.usage('$0 debug [<pattern>...]')
+		.usage('$0 list [<pattern>...]')
 		.usage('$0 reset-cache')
+		.usage('$0 snapshot <command>')
 		.options({
 			color: {
 				description: 'Force color output',
@@ -205,6 +391,25 @@ export default async function loadCli() { // eslint-disable-line complexity
 				};
 			},
 		)
+		.command(
+			'list [<pattern>...]',
+			'List the tests that would be run, without running them',
+			yargs => yargs.options({
+				json: {
+					description: 'Output the tests as JSON',
+					type: 'boolean',
+				},
+				match: FLAGS.match,
+			}).positional('pattern', {
+				array: true,
+				// eslint-disable-next-line @stylistic/max-len
+				describe: 'Select which test files to list tests from. Accepts glob patterns, directories that (recursively) contain test files, and file paths optionally suffixed with a colon and comma-separated numbers and/or ranges identifying the 1-based line(s) of specific tests',
+				type: 'string',
+			}),
+			argv => {
+				list = {json: argv.json === true};
+			},
+		)
 		.command(
 			'reset-cache',
 			'Delete any temporary files and state kept by AVA, then exit',
@@ -213,29 +418,61 @@ export default async function loadCli() { // eslint-disable-line complexity
 				resetCache = true;
 			},
 		)
+		.command(
+			'snapshot <command>',
+			'Inspect snapshot files',
+			yargs => yargs
+				.command(
+					'list [<file>]',
+					'List the tests that have snapshots in the snapshot file',
+					yargs => yargs.positional('file', {
+						describe: 'The snapshot file, or the test file it belongs to. Leave empty to read the snapshot file from standard input',
+						type: 'string',
+					}),
+					argv => {
+						snapshotCommand = {command: 'list', file: argv.file};
+					},
+				)
+				.command(
+					'show [<file>]',
+					'Show the snapshots in the snapshot file',
+					yargs => yargs.options({
+						title: {
+							array: true,
+							description: 'Only show the snapshots of the test with this title',
+							type: 'string',
+						},
+					}).positional('file', {
+						describe: 'The snapshot file, or the test file it belongs to. Leave empty to read the snapshot file from standard input',
+						type: 'string',
+					}),
+					argv => {
+						snapshotCommand = {command: 'show', file: argv.file, titles: argv.title ?? []};
+					},
+				)
+				.command(
+					'diff <ref> [<file>...]',
+					'Show how snapshots changed since the Git revision',
+					yargs => yargs.positional('ref', {
+						describe: 'The Git revision to compare with',
+						type: 'string',
+					}).positional('file', {
+						array: true,
+						describe: 'The snapshot files, or the test files they belong to. Leave empty to compare all snapshot files that changed',
+						type: 'string',
+					}),
+					argv => {
+						snapshotCommand = {command: 'diff', ref: argv.ref, files: argv.file ?? []};
+					},
+				)
+				.demandCommand(1, 'Specify a snapshot command: list, show or diff'),
+		)
 		.example('$0')
 		.example('$0 test.js')
 		.example('$0 test.js:4,7-9')
 		.help();
 
-	const combined = {...conf};
-
-	for (const flag of Object.keys(FLAGS)) {
-		if (flag === 'no-worker-threads' && Object.hasOwn(argv, 'worker-threads')) {
-			combined.workerThreads = argv['worker-threads'];
-			continue;
-		}
-
-		if (argv[flag] !== undefined) {
-			if (flag === 'fail-fast') {
-				combined.failFast = argv[flag];
-			} else if (flag === 'update-snapshots') {
-				combined.updateSnapshots = argv[flag];
-			} else if (flag !== 'node-arguments') {
-				combined[flag] = argv[flag];
-			}
-		}
-	}
+	const combined = combineFlags(conf, argv);
 
 	const chalkOptions = {level: 0};
 	if (combined.color !== false) {
@@ -285,11 +522,69 @@ export default async function loadCli() { // eslint-disable-line complexity
 		}
 	}
 
+	if (snapshotCommand) {
+		const {default: runSnapshotCommand, SnapshotCommandError} = await import('./snapshot-command.js');
+		try {
+			await runSnapshotCommand({
+				...snapshotCommand,
+				projectDir,
+				snapshotDir: conf.snapshotDir ? path.resolve(projectDir, conf.snapshotDir) : null,
+			});
+		} catch (error) {
+			exit(error instanceof SnapshotCommandError ? error.message : `Error inspecting snapshots\n\n${chalk.gray(error?.stack ?? error)}`);
+		}
+
+		process.exit(0); // eslint-disable-line unicorn/no-process-exit
+	}
+
+	let reporters;
+	if (argv.reporter !== undefined) {
+		reporters = arrify(argv.reporter);
+	} else if (argv.tap) {
+		reporters = ['tap'];
+	} else if (Object.hasOwn(conf, 'reporters')) {
+		if (!Array.isArray(conf.reporters) || conf.reporters.length === 0) {
+			exit('’reporters’ must be a non-empty array.');
+		}
+
+		reporters = conf.reporters;
+	} else if (conf.tap) {
+		reporters = ['tap'];
+	} else {
+		// Annotate failures when running in GitHub Actions, unless reporters are selected explicitly.
+		reporters = isGithubActions ? ['default', 'github-actions'] : ['default'];
+	}
+
+	const terminalReporter = findTerminalReporter(reporters);
+	const explicitTap = (argv.tap && !conf.tap) || (argv.reporter !== undefined && terminalReporter === 'tap');
+
+	if (argv.control !== undefined) {
+		if (!argv.watch) {
+			exit('The --control flag can only be used in watch mode.');
+		}
+
+		if (argv.control !== 'json') {
+			exit('The --control flag only supports ’json’, e.g. --watch --control=json.');
+		}
+
+		if (terminalReporter !== undefined && terminalReporter !== 'default' && terminalReporter !== 'json') {
+			exit('The --control flag writes JSON events to the terminal, so other reporters must write their report to a file.');
+		}
+	}
+
 	if (argv.watch) {
-		if (argv.tap && !conf.tap) {
+		if (explicitTap) {
 			exit('The TAP reporter is not available when using watch mode.');
 		}
 
+		if (terminalReporter === 'junit') {
+			exit('The JUnit reporter must write its report to a file when using watch mode, e.g. --reporter=junit:report.xml');
+		}
+
+		if (terminalReporter !== undefined && terminalReporter !== 'default' && terminalReporter !== 'tap' && argv.control === undefined) {
+			exit('Only the default reporter can write to the terminal when using watch mode.');
+		}
+
 		if (isCi) {
 			exit('Watch mode is not available in CI, as it prevents AVA from terminating.');
 		}
@@ -297,96 +592,93 @@ export default async function loadCli() { // eslint-disable-line complexity
 		if (debug !== null && !process.env.TEST_AVA) {
 			exit('Watch mode is not available when debugging.');
 		}
+
+		if (combined.pruneSnapshots) {
+			exit('Obsolete snapshots cannot be pruned in watch mode.');
+		}
 	}
 
-	if (debug !== null) {
-		if (argv.tap && !conf.tap) {
-			exit('The TAP reporter is not available when debugging.');
+	const changedSince = argv['changed-since'];
+	const selectChanged = argv.changed || changedSince !== undefined;
+	if (selectChanged) {
+		const changedFlag = changedSince === undefined ? '--changed' : '--changed-since';
+		if (changedSince === '') {
+			exit('The --changed-since flag requires a Git revision.');
 		}
 
-		if (isCi) {
-			exit('Debugging is not available in CI.');
+		if (argv.watch) {
+			exit(`The ${changedFlag} flag cannot be used in watch mode, which already reruns the test files affected by changes.`);
 		}
 
-		if (combined.timeout) {
-			console.log(chalk.magenta(`  ${figures.warning} The timeout option has been disabled to help with debugging.`));
+		if (debug !== null) {
+			exit(`The ${changedFlag} flag cannot be used when debugging.`);
 		}
-	}
 
-	if (Object.hasOwn(combined, 'concurrency') && (!Number.isInteger(combined.concurrency) || combined.concurrency < 0)) {
-		exit('The --concurrency or -c flag must be provided with a non-negative integer.');
+		if (argv.pattern?.length > 0) {
+			exit(`The ${changedFlag} flag cannot be combined with file patterns.`);
+		}
 	}
 
-	if (Object.hasOwn(conf, 'sortTestFiles') && typeof conf.sortTestFiles !== 'function') {
-		exit('’sortTestFiles’ must be a comparator function.');
-	}
+	if (argv['only-failures']) {
+		if (argv.watch) {
+			exit('The --only-failures flag cannot be used in watch mode. Type `f` followed by enter to rerun the failing tests instead.');
+		}
 
-	if (Object.hasOwn(conf, 'watch')) {
-		exit('’watch’ must not be configured, use the --watch CLI flag instead.');
-	}
+		if (selectChanged) {
+			exit('The --only-failures flag cannot be combined with --changed or --changed-since.');
+		}
 
-	if (Object.hasOwn(conf, 'ignoredByWatcher')) {
-		exit('’ignoredByWatcher’ has moved to ’watchMode.ignoreChanges’.');
-	}
+		if (isCi) {
+			exit('The --only-failures flag is not available in CI, as failing tests are not recorded there.');
+		}
 
-	if (!combined.tap && Object.keys(experiments).length > 0) {
-		console.log(chalk.magenta(`  ${figures.warning} Experiments are enabled. These are unsupported and may change or be removed at any time.`));
+		if (combined.cache === false) {
+			exit('The --only-failures flag requires the cache to be enabled, as that is where failing tests are recorded.');
+		}
 	}
 
-	const providers = [];
-	if (Object.hasOwn(conf, 'typescript')) {
-		const {default: providerManager} = await import('./provider-manager.js');
-		try {
-			const {identifier: protocol, level, main} = await providerManager.typescript(projectDir);
-			providers.push({
-				level,
-				protocol,
-				main: main({config: conf.typescript}),
-				type: 'typescript',
-			});
-		} catch (error) {
-			exit(error.message);
+	if (debug !== null) {
+		if (explicitTap) {
+			exit('The TAP reporter is not available when debugging.');
 		}
-	}
 
-	let environmentVariables;
-	try {
-		environmentVariables = validateEnvironmentVariables(conf.environmentVariables);
-	} catch (error) {
-		exit(error.message);
+		if (terminalReporter === 'junit') {
+			exit('The JUnit reporter must write its report to a file when debugging, e.g. --reporter=junit:report.xml');
+		}
+
+		if (isCi) {
+			exit('Debugging is not available in CI.');
+		}
+
+		if (combined.timeout) {
+			console.log(chalk.magenta(`  ${figures.warning} The timeout option has been disabled to help with debugging.`));
+		}
 	}
 
-	let extensions;
-	try {
-		extensions = normalizeExtensions(conf.extensions, providers);
-	} catch (error) {
-		exit(error.message);
+	if (!combined.tap && argv.control === undefined && Object.keys(experiments).length > 0) {
+		console.log(chalk.magenta(`  ${figures.warning} Experiments are enabled. These are unsupported and may change or be removed at any time.`));
 	}
 
-	let globs;
+	let runConfig;
 	try {
-		globs = normalizeGlobs({
-			files: conf.files, ignoredByWatcher: conf.watchMode?.ignoreChanges, extensions, providers,
-		});
+		runConfig = await resolveRunConfig({argv, combined, conf});
 	} catch (error) {
 		exit(error.message);
 	}
 
-	const workerThreads = combined.workerThreads !== false;
+	const {globs, providers} = runConfig;
 
-	let nodeArguments;
-	try {
-		nodeArguments = normalizeNodeArguments(conf.nodeArguments, argv['node-arguments']);
-		if (workerThreads && 'filterNodeArgumentsForWorkerThreads' in conf) {
-			const {filterNodeArgumentsForWorkerThreads: filter} = conf;
-			nodeArguments = nodeArguments.filter(argument => filter(argument));
+	let parallelRuns = null;
+	if (argv.shard !== undefined) {
+		const [, index, total] = /^(\d+)\/(\d+)$/.exec(argv.shard) ?? [];
+		const currentIndex = Number(index) - 1;
+		const totalRuns = Number(total);
+		if (!Number.isInteger(currentIndex) || currentIndex < 0 || currentIndex >= totalRuns) {
+			exit('The --shard flag must be provided as <index>/<total>, where <index> is between 1 and <total>.');
 		}
-	} catch (error) {
-		exit(error.message);
-	}
 
-	let parallelRuns = null;
-	if (isCi && combined.utilizeParallelBuilds !== false) {
+		parallelRuns = {currentIndex, totalRuns};
+	} else if (isCi && combined.utilizeParallelBuilds !== false && list === null) {
 		const {default: ciParallelVars} = await import('ci-parallel-vars');
 		if (ciParallelVars) {
 			const {index: currentIndex, total: totalRuns} = ciParallelVars;
@@ -396,6 +688,10 @@ export default async function loadCli() { // eslint-disable-line complexity
 
 	const match = combined.match === '' ? [] : arrify(combined.match);
 
+	if (combined.pruneSnapshots && list === null && (match.length > 0 || argv.pattern?.length > 0 || selectChanged || argv['only-failures'] || parallelRuns !== null)) {
+		exit('Obsolete snapshots can only be pruned when running all tests, without file patterns, --changed, --changed-since, --only-failures, --match or --shard.');
+	}
+
 	const input = debug ? debug.files : (argv.pattern ?? []);
 	const filter = input
 		.map(pattern => splitPatternAndLineNumbers(pattern))
@@ -404,86 +700,118 @@ export default async function loadCli() { // eslint-disable-line complexity
 			...rest,
 		}));
 
-	const api = new Api({
+	// Watch mode creates a new Api when the configuration is reloaded.
+	const createApi = ({combined, conf, runConfig}) => new Api({
 		cacheEnabled: combined.cache !== false,
 		chalkOptions,
 		concurrency: combined.concurrency ?? 0,
 		workerThreads: combined.workerThreads !== false,
 		debug,
-		environmentVariables,
-		experiments,
-		extensions,
+		environmentVariables: runConfig.environmentVariables,
+		experiments: conf.nonSemVerExperiments,
+		extensions: runConfig.extensions,
 		failFast: combined.failFast,
+		failOnObsoleteSnapshots: combined.failOnObsoleteSnapshots === true,
 		failWithoutAssertions: combined.failWithoutAssertions !== false,
-		globs,
-		match,
-		nodeArguments,
+		globs: runConfig.globs,
+		listTests: list !== null,
+		match: combined.match === '' ? [] : arrify(combined.match),
+		nodeArguments: runConfig.nodeArguments,
 		parallelRuns,
 		sortTestFiles: conf.sortTestFiles,
 		projectDir,
-		providers,
+		providers: runConfig.providers,
+		pruneSnapshots: combined.pruneSnapshots === true,
+		randomSeed: runConfig.randomSeed,
 		ranFromCli: true,
 		require: arrify(combined.require),
+		retries: combined.retries ?? 0,
 		serial: combined.serial,
+		shardBalancing: conf.shardBalancing ?? 'files',
 		snapshotDir: combined.snapshotDir ? path.resolve(projectDir, combined.snapshotDir) : null,
+		snapshotFormat: conf.snapshotFormat ?? 'binary',
+		snapshotSerializers: conf.snapshotSerializers ?? [],
+		testTimeout: runConfig.testTimeout,
 		timeout: combined.timeout ?? '10s',
 		updateSnapshots: combined.updateSnapshots,
 		workerArgv: argv['--'],
 	});
 
-	let reporter;
-	if (combined.tap && !argv.watch && debug === null) {
-		const {default: TapReporter} = await import('./reporters/tap.js');
-		reporter = new TapReporter({
-			extensions: globs.extensions,
-			projectDir,
-			reportStream: process.stdout,
-			stdStream: process.stderr,
-		});
-	} else {
-		const {default: Reporter} = await import('./reporters/default.js');
-		reporter = new Reporter({
-			extensions: globs.extensions,
+	const api = createApi({combined, conf, runConfig});
+
+	if (list !== null) {
+		const {default: listTests} = await import('./list-tests.js');
+		process.exitCode = await listTests({
+			api,
+			filter,
+			json: list.json,
 			projectDir,
-			reportStream: process.stdout,
-			stdStream: process.stderr,
-			watching: argv.watch,
 		});
+		return;
+	}
+
+	if (argv.watch || debug !== null) {
+		// The TAP reporter is not available when watching or debugging, so use the default reporter instead.
+		reporters = reporters.map(reporter => reporter === 'tap' ? 'default' : reporter);
+		// Watch mode interacts with the user through the default reporter.
+		if (argv.watch && terminalReporter === undefined) {
+			reporters = [...reporters, 'default'];
+		}
+
+		// The control protocol writes JSON events to the terminal instead.
+		if (argv.control !== undefined) {
+			reporters = reporters.map(reporter => reporter === 'default' ? 'json' : reporter);
+		}
 	}
 
+	let reporter;
+	try {
+		reporter = await loadReporters(reporters, {extensions: globs.extensions, projectDir, watching: argv.watch});
+	} catch (error) {
+		exit(error.message);
+	}
+
+	let bufferedSend;
 	if (process.env.TEST_AVA) {
 		const {controlFlow} = await import('./ipc-flow-control.js');
-		const bufferedSend = controlFlow(process);
+		bufferedSend = controlFlow(process);
+	}
 
-		api.on('run', ({data: plan}) => {
-			plan.status.on('stateChange', ({data: evt}) => {
-				bufferedSend(evt);
+	// Watch mode observes the new Api when the configuration is reloaded.
+	const observeApi = (api, combined) => {
+		if (bufferedSend !== undefined) {
+			api.on('run', ({data: plan}) => {
+				plan.status.on('stateChange', ({data: evt}) => {
+					bufferedSend(evt);
+				});
 			});
-		});
-	}
+		}
 
-	if (combined.observeRun && experiments.observeRunsFromConfig) {
-		combined.observeRun({
-			events: asyncEventIteratorFromApi(api),
-		});
-	}
+		if (combined.observeRun && combined.nonSemVerExperiments.observeRunsFromConfig) {
+			combined.observeRun({
+				events: asyncEventIteratorFromApi(api),
+			});
+		}
 
-	api.on('run', ({data: plan}) => {
-		reporter.startRun(plan);
+		api.on('run', ({data: plan}) => {
+			reporter.startRun(plan);
 
-		plan.status.on('stateChange', ({data: evt}) => {
-			if (evt.type === 'end' || evt.type === 'interrupt') {
-				// Write out code coverage data when the run ends, lest a process
-				// interrupt causes it to be lost.
-				v8.takeCoverage();
-			}
+			plan.status.on('stateChange', ({data: evt}) => {
+				if (evt.type === 'end' || evt.type === 'interrupt') {
+					// Write out code coverage data when the run ends, lest a process
+					// interrupt causes it to be lost.
+					v8.takeCoverage();
+				}
 
-			if (evt.type === 'interrupt') {
-				reporter.endRun();
-				process.exit(1); // eslint-disable-line unicorn/no-process-exit
-			}
+				if (evt.type === 'interrupt') {
+					reporter.endRun();
+					process.exit(1); // eslint-disable-line unicorn/no-process-exit
+				}
+			});
 		});
-	});
+	};
+
+	observeApi(api, combined);
 
 	if (argv.watch) {
 		const {available, start} = await import('./watcher.js');
@@ -505,12 +833,27 @@ export default async function loadCli() { // eslint-disable-line complexity
 			process.channel?.unref();
 		}
 
+		// Reload the configuration when it, or a module it requires, changes. Problems are reported by the watcher.
+		const reloadConfig = async () => {
+			const {config: conf} = await loadConfig({configFile: argv.config, reload: true});
+			const combined = combineFlags(conf, argv);
+			const runConfig = await resolveRunConfig({argv, combined, conf});
+			const api = createApi({combined, conf, runConfig});
+			observeApi(api, combined);
+			return {
+				api, configFiles: findConfigFiles(conf, combined), globs: runConfig.globs, providers: runConfig.providers,
+			};
+		};
+
 		start({
 			api,
+			configFiles: findConfigFiles(conf, combined),
+			control: argv.control,
 			filter,
 			globs,
 			projectDir,
 			providers,
+			reloadConfig,
 			reporter,
 			stdin: process.stdin,
 			signal: abortController?.signal,
@@ -523,14 +866,46 @@ export default async function loadCli() { // eslint-disable-line complexity
 			}
 		});
 
-		const runStatus = await api.run({filter});
+		let files = [];
+		if (selectChanged) {
+			const {ChangedFilesError, selectChangedTestFiles} = await import('./changed-files.js');
+			try {
+				files = await selectChangedTestFiles({
+					configFile: conf.configFile,
+					globs,
+					projectDir,
+					ref: changedSince,
+				});
+			} catch (error) {
+				exit(error instanceof ChangedFilesError ? error.message : `Error determining changed files\n\n${chalk.gray(error?.stack ?? error)}`);
+			}
+
+			// There's nothing to run if no test files are affected.
+			if (files.length === 0) {
+				return;
+			}
+		}
+
+		let failedTests;
+		if (argv['only-failures']) {
+			failedTests = api.readFailedTests();
+			if (failedTests.size === 0) {
+				console.error(`\n  ${chalk.green(figures.tick)} There are no previously failing tests to run`);
+				return;
+			}
+		}
+
+		const runStatus = await api.run({files, filter, runtimeOptions: {failedTests}});
 
 		if (debugWithoutSpecificFile && !debug.active) {
 			exit('Provide the path to the test file you wish to debug');
 			return;
 		}
 
-		process.exitCode = runStatus.suggestExitCode({matching: match.length > 0});
+		process.exitCode = runStatus.suggestExitCode({
+			failOnObsoleteSnapshots: combined.failOnObsoleteSnapshots === true,
+			matching: match.length > 0 || failedTests !== undefined,
+		});
 		reporter.endRun();
 	}
 }
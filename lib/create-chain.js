@@ -1,3 +1,5 @@
+import {inspect} from 'node:util';
+
 const chainRegistry = new WeakMap();
 
 function startChain(name, call, defaults) {
@@ -14,7 +16,7 @@ function extendChain(previous, name, flag) {
 	flag ||= name;
 
 	const fn = (...args) => {
-		callWithFlag(previous, flag, args);
+		callWithFlags(previous, {[flag]: true}, args);
 	};
 
 	const fullName = `${chainRegistry.get(previous).fullName}.${name}`;
@@ -25,8 +27,7 @@ function extendChain(previous, name, flag) {
 	return fn;
 }
 
-function callWithFlag(previous, flag, args) {
-	const combinedFlags = {[flag]: true};
+function callWithFlags(previous, combinedFlags, args) {
 	do {
 		const step = chainRegistry.get(previous);
 		if (step.call) {
@@ -39,6 +40,48 @@ function callWithFlag(previous, flag, args) {
 	} while (previous);
 }
 
+const formatTitleValue = value => typeof value === 'string' ? value : inspect(value, {breakLength: Number.POSITIVE_INFINITY, depth: 1});
+
+function formatEachTitle(template, row, index) {
+	const values = Array.isArray(row) ? [...row] : [row];
+	return template
+		.replaceAll(/%([%#s])/g, (match, placeholder) => {
+			if (placeholder === '%') {
+				return '%';
+			}
+
+			if (placeholder === '#') {
+				return String(index);
+			}
+
+			return values.length > 0 ? formatTitleValue(values.shift()) : match;
+		})
+		.replaceAll(/\$([a-zA-Z_]\w*)/g, (match, name) => row !== null && typeof row === 'object' && Object.hasOwn(row, name)
+			? formatTitleValue(row[name])
+			: match);
+}
+
+function addEach(node) {
+	node.each = rows => {
+		if (!Array.isArray(rows)) {
+			throw new TypeError('Expected `test.each()` to be called with an array of rows');
+		}
+
+		return (...args) => {
+			const template = typeof args[0] === 'string' ? args.shift() : undefined;
+			const [implementation] = args;
+			for (const [eachRowIndex, row] of rows.entries()) {
+				// Array rows are spread as additional arguments, other rows are passed as a single argument.
+				const rowArgs = Array.isArray(row) ? row : [row];
+				const testArgs = template === undefined
+					? [implementation, ...rowArgs]
+					: [formatEachTitle(template, row, eachRowIndex), implementation, ...rowArgs];
+				callWithFlags(node, {eachRowIndex}, testArgs);
+			}
+		};
+	};
+}
+
 function getSkippedTarget(target) {
 	let current = target;
 	while (current) {
@@ -70,6 +113,10 @@ function createConditionalChain(node, shouldSkip) {
 				}
 			}
 
+			if (prop === 'each' && shouldSkip) {
+				return getSkippedTarget(target).each;
+			}
+
 			if (prop === 'skipIf' || prop === 'runIf') {
 				return typeof target[prop] === 'function'
 					? condition => createConditionalChain(target, shouldSkip || (prop === 'skipIf' ? condition : !condition))
@@ -142,6 +189,12 @@ export default function createChain(fn, defaults, meta) {
 		addConditionalModifiers(node);
 	}
 
+	for (const node of [root, root.failing, root.serial, root.serial.failing]) {
+		for (const variant of [node, node.only, node.skip]) {
+			addEach(variant);
+		}
+	}
+
 	root.after = createHookChain(startChain('test.after', fn, {...defaults, type: 'after'}), true);
 	root.afterEach = createHookChain(startChain('test.afterEach', fn, {...defaults, type: 'afterEach'}), true);
 	root.before = createHookChain(startChain('test.before', fn, {...defaults, type: 'before'}), false);
@@ -159,6 +212,35 @@ export default function createChain(fn, defaults, meta) {
 		...defaults, serial: true, type: 'test', todo: true,
 	});
 
+	// Group chaining rules:
+	// * `serial` must come at the start
+	// * `only` and `skip` must come at the end
+	// * `only` and `skip` cannot be chained together
+	root.group = startChain('test.group', fn, {...defaults, type: 'group'});
+	extendChain(root.group, 'only', 'exclusive');
+	extendChain(root.group, 'skip', 'skipped');
+	root.serial.group = startChain('test.serial.group', fn, {...defaults, serial: true, type: 'group'});
+	extendChain(root.serial.group, 'only', 'exclusive');
+	extendChain(root.serial.group, 'skip', 'skipped');
+
+	root.retry = retries => {
+		if (!Number.isInteger(retries) || retries < 0) {
+			throw new TypeError('Expected `retries` to be a non-negative integer');
+		}
+
+		// Tests declared through the returned chain are retried up to `retries` times if they fail.
+		return createChain(fn, {...defaults, retries}, meta);
+	};
+
+	root.timeout = ms => {
+		if (!Number.isInteger(ms) || ms <= 0) {
+			throw new TypeError('Expected `ms` to be a positive integer');
+		}
+
+		// Tests and hooks declared through the returned chain fail if they do not complete within `ms`.
+		return createChain(fn, {...defaults, timeout: ms}, meta);
+	};
+
 	root.macro = options => {
 		if (typeof options === 'function') {
 			return Object.freeze({exec: options});
@@ -0,0 +1,50 @@
+import FakeTimers from '@sinonjs/fake-timers';
+
+import {now as realNow} from './now-and-timers.js';
+
+// AVA's own timers are imported from `node:timers` by `now-and-timers.js`, so replacing the globals does not affect them.
+const TO_FAKE = [
+	'Date',
+	'clearImmediate',
+	'clearInterval',
+	'clearTimeout',
+	'performance',
+	'setImmediate',
+	'setInterval',
+	'setTimeout',
+];
+
+let installedClock = null;
+
+export function installClock({now = realNow()} = {}) {
+	if (installedClock !== null) {
+		throw new Error('A fake clock is already installed. Tests that install a clock should run serially.');
+	}
+
+	const clock = FakeTimers.withGlobal(globalThis).install({now, toFake: TO_FAKE});
+	installedClock = clock;
+
+	return {
+		next() {
+			clock.next();
+			return clock.now;
+		},
+		runAll() {
+			clock.runAll();
+			return clock.now;
+		},
+		setSystemTime(now) {
+			clock.setSystemTime(now);
+		},
+		tick(ms) {
+			clock.tick(ms);
+			return clock.now;
+		},
+		uninstall() {
+			if (installedClock === clock) {
+				installedClock = null;
+				clock.uninstall();
+			}
+		},
+	};
+}
@@ -26,8 +26,6 @@ export {
 const defaultIgnoredByWatcherPatterns = [
 	'**/*.snap.md', // No need to rerun tests when the Markdown files change.
 	'**/*.tsbuildinfo', // No need to rerun tests when TypeScript build info files change.
-	'ava.config.js', // Config is not reloaded so avoid rerunning tests when it changes.
-	'ava.config.mjs', // Config is not reloaded so avoid rerunning tests when it changes.
 ];
 
 const buildExtensionPattern = extensions => extensions.length === 1 ? extensions[0] : `{${extensions.join(',')}}`;
@@ -4,4 +4,7 @@ import info from 'ci-info';
 
 const {AVA_FORCE_CI} = process.env;
 
-export default AVA_FORCE_CI === 'not-ci' ? false : AVA_FORCE_CI === 'ci' || info.isCI;
+const isCi = AVA_FORCE_CI === 'not-ci' ? false : AVA_FORCE_CI === 'ci' || info.isCI;
+export default isCi;
+
+export const isGithubActions = isCi && info.GITHUB_ACTIONS;
@@ -0,0 +1,131 @@
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+
+import figures from 'figures';
+import plur from 'plur';
+
+import {chalk} from './chalk.js';
+
+const describeError = evt => {
+	switch (evt.type) {
+		case 'line-number-selection-error': {
+			return `Could not select tests by line number: ${evt.err.message}`;
+		}
+
+		case 'missing-ava-import': {
+			return 'No tests found, make sure to import "ava" at the top of your test file';
+		}
+
+		case 'timeout': {
+			return `Timed out after ${evt.period}ms while loading test files`;
+		}
+
+		case 'worker-failed': {
+			return evt.nonZeroExitCode ? `Exited with a non-zero exit code: ${evt.nonZeroExitCode}` : `Exited due to ${evt.signal}`;
+		}
+
+		default: {
+			return evt.err?.type === 'unknown' ? 'Non-native error' : evt.err?.stack ?? evt.err?.message ?? evt.type;
+		}
+	}
+};
+
+function formatTests(files) {
+	const lines = [];
+	let testCount = 0;
+	for (const [file, tests] of files) {
+		lines.push(chalk.bold(file));
+		for (const test of tests) {
+			const flags = ['failing', 'only', 'serial', 'skip', 'todo'].filter(flag => test[flag]);
+			const location = test.line === undefined ? '' : chalk.gray(`${test.line}: `);
+			lines.push(`  ${location}${test.title}${flags.length > 0 ? chalk.gray(` (${flags.join(', ')})`) : ''}`);
+		}
+
+		lines.push('');
+		testCount += tests.length;
+	}
+
+	lines.push(`${testCount} ${plur('test', testCount)} in ${files.size} ${plur('file', files.size)}`);
+	return lines.join(os.EOL);
+}
+
+/**
+ * Load the test files and print the tests that would be run, without running them. Returns the exit code.
+ */
+export default async function listTests({api, filter, json, projectDir}) {
+	const relativeFile = file => path.relative(projectDir, file).split(path.sep).join('/');
+
+	const declared = new Map();
+	const selected = [];
+	const errors = [];
+	api.on('run', ({data: plan}) => {
+		plan.status.on('stateChange', ({data: evt}) => {
+			switch (evt.type) {
+				case 'declared-test': {
+					declared.set(`${evt.testFile}\0${evt.title}`, {...evt, index: declared.size});
+					break;
+				}
+
+				case 'selected-test': {
+					selected.push(declared.get(`${evt.testFile}\0${evt.title}`));
+					break;
+				}
+
+				case 'internal-error':
+				case 'line-number-selection-error':
+				case 'missing-ava-import':
+				case 'shared-worker-error':
+				case 'timeout':
+				case 'uncaught-exception':
+				case 'unhandled-rejection': {
+					errors.push(evt);
+					break;
+				}
+
+				case 'worker-failed': {
+					// The worker usually fails because of an error that has already been reported.
+					if (!errors.some(error => error.testFile === evt.testFile)) {
+						errors.push(evt);
+					}
+
+					break;
+				}
+
+				default: {
+					break;
+				}
+			}
+		});
+	});
+
+	await api.run({filter});
+
+	// Serial tests are selected before concurrent and todo tests. List them in the order they were declared instead.
+	const tests = selected
+		.toSorted((a, b) => a.testFile === b.testFile ? a.index - b.index : a.testFile.localeCompare(b.testFile, [], {numeric: true}))
+		.map(({testFile, title, line, knownFailing, only, serial, skip, todo}) => ({
+			file: relativeFile(testFile),
+			title,
+			line,
+			failing: knownFailing,
+			only,
+			serial,
+			skip,
+			todo,
+		}));
+
+	if (json) {
+		process.stdout.write(JSON.stringify(tests, null, '\t') + os.EOL);
+	} else {
+		const files = Map.groupBy(tests, test => test.file);
+		process.stdout.write(formatTests(files) + os.EOL);
+	}
+
+	for (const evt of errors) {
+		const location = evt.testFile ? ` in ${relativeFile(evt.testFile)}` : '';
+		console.error(`\n  ${chalk.red(figures.cross)} Could not list tests${location}: ${describeError(evt)}`);
+	}
+
+	return errors.length > 0 ? 1 : 0;
+}
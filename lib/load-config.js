@@ -10,8 +10,16 @@ const NO_SUCH_FILE = Symbol('no ava.config.js file');
 const MISSING_DEFAULT_EXPORT = Symbol('missing default export');
 const EXPERIMENTS = new Set(['observeRunsFromConfig']);
 
-const importConfig = async ({configFile, fileForErrorMessage}) => {
-	const {default: config = MISSING_DEFAULT_EXPORT} = await import(url.pathToFileURL(configFile));
+// Imported modules are cached, so add a query to import a fresh copy of the config file when it's reloaded.
+let reloadCount = 0;
+
+const importConfig = async ({configFile, fileForErrorMessage, reload}) => {
+	const fileUrl = url.pathToFileURL(configFile);
+	if (reload) {
+		fileUrl.searchParams.set('reload', String(++reloadCount));
+	}
+
+	const {default: config = MISSING_DEFAULT_EXPORT} = await import(fileUrl);
 	if (config === MISSING_DEFAULT_EXPORT) {
 		throw new Error(`${fileForErrorMessage} must have a default export`);
 	}
@@ -19,11 +27,11 @@ const importConfig = async ({configFile, fileForErrorMessage}) => {
 	return config;
 };
 
-const loadConfigFile = async ({projectDir, configFile}) => {
+const loadConfigFile = async ({projectDir, configFile, reload}) => {
 	const fileForErrorMessage = path.relative(projectDir, configFile);
 	try {
 		await fs.promises.access(configFile);
-		return {config: await importConfig({configFile, fileForErrorMessage}), configFile, fileForErrorMessage};
+		return {config: await importConfig({configFile, fileForErrorMessage, reload}), configFile, fileForErrorMessage};
 	} catch (error) {
 		if (error.code === 'ENOENT') {
 			return null;
@@ -74,7 +82,7 @@ async function checkJsonFile(searchDir) {
 	}
 }
 
-export async function loadConfig({configFile, resolveFrom = process.cwd(), defaults = {}} = {}) { // eslint-disable-line complexity
+export async function loadConfig({configFile, resolveFrom = process.cwd(), defaults = {}, reload = false} = {}) { // eslint-disable-line complexity
 	let packageConf = await packageConfig('ava', {cwd: resolveFrom});
 	const filepath = packageJsonPath(packageConf);
 	const projectDir = filepath === undefined ? resolveFrom : path.dirname(filepath);
@@ -92,7 +100,7 @@ export async function loadConfig({configFile, resolveFrom = process.cwd(), defau
 	if (configFile) {
 		let loaded;
 		try {
-			loaded = await loadConfigFile({projectDir, configFile});
+			loaded = await loadConfigFile({projectDir, configFile, reload});
 		} catch (error) {
 			if (!configFile.endsWith('.js') && !configFile.endsWith('.mjs')) {
 				throw Object.assign(new Error('Could not load config file; it should have .js or .mjs extension'), {cause: error});
@@ -110,8 +118,8 @@ export async function loadConfig({configFile, resolveFrom = process.cwd(), defau
 		do {
 			const [jsonFile, ...results] = await Promise.all([ // eslint-disable-line no-await-in-loop
 				checkJsonFile(searchDir),
-				loadConfigFile({projectDir, configFile: path.join(searchDir, 'ava.config.js')}),
-				loadConfigFile({projectDir, configFile: path.join(searchDir, 'ava.config.mjs')}),
+				loadConfigFile({projectDir, configFile: path.join(searchDir, 'ava.config.js'), reload}),
+				loadConfigFile({projectDir, configFile: path.join(searchDir, 'ava.config.mjs'), reload}),
 			]);
 
 			if (jsonFile !== null) {
@@ -0,0 +1,188 @@
+import fs from 'node:fs';
+import {createRequire} from 'node:module';
+import path from 'node:path';
+import process from 'node:process';
+import stream from 'node:stream';
+import url from 'node:url';
+
+const BUILTIN_REPORTERS = {
+	default: () => import('./reporters/default.js'),
+	'github-actions': () => import('./reporters/github-actions.js'),
+	json: () => import('./reporters/json.js'),
+	junit: () => import('./reporters/junit.js'),
+	tap: () => import('./reporters/tap.js'),
+};
+
+// Workflow commands are hidden from the GitHub Actions log, so this reporter can write to the terminal alongside another
+// reporter.
+const ANNOTATION_REPORTERS = new Set(['github-actions']);
+
+const REPORTER_METHODS = ['startRun', 'consumeStateChange', 'endRun'];
+
+// Reports are written synchronously, so they're complete even if the process exits right after the run ends.
+class FileStream extends stream.Writable {
+	constructor(file) {
+		super();
+
+		fs.mkdirSync(path.dirname(file), {recursive: true});
+		this.fd = fs.openSync(file, 'w');
+	}
+
+	_write(chunk, _, callback) {
+		fs.writeSync(this.fd, chunk);
+		callback();
+	}
+}
+
+const createDiscardingStream = () => new stream.Writable({
+	write(chunk, _, callback) {
+		callback();
+	},
+});
+
+// Parse `name[:outputFile]`. Only split on the first colon, so the file path may contain colons, e.g. Windows drive
+// letters.
+export function parseReporterOption(value, cwd = process.cwd()) {
+	const separator = value.indexOf(':');
+	if (separator === -1) {
+		return {name: value, outputFile: undefined};
+	}
+
+	return {name: value.slice(0, separator), outputFile: path.resolve(cwd, value.slice(separator + 1))};
+}
+
+// Find the name of the reporter that writes to the terminal, if any.
+export function findTerminalReporter(reporters) {
+	return reporters
+		.filter(reporter => typeof reporter === 'string')
+		.map(reporter => parseReporterOption(reporter))
+		.find(({name, outputFile}) => outputFile === undefined && !ANNOTATION_REPORTERS.has(name))
+		?.name;
+}
+
+function isReporter(value) {
+	return value !== null
+		&& typeof value === 'object'
+		&& REPORTER_METHODS.some(method => typeof value[method] === 'function');
+}
+
+// Adapts custom reporters, which receive each state change through `consumeStateChange()`, rather than subscribing to
+// the run status themselves like the built-in reporters do.
+class CustomReporter {
+	constructor(reporter) {
+		this.reporter = reporter;
+	}
+
+	startRun(plan) {
+		this.reporter.startRun?.(plan);
+		if (typeof this.reporter.consumeStateChange === 'function') {
+			plan.status.on('stateChange', ({data: evt}) => this.reporter.consumeStateChange(evt));
+		}
+	}
+
+	endRun() {
+		this.reporter.endRun?.();
+	}
+}
+
+// Forwards to each of the reporters. The watcher interacts with the user through the line writer and report stream of the
+// reporter that writes to the terminal.
+class Reporters {
+	constructor(reporters, terminalReporter) {
+		this.reporters = reporters;
+		this.lineWriter = terminalReporter?.lineWriter;
+		this.reportStream = terminalReporter?.reportStream;
+	}
+
+	startRun(plan) {
+		for (const reporter of this.reporters) {
+			reporter.startRun(plan);
+		}
+	}
+
+	endRun() {
+		for (const reporter of this.reporters) {
+			reporter.endRun();
+		}
+	}
+}
+
+async function importReporterModule(specifier, projectDir) {
+	const isPath = specifier.startsWith('.') || path.isAbsolute(specifier);
+	try {
+		const resolved = isPath
+			? path.resolve(projectDir, specifier)
+			: createRequire(path.join(projectDir, 'package.json')).resolve(specifier);
+		const {default: exported} = await import(url.pathToFileURL(resolved));
+		return exported;
+	} catch (error) {
+		// Resolution errors include the require stack on subsequent lines, which isn't helpful here.
+		throw Object.assign(new Error(`Could not load reporter ’${specifier}’: ${error.message.split('\n')[0]}`), {cause: error});
+	}
+}
+
+/**
+ * Load the reporters. Each reporter is either the name of a built-in reporter (`default`, `tap`, `junit`, `json` or
+ * `github-actions`) or a module specifier, optionally followed by a colon and the file the report should be written to,
+ * or an object implementing `startRun()`, `consumeStateChange()` and `endRun()`.
+ *
+ * Modules must default-export such an object, or a class that is instantiated with the reporter options.
+ */
+export async function loadReporters(reporters, {extensions, projectDir, watching}) {
+	const loaded = [];
+	let terminalReporterName = null;
+	let terminalReporter;
+	for (const reporter of reporters) {
+		if (typeof reporter !== 'string') {
+			if (!isReporter(reporter)) {
+				throw new TypeError('Reporters must be strings or objects with startRun(), consumeStateChange() or endRun() methods.');
+			}
+
+			loaded.push(new CustomReporter(reporter));
+			continue;
+		}
+
+		const {name, outputFile} = parseReporterOption(reporter);
+		if (outputFile === undefined && !ANNOTATION_REPORTERS.has(name)) {
+			if (terminalReporterName !== null) {
+				throw new Error(`The ’${terminalReporterName}’ and ’${name}’ reporters cannot both write to the terminal. Write one of them to a file using ’${name}:<file>’.`);
+			}
+
+			terminalReporterName = name;
+		}
+
+		const options = {
+			extensions,
+			outputFile,
+			projectDir,
+			// The JUnit reporter writes to its output file itself.
+			reportStream: outputFile === undefined || name === 'junit' ? process.stdout : new FileStream(outputFile),
+			// Only the reporter that writes to the terminal forwards the output of the test files.
+			stdStream: terminalReporterName === name && outputFile === undefined ? process.stderr : createDiscardingStream(),
+			summaryFile: process.env.GITHUB_STEP_SUMMARY,
+			workspaceDir: process.env.GITHUB_WORKSPACE,
+			watching,
+		};
+
+		if (Object.hasOwn(BUILTIN_REPORTERS, name)) {
+			const {default: Reporter} = await BUILTIN_REPORTERS[name](); // eslint-disable-line no-await-in-loop
+			const instance = new Reporter(options);
+			if (outputFile === undefined && terminalReporterName === name) {
+				terminalReporter = instance;
+			}
+
+			loaded.push(instance);
+			continue;
+		}
+
+		const exported = await importReporterModule(name, projectDir); // eslint-disable-line no-await-in-loop
+		const instance = typeof exported === 'function' ? new exported(options) : exported; // eslint-disable-line new-cap
+		if (!isReporter(instance)) {
+			throw new TypeError(`The reporter ’${name}’ must export an object with startRun(), consumeStateChange() or endRun() methods, or a class whose instances implement them.`);
+		}
+
+		loaded.push(new CustomReporter(instance));
+	}
+
+	return new Reporters(loaded, terminalReporter);
+}
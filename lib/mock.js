@@ -0,0 +1,111 @@
+const mockState = new WeakMap();
+
+function defaultImplementation() {}
+
+function checkImplementation(implementation) {
+	if (typeof implementation !== 'function') {
+		throw new TypeError('Expected the mock implementation to be a function');
+	}
+}
+
+// Returns the recorded calls of a mock function created by `t.mock.fn()` or `t.mock.method()`, or `undefined` if the
+// value is not a mock function.
+export function getCalls(value) {
+	return mockState.get(value)?.calls;
+}
+
+export function createMockFunction(implementation = defaultImplementation, {onRestore} = {}) {
+	checkImplementation(implementation);
+
+	const state = {
+		calls: [],
+		implementation,
+	};
+
+	const mock = function (...args) {
+		const call = {
+			arguments: args,
+			error: undefined,
+			result: undefined,
+			this: new.target ? undefined : this,
+		};
+		state.calls.push(call);
+
+		try {
+			call.result = new.target
+				? Reflect.construct(state.implementation, args, new.target)
+				: Reflect.apply(state.implementation, this, args);
+			return call.result;
+		} catch (error) {
+			call.error = error;
+			throw error;
+		}
+	};
+
+	let restored = false;
+	Object.defineProperty(mock, 'mock', {
+		enumerable: false,
+		value: Object.freeze({
+			get calls() {
+				return state.calls;
+			},
+			callCount() {
+				return state.calls.length;
+			},
+			mockImplementation(implementation) {
+				checkImplementation(implementation);
+				state.implementation = implementation;
+			},
+			resetCalls() {
+				state.calls = [];
+			},
+			restore() {
+				state.implementation = implementation;
+				if (!restored) {
+					restored = true;
+					onRestore?.();
+				}
+			},
+		}),
+	});
+
+	mockState.set(mock, state);
+	return mock;
+}
+
+export function mockMethod(object, methodName, implementation) {
+	if ((typeof object !== 'object' && typeof object !== 'function') || object === null) {
+		throw new TypeError('Expected an object to mock a method of');
+	}
+
+	// The method may be inherited, in which case the mock is defined on the object itself and removed when restored.
+	let descriptor;
+	for (let target = object; target !== null && descriptor === undefined; target = Object.getPrototypeOf(target)) {
+		descriptor = Object.getOwnPropertyDescriptor(target, methodName);
+	}
+
+	if (typeof descriptor?.value !== 'function') {
+		throw new TypeError(`Expected \`${String(methodName)}\` to be a method`);
+	}
+
+	const ownDescriptor = Object.getOwnPropertyDescriptor(object, methodName);
+	const original = descriptor.value;
+	const mock = createMockFunction(implementation ?? original, {
+		onRestore() {
+			if (ownDescriptor === undefined) {
+				delete object[methodName];
+			} else {
+				Object.defineProperty(object, methodName, ownDescriptor);
+			}
+		},
+	});
+
+	Object.defineProperty(object, methodName, {
+		configurable: true,
+		enumerable: descriptor.enumerable,
+		value: mock,
+		writable: descriptor.writable,
+	});
+
+	return mock;
+}
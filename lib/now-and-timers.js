@@ -1,3 +1,6 @@
+import {setTimeout as realSetTimeout} from 'node:timers';
+
+// Unlike the globals, these are not replaced when a test installs a fake clock, so AVA keeps using the real timers.
 export {
 	setTimeout,
 	clearTimeout,
@@ -15,5 +18,5 @@ const MAX_DELAY = (2 ** 31) - 1;
 
 export function setCappedTimeout(callback, delay) {
 	const safeDelay = Math.min(delay, MAX_DELAY);
-	return globalThis.setTimeout(callback, safeDelay);
+	return realSetTimeout(callback, safeDelay);
 }
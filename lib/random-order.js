@@ -0,0 +1,29 @@
+import crypto from 'node:crypto';
+
+const MAX_SEED = 2 ** 32;
+
+export function generateSeed() {
+	return crypto.randomInt(MAX_SEED);
+}
+
+export function isValidSeed(seed) {
+	return Number.isInteger(seed) && seed >= 0 && seed < MAX_SEED;
+}
+
+// Derive pseudo-random numbers from the seed and a key (e.g. a test file path), so that each file is shuffled
+// differently while the order remains reproducible.
+function createRandom(seed, key) {
+	let counter = 0;
+	return () => crypto.createHash('sha256').update(`${seed}:${key}:${counter++}`).digest().readUInt32BE(0) / MAX_SEED;
+}
+
+export function shuffle(items, seed, key = '') {
+	const random = createRandom(seed, key);
+	const shuffled = [...items];
+	for (let index = shuffled.length - 1; index > 0; index--) {
+		const other = Math.floor(random() * (index + 1));
+		[shuffled[index], shuffled[other]] = [shuffled[other], shuffled[index]];
+	}
+
+	return shuffled;
+}
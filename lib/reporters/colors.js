@@ -10,6 +10,9 @@ const colors = {
 	get error() {
 		return chalk.red;
 	},
+	get flaky() {
+		return chalk.yellow;
+	},
 	get skip() {
 		return chalk.yellow;
 	},
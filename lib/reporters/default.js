@@ -118,13 +118,16 @@ export default class Reporter {
 		this.internalErrors = [];
 		this.knownFailures = [];
 		this.lineNumberErrors = [];
+		this.obsoleteSnapshots = [];
 		this.sharedWorkerErrors = [];
 		this.uncaughtExceptions = [];
 		this.unhandledRejections = [];
 
 		this.previousFailures = 0;
+		this.randomSeed = undefined;
 
 		this.failFastEnabled = false;
+		this.failOnObsoleteSnapshots = false;
 		this.matching = false;
 
 		this.removePreviousListener = null;
@@ -139,8 +142,10 @@ export default class Reporter {
 		this.reset();
 
 		this.failFastEnabled = plan.failFastEnabled;
+		this.failOnObsoleteSnapshots = plan.failOnObsoleteSnapshots;
 		this.matching = plan.matching;
 		this.previousFailures = plan.previousFailures;
+		this.randomSeed = plan.randomSeed;
 		this.emptyParallelRun = plan.status.emptyParallelRun;
 		this.selectionInsights = plan.status.selectionInsights;
 
@@ -189,6 +194,13 @@ export default class Reporter {
 				break;
 			}
 
+			case 'test-retried': {
+				const label = this.prefixTitle(event.testFile, event.title);
+				this.write(`${colors.flaky(`${figures.warning} [retry ${event.attempt} of ${event.retries}]:`)} ${label} ${chalk.italic(colors.flaky(event.err.message))}`);
+				this.writeLogs(event);
+				break;
+			}
+
 			case 'timeout': {
 				this.lineWriter.writeLine(colors.error(`\n${figures.cross} Timed out while running tests`));
 				this.lineWriter.writeLine('');
@@ -234,6 +246,22 @@ export default class Reporter {
 				break;
 			}
 
+			case 'obsolete-snapshots': {
+				for (const title of event.titles) {
+					this.obsoleteSnapshots.push({file: event.snapPath, title, pruned: event.pruned});
+				}
+
+				break;
+			}
+
+			case 'obsolete-snapshot-files': {
+				for (const file of event.files) {
+					this.obsoleteSnapshots.push({file, pruned: event.pruned});
+				}
+
+				break;
+			}
+
 			case 'process-exit': {
 				this.write(colors.error(`${figures.cross} Exiting due to process.exit() when running ${this.relativeFile(event.testFile)}`));
 
@@ -579,7 +607,7 @@ export default class Reporter {
 		let prefix;
 		let suffix;
 		if (event.type === 'hook-failed' || event.type === 'test-failed') {
-			const type = event.knownFailing ? '[unexpected pass]' : '[fail]';
+			const type = event.knownFailing ? '[unexpected pass]' : (event.timedOut ? '[timed out]' : '[fail]');
 			prefix = colors.error(`${figures.cross} ${type}:`);
 			suffix = chalk.italic(colors.error(event.err.message));
 		} else if (event.knownFailing) {
@@ -591,6 +619,11 @@ export default class Reporter {
 			}
 		}
 
+		if (event.retries > 0) {
+			const flaky = colors.flaky(`[flaky: passed after ${event.retries} ${plur('retry', event.retries)}]`);
+			suffix = suffix ? `${flaky} ${suffix}` : flaky;
+		}
+
 		const label = this.prefixTitle(event.testFile, event.title);
 		this.write(`${prefix} ${label}${suffix ? ' ' + suffix : ''}`);
 		this.writeLogs(event);
@@ -606,6 +639,36 @@ export default class Reporter {
 		this.writeSerializedError(event.err);
 	}
 
+	writeObsoleteSnapshots() {
+		const pruned = this.obsoleteSnapshots.filter(snapshot => snapshot.pruned);
+		const remaining = this.obsoleteSnapshots.filter(snapshot => !snapshot.pruned);
+		const describe = ({file, title}) => `* ${this.relativeFile(file)}${title === undefined ? '' : ` › ${title}`}`;
+
+		if (pruned.length > 0) {
+			this.lineWriter.writeLine(colors.information(`${figures.tick} Removed ${pruned.length} obsolete ${plur('snapshot', pruned.length)}:`));
+			this.lineWriter.writeLine();
+			for (const snapshot of pruned) {
+				this.lineWriter.writeLine(colors.information(describe(snapshot)));
+			}
+
+			this.lineWriter.writeLine();
+		}
+
+		if (remaining.length > 0) {
+			const color = this.failOnObsoleteSnapshots ? colors.error : colors.information;
+			const figure = this.failOnObsoleteSnapshots ? figures.cross : figures.warning;
+			this.lineWriter.writeLine(color(`${figure} Found ${remaining.length} obsolete ${plur('snapshot', remaining.length)}:`));
+			this.lineWriter.writeLine();
+			for (const snapshot of remaining) {
+				this.lineWriter.writeLine(color(describe(snapshot)));
+			}
+
+			this.lineWriter.writeLine();
+			this.lineWriter.writeLine(colors.information('Use `--prune-snapshots` to remove them.'));
+			this.lineWriter.writeLine();
+		}
+	}
+
 	endRun() {// eslint-disable-line complexity
 		let firstLinePostfix = this.watching ? ` ${chalk.gray.dim(`[${new Date().toLocaleTimeString('en-US', {hour12: false})}]`)}` : '';
 
@@ -689,6 +752,10 @@ export default class Reporter {
 			this.lineWriter.writeLine();
 		}
 
+		if (this.obsoleteSnapshots.length > 0) {
+			this.writeObsoleteSnapshots();
+		}
+
 		if (this.stats.parallelRuns) {
 			const {
 				currentFileCount,
@@ -699,6 +766,11 @@ export default class Reporter {
 			this.lineWriter.writeLine();
 		}
 
+		if (this.randomSeed !== undefined) {
+			this.lineWriter.writeLine(colors.information(`Ran in a random order with seed ${this.randomSeed}. Use \`--random=${this.randomSeed}\` to replay this order.`));
+			this.lineWriter.writeLine();
+		}
+
 		if (this.stats.failedHooks > 0) {
 			this.lineWriter.writeLine(colors.error(`${this.stats.failedHooks} ${plur('hook', this.stats.failedHooks)} failed`) + firstLinePostfix);
 			firstLinePostfix = '';
@@ -722,6 +794,10 @@ export default class Reporter {
 			this.lineWriter.writeLine(colors.error(`${this.stats.passedKnownFailingTests} ${plur('known failure', this.stats.passedKnownFailingTests)}`));
 		}
 
+		if (this.stats.flakyTests > 0) {
+			this.lineWriter.writeLine(colors.flaky(`${this.stats.flakyTests} flaky ${plur('test', this.stats.flakyTests)} passed after retrying`));
+		}
+
 		if (this.stats.skippedTests > 0) {
 			this.lineWriter.writeLine(colors.skip(`${this.stats.skippedTests} ${plur('test', this.stats.skippedTests)} skipped`));
 		}
@@ -738,8 +814,15 @@ export default class Reporter {
 			this.lineWriter.writeLine(colors.error(`${this.stats.uncaughtExceptions} uncaught ${plur('exception', this.stats.uncaughtExceptions)}`));
 		}
 
-		if (this.stats.timedOutTests > 0) {
-			this.lineWriter.writeLine(colors.error(`${this.stats.timedOutTests} ${plur('test', this.stats.timedOutTests)} remained pending after a timeout`));
+		// Tests that exceeded their own timeout are reported as failures, the others were pending when the run timed out.
+		const failedDueToTimeout = this.failures.filter(event => event.timedOut).length;
+		if (failedDueToTimeout > 0) {
+			this.lineWriter.writeLine(colors.error(`${failedDueToTimeout} ${plur('test', failedDueToTimeout)} timed out`));
+		}
+
+		const pendingAfterTimeout = this.stats.timedOutTests - failedDueToTimeout;
+		if (pendingAfterTimeout > 0) {
+			this.lineWriter.writeLine(colors.error(`${pendingAfterTimeout} ${plur('test', pendingAfterTimeout)} remained pending after a timeout`));
 		}
 
 		if (this.previousFailures > 0) {
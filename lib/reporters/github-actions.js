@@ -0,0 +1,181 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {fileURLToPath} from 'node:url';
+import {stripVTControlCharacters} from 'node:util';
+
+import beautifyStack from './beautify-stack.js';
+
+// See <https://docs.github.com/en/actions/reference/workflow-commands-for-github-actions#example-creating-an-annotation-for-an-error>.
+const escapeData = value => value
+	.replaceAll('%', '%25')
+	.replaceAll('\r', '%0D')
+	.replaceAll('\n', '%0A');
+
+const escapeProperty = value => escapeData(value)
+	.replaceAll(':', '%3A')
+	.replaceAll(',', '%2C');
+
+// Matches the location at the end of a beautified stack frame, e.g. `foo (/project/test.js:3:13)`.
+const FRAME_LOCATION = /\(?(?<file>[^()\s]+):(?<line>\d+):(?<column>\d+)\)?$/;
+
+// Beautified stack frames are relative to the current working directory, including file URLs.
+function toPath(file) {
+	if (file.startsWith('file:///')) {
+		return fileURLToPath(file);
+	}
+
+	return path.resolve(file.startsWith('file://') ? file.slice('file://'.length) : file);
+}
+
+function formatMessage(error) {
+	if (error.type === 'unknown') {
+		return stripVTControlCharacters(error.formattedError);
+	}
+
+	const parts = [];
+	if (error.type === 'ava') {
+		parts.push(error.message || `${error.assertion} failed`);
+		for (const {label, formatted} of error.formattedDetails) {
+			parts.push(stripVTControlCharacters(`${label}\n${formatted}`));
+		}
+	} else {
+		parts.push(error.message ? `${error.name}: ${error.message}` : error.name);
+	}
+
+	return parts.join('\n\n');
+}
+
+export default class GithubActionsReporter {
+	constructor(options) {
+		this.projectDir = options.projectDir;
+		this.reportStream = options.reportStream;
+		this.summaryFile = options.summaryFile;
+		// GitHub resolves annotated files against the workspace, which may be a parent of the project directory.
+		this.workspaceDir = options.workspaceDir ?? options.projectDir;
+
+		this.stats = null;
+	}
+
+	relativeFile(file) {
+		return path.relative(this.projectDir, file).split(path.sep).join('/');
+	}
+
+	workspaceFile(file) {
+		return path.relative(this.workspaceDir, file).split(path.sep).join('/');
+	}
+
+	isProjectFile(file) {
+		const relative = path.relative(this.projectDir, file);
+		return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative) && !relative.split(path.sep).includes('node_modules');
+	}
+
+	// Prefer the source location that is used for code excerpts, then the first stack frame within the project, and finally
+	// fall back to the test file itself.
+	getLocation(error, testFile) {
+		const frames = beautifyStack(error?.stack)
+			.map(frame => FRAME_LOCATION.exec(frame)?.groups)
+			.filter(Boolean)
+			.map(({file, line, column}) => ({file: toPath(file), line: Number(line), column: Number(column)}));
+
+		const {source} = error ?? {};
+		if (source?.isWithinProject && !source.isDependency) {
+			const file = toPath(source.file);
+			const frame = frames.find(frame => frame.file === file && frame.line === source.line);
+			return {file, line: source.line, column: frame?.column};
+		}
+
+		const frame = frames.find(frame => this.isProjectFile(frame.file));
+		if (frame) {
+			return frame;
+		}
+
+		return {file: testFile, line: undefined, column: undefined};
+	}
+
+	annotate(evt, title) {
+		const {file, line, column} = this.getLocation(evt.err, evt.testFile);
+		const properties = Object.entries({
+			file: file ? this.workspaceFile(file) : undefined,
+			line,
+			col: column,
+			title,
+		})
+			.filter(([, value]) => value !== undefined)
+			.map(([name, value]) => `${name}=${escapeProperty(String(value))}`)
+			.join(',');
+
+		this.reportStream.write(`::error ${properties}::${escapeData(evt.err ? formatMessage(evt.err) : title)}${os.EOL}`);
+	}
+
+	startRun(plan) {
+		if (plan.bailWithoutReporting) {
+			return;
+		}
+
+		this.stats = null;
+		plan.status.on('stateChange', ({data: evt}) => this.consumeStateChange(evt));
+	}
+
+	consumeStateChange(evt) {
+		switch (evt.type) {
+			case 'hook-failed':
+			case 'test-failed': {
+				this.annotate(evt, `${this.relativeFile(evt.testFile)} › ${evt.title}`);
+				break;
+			}
+
+			case 'stats': {
+				this.stats = evt.stats;
+				break;
+			}
+
+			case 'uncaught-exception': {
+				this.annotate(evt, `Uncaught exception in ${this.relativeFile(evt.testFile)}`);
+				break;
+			}
+
+			case 'unhandled-rejection': {
+				this.annotate(evt, `Unhandled rejection in ${this.relativeFile(evt.testFile)}`);
+				break;
+			}
+
+			default: {
+				break;
+			}
+		}
+	}
+
+	formatSummary() {
+		const {stats} = this;
+		const rows = [
+			['Passed', stats.passedTests],
+			['Failed', stats.failedTests],
+			['Known failures', stats.passedKnownFailingTests],
+			['Flaky', stats.flakyTests],
+			['Skipped', stats.skippedTests],
+			['Todo', stats.todoTests],
+			['Failed hooks', stats.failedHooks],
+			['Uncaught exceptions', stats.uncaughtExceptions],
+			['Unhandled rejections', stats.unhandledRejections],
+			['Timed out tests', stats.timedOutTests],
+		].filter(([label, count]) => count > 0 || label === 'Passed' || label === 'Failed');
+
+		return [
+			'## AVA test results',
+			'',
+			'| Result | Count |',
+			'| --- | ---: |',
+			...rows.map(([label, count]) => `| ${label} | ${count} |`),
+			'',
+			'',
+		].join(os.EOL);
+	}
+
+	endRun() {
+		if (this.summaryFile && this.stats) {
+			// Other steps may have written to the summary as well, so append.
+			fs.appendFileSync(this.summaryFile, this.formatSummary());
+		}
+	}
+}
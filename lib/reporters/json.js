@@ -0,0 +1,148 @@
+import {Buffer} from 'node:buffer';
+import os from 'node:os';
+import path from 'node:path';
+import {fileURLToPath} from 'node:url';
+import {stripVTControlCharacters} from 'node:util';
+
+// Increment when making incompatible changes to the events, such as removing or renaming fields.
+export const SCHEMA_VERSION = 1;
+
+const stripFormatting = value => typeof value === 'string' ? stripVTControlCharacters(value) : value;
+
+export default class JsonReporter {
+	constructor(options) {
+		this.projectDir = options.projectDir;
+		this.reportStream = options.reportStream;
+		this.sanitizeStackOutput = options.sanitizeStackOutput;
+	}
+
+	relativeFile(file) {
+		if (typeof file !== 'string') {
+			return file;
+		}
+
+		const absolute = file.startsWith('file://') ? fileURLToPath(file) : file;
+		return path.relative(this.projectDir, absolute).split(path.sep).join('/');
+	}
+
+	// Maps keyed by test file become objects keyed by the relative file path.
+	serializeFileMap(map, serializeValue) {
+		return Object.fromEntries([...map].map(([file, value]) => [this.relativeFile(file), serializeValue(value)]));
+	}
+
+	serializeError(error) {
+		if (error === undefined || error === null) {
+			return error;
+		}
+
+		if (error.type === 'unknown') {
+			return {type: 'unknown', formattedError: stripFormatting(error.formattedError)};
+		}
+
+		// The original error is a structured clone which may not be representable as JSON.
+		const {originalError, stack, ...rest} = error;
+		const serialized = {
+			...rest,
+			stack: this.sanitizeStackOutput?.(stack) ?? stack,
+		};
+
+		if (error.type === 'aggregate') {
+			serialized.errors = error.errors.map(error => this.serializeError(error));
+		}
+
+		if (error.type === 'ava') {
+			serialized.formattedCause = stripFormatting(error.formattedCause);
+			serialized.formattedDetails = error.formattedDetails.map(({label, formatted}) => ({
+				label: stripFormatting(label),
+				formatted: stripFormatting(formatted),
+			}));
+		}
+
+		if (error.source) {
+			serialized.source = {...error.source, file: this.relativeFile(error.source.file)};
+		}
+
+		return serialized;
+	}
+
+	serializeEvent(evt) {
+		const serialized = {...evt};
+
+		if (Object.hasOwn(evt, 'testFile')) {
+			serialized.testFile = this.relativeFile(evt.testFile);
+		}
+
+		if (evt.type === 'accessed-snapshots') {
+			serialized.filename = this.relativeFile(evt.filename);
+		}
+
+		if (Object.hasOwn(evt, 'err')) {
+			serialized.err = this.serializeError(evt.err);
+		}
+
+		if (evt.chunk !== undefined) {
+			serialized.chunk = Buffer.from(evt.chunk).toString();
+		}
+
+		if (evt.pendingTests !== undefined) {
+			serialized.pendingTests = this.serializeFileMap(evt.pendingTests, titles => [...titles]);
+		}
+
+		if (evt.pendingTestsLogs !== undefined) {
+			serialized.pendingTestsLogs = this.serializeFileMap(evt.pendingTestsLogs, logs => Object.fromEntries(logs));
+		}
+
+		if (evt.type === 'stats') {
+			serialized.stats = {...evt.stats, byFile: this.serializeFileMap(evt.stats.byFile, stats => stats)};
+		}
+
+		if (evt.type === 'obsolete-snapshots') {
+			serialized.snapPath = this.relativeFile(evt.snapPath);
+		}
+
+		if (evt.type === 'obsolete-snapshot-files') {
+			serialized.files = evt.files.map(file => this.relativeFile(file));
+		}
+
+		if (evt.type === 'snapshot-mismatch') {
+			// The serialized value is only of use to the watcher.
+			delete serialized.data;
+			delete serialized.paths;
+			serialized.snapPath = this.relativeFile(evt.paths.snapPath);
+		}
+
+		if (evt.type === 'touched-files') {
+			serialized.files = {
+				changedFiles: evt.files.changedFiles.map(file => this.relativeFile(file)),
+				temporaryFiles: evt.files.temporaryFiles.map(file => this.relativeFile(file)),
+			};
+		}
+
+		return serialized;
+	}
+
+	write(evt) {
+		this.reportStream.write(JSON.stringify(evt) + os.EOL);
+	}
+
+	startRun(plan) {
+		if (plan.bailWithoutReporting) {
+			return;
+		}
+
+		this.write({
+			type: 'run',
+			version: SCHEMA_VERSION,
+			files: plan.files.map(file => this.relativeFile(file)),
+			randomSeed: plan.randomSeed,
+		});
+
+		plan.status.on('stateChange', ({data: evt}) => this.consumeStateChange(evt));
+	}
+
+	consumeStateChange(evt) {
+		this.write(this.serializeEvent(evt));
+	}
+
+	endRun() {}
+}
@@ -0,0 +1,330 @@
+import {Buffer} from 'node:buffer';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {stripVTControlCharacters} from 'node:util';
+
+import beautifyStack from './beautify-stack.js';
+import formatSerializedError from './format-serialized-error.js';
+import improperUsageMessage from './improper-usage-messages.js';
+
+// Characters that are not allowed in XML 1.0 documents, not even when escaped.
+const INVALID_XML_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g; // eslint-disable-line no-control-regex
+
+const escapeXml = value => stripVTControlCharacters(String(value))
+	.replaceAll(INVALID_XML_CHARACTERS, '')
+	.replaceAll('&', '&amp;')
+	.replaceAll('<', '&lt;')
+	.replaceAll('>', '&gt;')
+	.replaceAll('"', '&quot;')
+	.replaceAll('\'', '&apos;');
+
+const formatAttributes = attributes => Object.entries(attributes)
+	.filter(([, value]) => value !== undefined)
+	.map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+	.join('');
+
+const formatSeconds = ms => (ms / 1000).toFixed(3);
+
+function formatFailure(error, sanitizeStackOutput) {
+	if (!error) {
+		return {message: '', type: 'Error', body: ''};
+	}
+
+	const name = error.name ?? 'Error';
+	const parts = [];
+	if (error.type === 'ava') {
+		const {formattedDetails, improperUsage, message} = error;
+		const result = formatSerializedError(formattedDetails, message);
+		if (result.printMessage) {
+			parts.push(message);
+		}
+
+		if (result.formatted) {
+			parts.push(result.formatted);
+		}
+
+		const usageMessage = improperUsageMessage(improperUsage);
+		if (usageMessage) {
+			parts.push(usageMessage);
+		}
+	} else {
+		parts.push(error.message ? `${name}: ${error.message}` : name);
+	}
+
+	const stack = beautifyStack(error.stack).map(line => `    at ${line}`).join('\n');
+	if (stack !== '') {
+		parts.push(sanitizeStackOutput?.(stack) ?? stack);
+	}
+
+	return {
+		message: error.message ?? '',
+		type: name,
+		body: parts.join('\n\n'),
+	};
+}
+
+export default class JunitReporter {
+	constructor(options) {
+		this.outputFile = options.outputFile;
+		this.projectDir = options.projectDir;
+		this.reportStream = options.reportStream;
+		this.sanitizeStackOutput = options.sanitizeStackOutput;
+
+		this.relativeFile = file => path.relative(this.projectDir, file).split(path.sep).join('/');
+		this.reset();
+	}
+
+	reset() {
+		this.runStart = performance.now();
+		this.suites = new Map();
+	}
+
+	startRun(plan) {
+		if (plan.bailWithoutReporting) {
+			return;
+		}
+
+		this.reset();
+		for (const file of plan.files) {
+			this.getSuite(file);
+		}
+
+		plan.status.on('stateChange', ({data: evt}) => this.consumeStateChange(evt));
+	}
+
+	getSuite(testFile) {
+		let suite = this.suites.get(testFile);
+		if (suite === undefined) {
+			suite = {
+				duration: undefined,
+				name: testFile === null ? 'ava' : this.relativeFile(testFile),
+				start: undefined,
+				stderr: '',
+				stdout: '',
+				testCases: [],
+			};
+			this.suites.set(testFile, suite);
+		}
+
+		return suite;
+	}
+
+	addTestCase(testFile, title, {duration, error, failure, skipped, logs} = {}) {
+		this.getSuite(testFile).testCases.push({
+			duration,
+			error: error === undefined ? undefined : formatFailure(error, this.sanitizeStackOutput),
+			failure: failure === undefined ? undefined : formatFailure(failure, this.sanitizeStackOutput),
+			logs: logs ?? [],
+			skipped,
+			title,
+		});
+	}
+
+	addPendingTestCases(evt, message) {
+		const error = {name: 'Error', message};
+		for (const [testFile, titles] of evt.pendingTests) {
+			for (const title of titles) {
+				this.addTestCase(testFile, title, {failure: error, logs: evt.pendingTestsLogs?.get(testFile)?.get(title)});
+			}
+		}
+	}
+
+	consumeStateChange(evt) { // eslint-disable-line complexity
+		switch (evt.type) {
+			case 'starting': {
+				this.getSuite(evt.testFile).start = performance.now();
+				break;
+			}
+
+			case 'hook-failed': {
+				this.addTestCase(evt.testFile, evt.title, {duration: evt.duration, failure: evt.err, logs: evt.logs});
+				break;
+			}
+
+			case 'internal-error': {
+				this.addTestCase(evt.testFile ?? null, 'Internal error', {error: evt.err});
+				break;
+			}
+
+			case 'line-number-selection-error': {
+				this.addTestCase(evt.testFile, 'Line number selection error', {error: evt.err});
+				break;
+			}
+
+			case 'missing-ava-import': {
+				this.addTestCase(evt.testFile, 'No tests found', {error: {name: 'Error', message: 'No tests found, make sure to import "ava" at the top of your test file'}});
+				break;
+			}
+
+			case 'process-exit': {
+				this.addPendingTestCases(evt, `Exiting due to process.exit() when running ${this.relativeFile(evt.testFile)}`);
+				break;
+			}
+
+			case 'selected-test': {
+				if (evt.skip) {
+					this.addTestCase(evt.testFile, evt.title, {skipped: 'Skipped'});
+				} else if (evt.todo) {
+					this.addTestCase(evt.testFile, evt.title, {skipped: 'Todo'});
+				}
+
+				break;
+			}
+
+			case 'shared-worker-error': {
+				this.addTestCase(null, 'Error in shared worker', {error: evt.err});
+				break;
+			}
+
+			case 'test-failed': {
+				this.addTestCase(evt.testFile, evt.title, {duration: evt.duration, failure: evt.err, logs: evt.logs});
+				break;
+			}
+
+			case 'test-passed': {
+				const failure = evt.knownFailing
+					? {name: 'Error', message: 'Test was expected to fail, but succeeded, you should stop marking the test as failing'}
+					: undefined;
+				this.addTestCase(evt.testFile, evt.title, {duration: evt.duration, failure, logs: evt.logs});
+
+				break;
+			}
+
+			case 'timeout': {
+				this.addPendingTestCases(evt, `Exited because no new tests completed within the last ${evt.period}ms of inactivity`);
+				break;
+			}
+
+			case 'uncaught-exception': {
+				this.addTestCase(evt.testFile, 'Uncaught exception', {error: evt.err});
+				break;
+			}
+
+			case 'unhandled-rejection': {
+				this.addTestCase(evt.testFile, 'Unhandled rejection', {error: evt.err});
+				break;
+			}
+
+			case 'worker-failed': {
+				const message = evt.nonZeroExitCode
+					? `Exited with a non-zero exit code: ${evt.nonZeroExitCode}`
+					: `Exited due to ${evt.signal}`;
+				this.addTestCase(evt.testFile, 'Worker failed', {error: evt.err ?? {name: 'Error', message}});
+				this.finishSuite(evt.testFile);
+				break;
+			}
+
+			case 'worker-finished': {
+				this.finishSuite(evt.testFile);
+				break;
+			}
+
+			case 'worker-stderr': {
+				this.getSuite(evt.testFile).stderr += Buffer.from(evt.chunk).toString();
+				break;
+			}
+
+			case 'worker-stdout': {
+				this.getSuite(evt.testFile).stdout += Buffer.from(evt.chunk).toString();
+				break;
+			}
+
+			default: {
+				break;
+			}
+		}
+	}
+
+	finishSuite(testFile) {
+		const suite = this.getSuite(testFile);
+		if (suite.start !== undefined && suite.duration === undefined) {
+			suite.duration = performance.now() - suite.start;
+		}
+	}
+
+	formatTestCase(suite, testCase) {
+		const attributes = formatAttributes({
+			name: testCase.title,
+			classname: suite.name,
+			time: formatSeconds(testCase.duration ?? 0),
+		});
+
+		const children = [];
+		if (testCase.skipped !== undefined) {
+			children.push(`<skipped${formatAttributes({message: testCase.skipped})}/>`);
+		}
+
+		for (const [element, failure] of [['failure', testCase.failure], ['error', testCase.error]]) {
+			if (failure !== undefined) {
+				children.push(`<${element}${formatAttributes({message: failure.message, type: failure.type})}>${escapeXml(failure.body)}</${element}>`);
+			}
+		}
+
+		if (testCase.logs.length > 0) {
+			children.push(`<system-out>${escapeXml(testCase.logs.join('\n'))}</system-out>`);
+		}
+
+		if (children.length === 0) {
+			return `\t\t<testcase${attributes}/>`;
+		}
+
+		return [`\t\t<testcase${attributes}>`, ...children.map(child => `\t\t\t${child}`), '\t\t</testcase>'].join(os.EOL);
+	}
+
+	formatSuite(suite) {
+		const count = predicate => suite.testCases.filter(testCase => predicate(testCase)).length;
+		const attributes = formatAttributes({
+			name: suite.name,
+			tests: suite.testCases.length,
+			failures: count(testCase => testCase.failure !== undefined),
+			errors: count(testCase => testCase.error !== undefined),
+			skipped: count(testCase => testCase.skipped !== undefined),
+			time: formatSeconds(suite.duration ?? 0),
+		});
+
+		const lines = [`\t<testsuite${attributes}>`];
+		for (const testCase of suite.testCases) {
+			lines.push(this.formatTestCase(suite, testCase));
+		}
+
+		if (suite.stdout !== '') {
+			lines.push(`\t\t<system-out>${escapeXml(suite.stdout)}</system-out>`);
+		}
+
+		if (suite.stderr !== '') {
+			lines.push(`\t\t<system-err>${escapeXml(suite.stderr)}</system-err>`);
+		}
+
+		lines.push('\t</testsuite>');
+		return lines.join(os.EOL);
+	}
+
+	endRun() {
+		const suites = [...this.suites.values()];
+		const testCases = suites.flatMap(suite => suite.testCases);
+		const attributes = formatAttributes({
+			name: 'ava',
+			tests: testCases.length,
+			failures: testCases.filter(testCase => testCase.failure !== undefined).length,
+			errors: testCases.filter(testCase => testCase.error !== undefined).length,
+			skipped: testCases.filter(testCase => testCase.skipped !== undefined).length,
+			time: formatSeconds(performance.now() - this.runStart),
+		});
+
+		const xml = [
+			'<?xml version="1.0" encoding="UTF-8"?>',
+			`<testsuites${attributes}>`,
+			...suites.map(suite => this.formatSuite(suite)),
+			'</testsuites>',
+			'',
+		].join(os.EOL);
+
+		if (this.outputFile) {
+			fs.mkdirSync(path.dirname(this.outputFile), {recursive: true});
+			fs.writeFileSync(this.outputFile, xml);
+		} else {
+			this.reportStream.write(xml);
+		}
+	}
+}
@@ -60,11 +60,13 @@ export default class TapReporter {
 		this.crashCount = 0;
 		this.filesWithMissingAvaImports = new Set();
 		this.prefixTitle = (testFile, title) => title;
+		this.randomSeed = undefined;
 		this.relativeFile = file => path.relative(options.projectDir, file);
 		this.stats = null;
 	}
 
 	startRun(plan) {
+		this.randomSeed = plan.randomSeed;
 		if (plan.files.length > 1) {
 			this.prefixTitle = (testFile, title) => prefixTitle(this.extensions, plan.filePathPrefix, testFile, title);
 		}
@@ -84,6 +86,14 @@ export default class TapReporter {
 				todo: this.stats.todoTests,
 			}) + os.EOL);
 
+			if (this.stats.flakyTests > 0) {
+				this.reportStream.write(`# flaky ${this.stats.flakyTests}` + os.EOL);
+			}
+
+			if (this.randomSeed !== undefined) {
+				this.reportStream.write(`# random seed ${this.randomSeed}` + os.EOL);
+			}
+
 			if (this.stats.parallelRuns) {
 				const {currentFileCount, currentIndex, totalRuns} = this.stats.parallelRuns;
 				this.reportStream.write(`# Ran ${currentFileCount} test ${plur('file', currentFileCount)} out of ${this.stats.files} for job ${currentIndex + 1} of ${totalRuns}` + os.EOL + os.EOL);
@@ -210,6 +220,16 @@ export default class TapReporter {
 
 			case 'test-passed': {
 				this.writeTest(evt, {passed: true, todo: false, skip: false});
+				if (evt.retries > 0) {
+					this.writeComment(evt, {title: `${this.prefixTitle(evt.testFile, evt.title)} is flaky, it passed after ${evt.retries} ${plur('retry', evt.retries)}`});
+				}
+
+				break;
+			}
+
+			case 'test-retried': {
+				const reason = evt.err.message ? `: ${evt.err.message}` : '';
+				this.writeComment(evt, {title: `Retrying ${this.prefixTitle(evt.testFile, evt.title)} (${evt.attempt} of ${evt.retries})${reason}`});
 				break;
 			}
 
@@ -10,6 +10,7 @@ export default class RunStatus extends Emittery {
 
 		this.pendingTests = new Map();
 		this.pendingTestsLogs = new Map();
+		this.testResults = new Map();
 
 		this.emptyParallelRun = parallelRuns
 			&& parallelRuns.currentFileCount === 0
@@ -18,6 +19,8 @@ export default class RunStatus extends Emittery {
 
 		this.selectionInsights = selectionInsights;
 
+		this.obsoleteSnapshots = 0;
+
 		this.stats = {
 			byFile: new Map(),
 			declaredTests: 0,
@@ -25,6 +28,7 @@ export default class RunStatus extends Emittery {
 			failedTests: 0,
 			failedWorkers: 0,
 			files,
+			flakyTests: 0,
 			parallelRuns,
 			finishedWorkers: 0,
 			internalErrors: 0,
@@ -48,6 +52,7 @@ export default class RunStatus extends Emittery {
 			declaredTests: 0,
 			failedHooks: 0,
 			failedTests: 0,
+			flakyTests: 0,
 			internalErrors: 0,
 			remainingTests: 0,
 			passedKnownFailingTests: 0,
@@ -64,6 +69,7 @@ export default class RunStatus extends Emittery {
 
 		this.pendingTests.set(testFile, new Set());
 		this.pendingTestsLogs.set(testFile, new Map());
+		this.testResults.set(testFile, {failed: new Set(), failedFile: false, passed: new Set()});
 		worker.onStateChange(data => this.emitStateChange(data));
 	}
 
@@ -83,6 +89,7 @@ export default class RunStatus extends Emittery {
 			case 'hook-failed': {
 				stats.failedHooks++;
 				fileStats.failedHooks++;
+				this.markFileFailed(event.testFile);
 				break;
 			}
 
@@ -90,6 +97,7 @@ export default class RunStatus extends Emittery {
 				stats.internalErrors++;
 				if (event.testFile) {
 					fileStats.internalErrors++;
+					this.markFileFailed(event.testFile);
 				}
 
 				break;
@@ -121,9 +129,14 @@ export default class RunStatus extends Emittery {
 			case 'test-failed': {
 				stats.failedTests++;
 				fileStats.failedTests++;
+				if (event.timedOut) {
+					stats.timedOutTests++;
+				}
+
 				stats.remainingTests--;
 				fileStats.remainingTests--;
 				this.removePendingTest(event);
+				this.testResults.get(event.testFile)?.failed.add(event.title);
 				break;
 			}
 
@@ -136,9 +149,15 @@ export default class RunStatus extends Emittery {
 					fileStats.passedTests++;
 				}
 
+				if (event.retries > 0) {
+					stats.flakyTests++;
+					fileStats.flakyTests++;
+				}
+
 				stats.remainingTests--;
 				fileStats.remainingTests--;
 				this.removePendingTest(event);
+				this.testResults.get(event.testFile)?.passed.add(event.title);
 				break;
 			}
 
@@ -153,8 +172,9 @@ export default class RunStatus extends Emittery {
 				event.pendingTestsLogs = this.pendingTestsLogs;
 				this.pendingTests = new Map();
 				this.pendingTestsLogs = new Map();
-				for (const testsInFile of event.pendingTests.values()) {
+				for (const [testFile, testsInFile] of event.pendingTests) {
 					stats.timedOutTests += testsInFile.size;
+					this.markFileFailed(testFile);
 				}
 
 				break;
@@ -168,9 +188,28 @@ export default class RunStatus extends Emittery {
 				break;
 			}
 
+			case 'obsolete-snapshots': {
+				if (!event.pruned) {
+					this.obsoleteSnapshots += event.titles.length;
+				}
+
+				changedStats = false;
+				break;
+			}
+
+			case 'obsolete-snapshot-files': {
+				if (!event.pruned) {
+					this.obsoleteSnapshots += event.files.length;
+				}
+
+				changedStats = false;
+				break;
+			}
+
 			case 'process-exit': {
 				stats.unexpectedProcessExits++;
 				fileStats.unexpectedProcessExits++;
+				this.markFileFailed(event.testFile);
 				event.pendingTests = this.pendingTests;
 				event.pendingTestsLogs = this.pendingTestsLogs;
 				this.pendingTests = new Map();
@@ -181,17 +220,20 @@ export default class RunStatus extends Emittery {
 			case 'uncaught-exception': {
 				stats.uncaughtExceptions++;
 				fileStats.uncaughtExceptions++;
+				this.markFileFailed(event.testFile);
 				break;
 			}
 
 			case 'unhandled-rejection': {
 				stats.unhandledRejections++;
 				fileStats.unhandledRejections++;
+				this.markFileFailed(event.testFile);
 				break;
 			}
 
 			case 'worker-failed': {
 				stats.failedWorkers++;
+				this.markFileFailed(event.testFile);
 				break;
 			}
 
@@ -243,6 +285,7 @@ export default class RunStatus extends Emittery {
 			|| this.stats.uncaughtExceptions > 0
 			|| this.stats.unexpectedProcessExits > 0
 			|| this.stats.unhandledRejections > 0
+			|| (circumstances.failOnObsoleteSnapshots && this.obsoleteSnapshots > 0)
 		) {
 			return 1;
 		}
@@ -270,7 +313,18 @@ export default class RunStatus extends Emittery {
 		}
 	}
 
-	getFailedTestFiles() {
-		return [...this.stats.byFile].filter(statByFile => statByFile[1].failedTests).map(statByFile => statByFile[0]);
+	// Failures that cannot be attributed to a specific test, such as failing hooks or uncaught exceptions, mark the whole
+	// test file as failed.
+	markFileFailed(testFile) {
+		const results = this.testResults.get(testFile);
+		if (results !== undefined) {
+			results.failedFile = true;
+		}
+	}
+
+	// The titles of the tests that passed and failed in each test file that was run, and whether the test file itself
+	// failed.
+	getTestResults() {
+		return this.testResults;
 	}
 }
@@ -1,19 +1,46 @@
+import path from 'node:path';
 import process from 'node:process';
 import {pathToFileURL} from 'node:url';
 
 import Emittery from 'emittery';
+import isPromise from 'is-promise';
 import * as matcher from 'matcher';
+import slash from 'slash';
 
 import ContextRef from './context-ref.js';
 import createChain from './create-chain.js';
 import parseTestArgs from './parse-test-args.js';
+import {shuffle} from './random-order.js';
 import serializeError from './serialize-error.js';
 import {load as loadSnapshots, determineSnapshotDir} from './snapshot-manager.js';
 import Runnable from './test.js';
+import InlineSnapshots, {normalizeInlineSnapshot} from './worker/inline-snapshots.js';
 import {waitForReady} from './worker/state.js';
 
 const makeFileURL = file => file.startsWith('file://') ? file : pathToFileURL(file).toString();
 
+const GROUP_SEPARATOR = ' › ';
+
+const createHookTasks = () => ({
+	after: [],
+	afterAlways: [],
+	afterEach: [],
+	afterEachAlways: [],
+	before: [],
+	beforeEach: [],
+});
+
+const prefixGroupTitle = (group, title) => group === null ? title : `${group.title}${GROUP_SEPARATOR}${title}`;
+
+const getGroupLineage = group => {
+	const lineage = [];
+	for (let current = group; current !== null; current = current.parent) {
+		lineage.unshift(current);
+	}
+
+	return lineage;
+};
+
 const isTitleMatch = (title, patterns) => {
 	if (patterns.length === 0) {
 		return true;
@@ -31,27 +58,35 @@ export default class Runner extends Emittery {
 		this.failWithoutAssertions = options.failWithoutAssertions !== false;
 		this.file = options.file;
 		this.checkSelectedByLineNumbers = options.checkSelectedByLineNumbers;
+		this.detectObsoleteSnapshots = options.detectObsoleteSnapshots === true;
+		this.listTests = options.listTests === true;
+		this.locateDeclaration = options.locateDeclaration;
 		this.matchPatterns = options.match ?? [];
+		this.selectedTitles = options.selectTitles === undefined ? null : new Set(options.selectTitles);
 		this.projectDir = options.projectDir;
+		this.pruneSnapshots = options.pruneSnapshots === true;
+		this.randomSeed = options.randomSeed;
 		this.recordNewSnapshots = options.recordNewSnapshots === true;
+		this.reportSnapshotMismatches = options.reportSnapshotMismatches === true;
+		this.retries = options.retries ?? 0;
 		this.serial = options.serial === true;
 		this.snapshotDir = options.snapshotDir;
+		this.snapshotFormat = options.snapshotFormat;
+		this.testTimeout = options.testTimeout;
 		this.updateSnapshots = options.updateSnapshots;
 
 		this.activeRunnables = new Set();
+		this.currentGroup = null;
+		this.enteredGroups = [];
 		this.boundCompareTestSnapshot = this.compareTestSnapshot.bind(this);
+		this.boundCompareInlineSnapshot = this.compareInlineSnapshot.bind(this);
 		this.boundSkipSnapshot = this.skipSnapshot.bind(this);
 		this.interrupted = false;
 		this.runOnlyExclusive = false;
 
 		this.nextTaskIndex = 0;
 		this.tasks = {
-			after: [],
-			afterAlways: [],
-			afterEach: [],
-			afterEachAlways: [],
-			before: [],
-			beforeEach: [],
+			...createHookTasks(),
 			concurrent: [],
 			serial: [],
 			todo: [],
@@ -97,11 +132,23 @@ export default class Runner extends Emittery {
 				});
 			}
 
+			if (metadata.type === 'group') {
+				this.declareGroup(metadata, testArgs);
+				return;
+			}
+
 			metadata.taskIndex = this.nextTaskIndex++;
 
+			const group = this.currentGroup;
+			if (group !== null) {
+				metadata.exclusive ||= group.metadata.exclusive;
+				metadata.serial ||= group.metadata.serial;
+				metadata.skipped ||= group.metadata.skipped;
+			}
+
 			const {args, implementation, title} = parseTestArgs(testArgs);
 
-			metadata.selected &&= this.checkSelectedByLineNumbers?.() ?? true;
+			metadata.selected &&= this.checkSelectedByLineNumbers?.({eachRowIndex: metadata.eachRowIndex}) ?? true;
 
 			if (metadata.todo) {
 				if (implementation) {
@@ -112,18 +159,23 @@ export default class Runner extends Emittery {
 					throw new TypeError('`todo` tests require a title');
 				}
 
-				if (!this.registerUniqueTitle(title.value)) {
-					throw new Error(`Duplicate test title: ${title.value}`);
+				const todoTitle = prefixGroupTitle(group, title.value);
+				if (!this.registerUniqueTitle(todoTitle)) {
+					throw new Error(`Duplicate test title: ${todoTitle}`);
 				}
 
 				// --match selects TODO tests.
-				metadata.selected &&= isTitleMatch(title.value, this.matchPatterns);
+				metadata.selected &&= isTitleMatch(todoTitle, this.matchPatterns) && this.isSelectedTitle(todoTitle);
 
-				this.tasks.todo.push({title: title.value, metadata});
+				this.tasks.todo.push({title: todoTitle, metadata});
 				this.emit('stateChange', {
 					type: 'declared-test',
-					title: title.value,
+					title: todoTitle,
 					knownFailing: false,
+					line: this.locateDeclaration?.({eachRowIndex: metadata.eachRowIndex}),
+					only: metadata.exclusive,
+					serial: metadata.serial,
+					skip: false,
 					todo: true,
 				});
 			} else {
@@ -146,35 +198,42 @@ export default class Runner extends Emittery {
 					}
 				}
 
-				if (metadata.type === 'test' && !this.registerUniqueTitle(title.value)) {
-					throw new Error(`Duplicate test title: ${title.value}`);
+				const taskTitle = prefixGroupTitle(group, title.value ?? fallbackTitle);
+				if (metadata.type === 'test' && !this.registerUniqueTitle(taskTitle)) {
+					throw new Error(`Duplicate test title: ${taskTitle}`);
 				}
 
 				const task = {
-					title: title.value ?? fallbackTitle,
+					title: taskTitle,
 					implementation,
 					args,
+					group,
 					metadata: {...metadata},
 				};
 
 				if (metadata.type === 'test') {
-					task.metadata.selected &&= isTitleMatch(title.value, this.matchPatterns);
+					task.metadata.selected &&= isTitleMatch(taskTitle, this.matchPatterns) && this.isSelectedTitle(taskTitle);
 					// Unmatched .only() are not selected and won't run. However, runOnlyExclusive can only be true if no titles
-					// are being matched.
-					this.runOnlyExclusive ||= this.matchPatterns.length === 0 && task.metadata.exclusive && task.metadata.selected;
+					// are being matched or selected.
+					this.runOnlyExclusive ||= this.matchPatterns.length === 0 && this.selectedTitles === null && task.metadata.exclusive && task.metadata.selected;
 
 					this.tasks[metadata.serial ? 'serial' : 'concurrent'].push(task);
 
-					this.snapshots.touch(title.value, metadata.taskIndex);
+					this.snapshots.touch(taskTitle, metadata.taskIndex);
 
 					this.emit('stateChange', {
 						type: 'declared-test',
-						title: title.value,
+						title: taskTitle,
 						knownFailing: metadata.failing,
+						line: this.locateDeclaration?.({eachRowIndex: metadata.eachRowIndex}),
+						only: metadata.exclusive,
+						serial: metadata.serial,
+						skip: metadata.skipped,
 						todo: false,
 					});
 				} else if (!metadata.skipped) {
-					this.tasks[metadata.type + (metadata.always ? 'Always' : '')].push(task);
+					const hookTasks = group === null ? this.tasks : group.hooks;
+					hookTasks[metadata.type + (metadata.always ? 'Always' : '')].push(task);
 				}
 			}
 		}, {
@@ -190,6 +249,42 @@ export default class Runner extends Emittery {
 		}, meta);
 	}
 
+	declareGroup(metadata, [title, implementation]) {
+		if (typeof title !== 'string' || title.trim() === '') {
+			throw new TypeError('Groups must have a title');
+		}
+
+		if (typeof implementation !== 'function') {
+			throw new TypeError('Expected a group implementation');
+		}
+
+		const parent = this.currentGroup;
+		const group = {
+			title: prefixGroupTitle(parent, title.trim().replaceAll(/\s+/g, ' ')),
+			parent,
+			hooks: createHookTasks(),
+			metadata: {
+				exclusive: metadata.exclusive || (parent?.metadata.exclusive ?? false),
+				serial: metadata.serial || (parent?.metadata.serial ?? false),
+				skipped: metadata.skipped || (parent?.metadata.skipped ?? false),
+			},
+			entered: null,
+			exited: false,
+			passed: true,
+			pendingTests: 0,
+		};
+
+		this.currentGroup = group;
+		try {
+			const retval = implementation(this.chain);
+			if (isPromise(retval)) {
+				throw new TypeError('Groups must be declared synchronously');
+			}
+		} finally {
+			this.currentGroup = parent;
+		}
+	}
+
 	get snapshots() {
 		if (this._snapshots) {
 			return this._snapshots;
@@ -201,6 +296,7 @@ export default class Runner extends Emittery {
 		const snapshots = loadSnapshots({
 			file: this.file,
 			fixedLocation: this.snapshotDir,
+			format: this.snapshotFormat,
 			projectDir: this.projectDir,
 			recordNewSnapshots: this.recordNewSnapshots,
 			updating: this.updateSnapshots,
@@ -213,16 +309,81 @@ export default class Runner extends Emittery {
 		return snapshots;
 	}
 
+	// Tests can be selected by their exact title, e.g. to rerun the tests that failed previously.
+	isSelectedTitle(title) {
+		return this.selectedTitles === null || this.selectedTitles.has(title);
+	}
+
 	compareTestSnapshot(options) {
-		return this.snapshots.compare(options);
+		const result = this.snapshots.compare(options);
+
+		// Mismatches inside `t.try()` may be discarded, so they're not reported for review.
+		if (this.reportSnapshotMismatches && !result.pass && result.actual !== undefined && !options.deferRecording) {
+			this.emit('stateChange', {
+				type: 'snapshot-mismatch',
+				title: options.belongsTo,
+				...this.snapshots.describeMismatch(options, result.expected),
+			});
+		}
+
+		return result;
 	}
 
 	skipSnapshot(options) {
 		return this.snapshots.skipSnapshot(options);
 	}
 
+	get inlineSnapshots() {
+		this._inlineSnapshots ??= new InlineSnapshots({file: this.file});
+		return this._inlineSnapshots;
+	}
+
+	compareInlineSnapshot({actual, expected}) {
+		const normalized = expected === undefined ? undefined : normalizeInlineSnapshot(expected);
+		if (actual === normalized) {
+			return {pass: true};
+		}
+
+		const record = expected === undefined ? this.recordNewSnapshots || this.updateSnapshots : this.updateSnapshots;
+		if (record) {
+			return this.inlineSnapshots.record(actual);
+		}
+
+		return {pass: false, expected: normalized};
+	}
+
+	// Find the snapshots of tests that are no longer declared, removing them if requested. Must be called before the
+	// snapshot state is saved.
+	findObsoleteSnapshots() {
+		if (!this.detectObsoleteSnapshots || this._snapshots === undefined) {
+			return null;
+		}
+
+		const titles = this.snapshots.findObsoleteBlocks();
+		if (titles.length === 0) {
+			return null;
+		}
+
+		if (this.pruneSnapshots) {
+			this.snapshots.pruneBlocks(titles);
+		}
+
+		return {snapPath: this.snapshots.snapPath, titles, pruned: this.pruneSnapshots};
+	}
+
 	async saveSnapshotState() {
-		return {touchedFiles: await this.snapshots.save()};
+		const touchedFiles = await this.snapshots.save();
+		const rewrittenFiles = await this._inlineSnapshots?.save();
+		if (!rewrittenFiles) {
+			return {touchedFiles};
+		}
+
+		return {
+			touchedFiles: {
+				changedFiles: [...touchedFiles?.changedFiles ?? [], ...rewrittenFiles.changedFiles],
+				temporaryFiles: [...touchedFiles?.temporaryFiles ?? [], ...rewrittenFiles.temporaryFiles],
+			},
+		};
 	}
 
 	onRun(runnable) {
@@ -284,7 +445,7 @@ export default class Runner extends Emittery {
 		return result;
 	}
 
-	async runHooks(tasks, contextRef, {titleSuffix, testPassed} = {}) {
+	async runHooks(tasks, contextRef, {titleSuffix, testPassed, registerRestore} = {}) {
 		const hooks = tasks.map(task => new Runnable({
 			contextRef,
 			experiments: this.experiments,
@@ -293,13 +454,16 @@ export default class Runner extends Emittery {
 				? task.implementation
 				: t => Reflect.apply(task.implementation, null, [t, ...task.args]),
 			compareTestSnapshot: this.boundCompareTestSnapshot,
+			compareInlineSnapshot: this.boundCompareInlineSnapshot,
 			skipSnapshot: this.boundSkipSnapshot,
 			updateSnapshots: this.updateSnapshots,
 			metadata: task.metadata,
 			title: `${task.title}${titleSuffix ?? ''}`,
 			isHook: true,
 			testPassed,
+			registerRestore,
 			notifyTimeoutUpdate: this.notifyTimeoutUpdate,
+			timeout: task.metadata.timeout,
 		}));
 		const outcome = await this.runMultiple(hooks, this.serial);
 		for (const result of outcome.storedResults) {
@@ -325,16 +489,133 @@ export default class Runner extends Emittery {
 	}
 
 	async runTest(task, contextRef) {
+		if (task.group === null) {
+			return this.runTestWithHooks(task, contextRef, [this.tasks]);
+		}
+
+		const lineage = getGroupLineage(task.group);
+		const {ok, contextRef: groupContextRef} = await this.enterGroup(task.group, contextRef);
+
+		// Don't run the test if a `before` hook of the group, or of one of its parents, failed.
+		const passed = ok && await this.runTestWithHooks(task, groupContextRef, [this.tasks, ...lineage.map(group => group.hooks)]);
+		await this.leaveGroup(task.group, passed);
+		return passed;
+	}
+
+	enterGroup(group, contextRef) {
+		// Groups are entered when their first test runs. Their `before` hooks see the context of the parent group, but
+		// changes made to the context are only visible to tests and hooks within the group.
+		group.entered ??= (async () => {
+			let parentContextRef = contextRef;
+			if (group.parent !== null) {
+				const parent = await this.enterGroup(group.parent, contextRef);
+				if (!parent.ok) {
+					return {ok: false, contextRef: null};
+				}
+
+				parentContextRef = parent.contextRef;
+			}
+
+			this.enteredGroups.push(group);
+			const groupContextRef = parentContextRef.copy();
+			const ok = await this.runHooks(group.hooks.before, groupContextRef);
+			return {ok, contextRef: groupContextRef};
+		})();
+
+		return group.entered;
+	}
+
+	async leaveGroup(group, passed) {
+		group.passed &&= passed;
+		group.pendingTests--;
+		if (group.pendingTests === 0) {
+			await this.exitGroup(group);
+		}
+
+		if (group.parent !== null) {
+			await this.leaveGroup(group.parent, passed);
+		}
+	}
+
+	async exitGroup(group) {
+		if (group.entered === null || group.exited) {
+			return;
+		}
+
+		group.exited = true;
+
+		const {ok, contextRef} = await group.entered;
+		if (contextRef === null) {
+			return;
+		}
+
+		// Only run `after` hooks if all of the group's hooks and tests ran, and passed.
+		if (ok && group.passed && group.pendingTests === 0) {
+			await this.runHooks(group.hooks.after, contextRef);
+		}
+
+		await this.runHooks(group.hooks.afterAlways, contextRef);
+	}
+
+	async exitRemainingGroups() {
+		// Groups may not have completed if tests were prevented from running. Always run their `after.always` hooks,
+		// starting with the most recently entered group.
+		for (const group of this.enteredGroups.toReversed()) {
+			await this.exitGroup(group); // eslint-disable-line no-await-in-loop
+		}
+	}
+
+	countPendingGroupTests(tasks) {
+		// Track how many tests are to be run within each group, so their `after` hooks can run once they've completed.
+		for (const task of tasks) {
+			for (const group of getGroupLineage(task.group)) {
+				group.pendingTests++;
+			}
+		}
+	}
+
+	async runTestWithHooks(task, contextRef, hookTasks) {
+		const retries = task.metadata.retries ?? this.retries;
+		for (let attempt = 0; ; attempt++) {
+			// Each attempt starts with a fresh copy of the context.
+			const {ok, retry} = await this.runTestAttempt(task, contextRef.copy(), hookTasks, { // eslint-disable-line no-await-in-loop
+				attempt,
+				canRetry: attempt < retries,
+				retries,
+			});
+			if (!retry) {
+				return ok;
+			}
+		}
+	}
+
+	async runTestAttempt(task, contextRef, hookTasks, {attempt, canRetry, retries}) {
 		const hookSuffix = ` for ${task.title}`;
-		let hooksOk = await this.runHooks(
-			this.tasks.beforeEach,
-			contextRef,
-			{
-				titleSuffix: hookSuffix,
-			},
-		);
+		// Mocks from `beforeEach` and `afterEach` hooks are restored once all hooks for this test have run.
+		const restores = [];
+		const registerRestore = restore => {
+			restores.push(restore);
+		};
+
+		let hooksOk = true;
+		// Outer `beforeEach` hooks run before those of nested groups.
+		for (const {beforeEach} of hookTasks) {
+			hooksOk = await this.runHooks( // eslint-disable-line no-await-in-loop
+				beforeEach,
+				contextRef,
+				{
+					titleSuffix: hookSuffix,
+					registerRestore,
+				},
+			);
+
+			if (!hooksOk) {
+				break;
+			}
+		}
 
 		let testOk = false;
+		let retry = false;
 		if (hooksOk) {
 			// Only run the test if all `beforeEach` hooks passed.
 			const test = new Runnable({
@@ -345,12 +626,14 @@ export default class Runner extends Emittery {
 					? task.implementation
 					: t => Reflect.apply(task.implementation, null, [t, ...task.args]),
 				compareTestSnapshot: this.boundCompareTestSnapshot,
+				compareInlineSnapshot: this.boundCompareInlineSnapshot,
 				skipSnapshot: this.boundSkipSnapshot,
 				updateSnapshots: this.updateSnapshots,
 				metadata: task.metadata,
 				title: task.title,
 				registerUniqueTitle: this.registerUniqueTitle,
 				notifyTimeoutUpdate: this.notifyTimeoutUpdate,
+				timeout: task.metadata.timeout ?? this.testTimeout,
 			});
 
 			this.emit('stateChange', {
@@ -369,16 +652,34 @@ export default class Runner extends Emittery {
 					duration: result.duration,
 					knownFailing: result.metadata.failing,
 					logs: result.logs,
+					retries: attempt,
 				});
 
-				hooksOk = await this.runHooks(
-					this.tasks.afterEach,
-					contextRef,
-					{
-						titleSuffix: hookSuffix,
-						testPassed: testOk,
-					},
-				);
+				// `afterEach` hooks of nested groups run before outer ones.
+				for (const {afterEach} of hookTasks.toReversed()) {
+					const afterEachOk = await this.runHooks( // eslint-disable-line no-await-in-loop
+						afterEach,
+						contextRef,
+						{
+							titleSuffix: hookSuffix,
+							testPassed: testOk,
+							registerRestore,
+						},
+					);
+					hooksOk &&= afterEachOk;
+				}
+			} else if (canRetry) {
+				retry = true;
+				this.emit('stateChange', {
+					type: 'test-retried',
+					title: result.title,
+					err: serializeError(result.error, {testFile: this.file}),
+					duration: result.duration,
+					attempt: attempt + 1,
+					retries,
+					logs: result.logs,
+				});
+				// Don't run `afterEach` hooks if the test failed.
 			} else {
 				this.emit('stateChange', {
 					type: 'test-failed',
@@ -387,25 +688,47 @@ export default class Runner extends Emittery {
 					duration: result.duration,
 					knownFailing: result.metadata.failing,
 					logs: result.logs,
+					timedOut: result.timedOut,
 				});
 				// Don't run `afterEach` hooks if the test failed.
 			}
 		}
 
-		const alwaysOk = await this.runHooks(
-			this.tasks.afterEachAlways,
-			contextRef,
-			{
-				titleSuffix: hookSuffix,
-				testPassed: testOk,
-			},
-		);
-		return alwaysOk && hooksOk && testOk;
+		let alwaysOk = true;
+		for (const {afterEachAlways} of hookTasks.toReversed()) {
+			const ok = await this.runHooks( // eslint-disable-line no-await-in-loop
+				afterEachAlways,
+				contextRef,
+				{
+					titleSuffix: hookSuffix,
+					testPassed: testOk,
+					registerRestore,
+				},
+			);
+			alwaysOk &&= ok;
+		}
+
+		for (const restore of restores.toReversed()) {
+			restore();
+		}
+
+		return {ok: alwaysOk && hooksOk && testOk, retry};
+	}
+
+	shuffleTests(tests) {
+		if (this.randomSeed === undefined) {
+			return tests;
+		}
+
+		// Shuffle based on the path relative to the project directory, so the order can be replayed on other machines. Use
+		// POSIX separators so the order is the same across operating systems.
+		const key = this.projectDir === undefined ? this.file : slash(path.relative(this.projectDir, this.file));
+		return shuffle(tests, this.randomSeed, key);
 	}
 
-	async start() {
-		const concurrentTests = [];
-		const serialTests = [];
+	async start() { // eslint-disable-line complexity
+		let concurrentTests = [];
+		let serialTests = [];
 		for (const task of this.tasks.serial) {
 			if (!task.metadata.selected || (this.runOnlyExclusive && !task.metadata.exclusive)) {
 				this.snapshots.skipBlock(task.title, task.metadata.taskIndex);
@@ -464,6 +787,17 @@ export default class Runner extends Emittery {
 			});
 		}
 
+		// When listing tests, stop once the selected tests are known, without running any hooks or tests.
+		if (this.listTests) {
+			this.emit('finish');
+			return;
+		}
+
+		serialTests = this.shuffleTests(serialTests);
+		concurrentTests = this.shuffleTests(concurrentTests);
+
+		this.countPendingGroupTests([...serialTests, ...concurrentTests]);
+
 		await Promise.all(this.waitForReady);
 
 		if (concurrentTests.length === 0 && serialTests.length === 0) {
@@ -495,7 +829,7 @@ export default class Runner extends Emittery {
 					return false;
 				}
 
-				return this.runTest(task, contextRef.copy());
+				return this.runTest(task, contextRef);
 			}, true);
 		});
 		const concurrentPromise = Promise.all([beforePromise, serialPromise]).then(async ([beforeHooksOk, serialOk]) => {
@@ -512,7 +846,7 @@ export default class Runner extends Emittery {
 
 			// If a concurrent test fails, even if `failFast` is enabled it won't
 			// stop other concurrent tests from running.
-			const allOkays = await Promise.all(concurrentTests.map(task => this.runTest(task, contextRef.copy())));
+			const allOkays = await Promise.all(concurrentTests.map(task => this.runTest(task, contextRef)));
 			return allOkays.every(Boolean);
 		});
 
@@ -521,6 +855,9 @@ export default class Runner extends Emittery {
 
 		try {
 			const ok = await concurrentPromise;
+
+			await this.exitRemainingGroups();
+
 			// Only run `after` hooks if all hooks and tests passed.
 			if (ok) {
 				await this.runHooks(this.tasks.after, contextRef);
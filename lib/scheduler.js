@@ -1,24 +1,68 @@
 import fs from 'node:fs';
 import path from 'node:path';
 
+import slash from 'slash';
 import writeFileAtomic from 'write-file-atomic';
 
 import isCi from './is-ci.js';
 
 const FILENAME = 'failing-tests.json';
+const DURATIONS_FILENAME = 'file-durations.json';
+
+// Durations are keyed by the path relative to the project directory, with POSIX separators so the cache can be shared
+// across operating systems.
+const durationKey = (projectDir, file) => slash(path.relative(projectDir, file));
+
+function readFileDurations(cacheDir) {
+	try {
+		return JSON.parse(fs.readFileSync(path.join(cacheDir, DURATIONS_FILENAME)));
+	} catch {
+		return {};
+	}
+}
+
+// Maps each test file with failures to the titles of its failing tests, or to `null` if the test file itself failed.
+// Relative paths are stored, like for the file durations.
+function readStoredFailedTests(cacheDir) {
+	try {
+		const stored = JSON.parse(fs.readFileSync(path.join(cacheDir, FILENAME)));
+		// Earlier versions stored an array of test files.
+		return Array.isArray(stored) ? {} : stored;
+	} catch {
+		return {};
+	}
+}
 
 const scheduler = {
-	storeFailedTestFiles(runStatus, cacheDir) {
+	// Record the failing tests, so they can be run first or be rerun by themselves. Tests that passed are removed, and
+	// failures in test files that were not run are retained.
+	storeFailedTests(runStatus, projectDir, cacheDir) {
 		if (isCi || !cacheDir) {
 			return;
 		}
 
+		const failedTests = readStoredFailedTests(cacheDir);
+		for (const [file, {failed, failedFile, passed}] of runStatus.getTestResults()) {
+			const key = path.relative(projectDir, file);
+			if (failedFile) {
+				failedTests[key] = null;
+				continue;
+			}
+
+			const titles = new Set([...(failedTests[key] ?? []).filter(title => !passed.has(title)), ...failed]);
+			if (titles.size > 0) {
+				failedTests[key] = [...titles];
+			} else {
+				delete failedTests[key];
+			}
+		}
+
 		const filename = path.join(cacheDir, FILENAME);
 		// Given that we're writing to a cache directory, consider this file
 		// temporary.
 		const temporaryFiles = [filename];
 		try {
-			writeFileAtomic.sync(filename, JSON.stringify(runStatus.getFailedTestFiles()), {
+			writeFileAtomic.sync(filename, JSON.stringify(failedTests), {
 				tmpfileCreated(tmpfile) {
 					temporaryFiles.push(tmpfile);
 				},
@@ -31,17 +75,20 @@ const scheduler = {
 		};
 	},
 
+	// Map the test files with failures to the titles of their failing tests, or to `null` if all tests in the test file
+	// should be rerun.
+	readFailedTests(projectDir, cacheDir) {
+		return new Map(Object.entries(readStoredFailedTests(cacheDir)).map(([file, titles]) => [path.join(projectDir, file), titles]));
+	},
+
 	// Order test-files, so that files with failing tests come first
-	failingTestsFirst(selectedFiles, cacheDir, cacheEnabled) {
+	failingTestsFirst(selectedFiles, projectDir, cacheDir, cacheEnabled) {
 		if (isCi || cacheEnabled === false) {
 			return selectedFiles;
 		}
 
-		const filePath = path.join(cacheDir, FILENAME);
-		let failedTestFiles;
-		try {
-			failedTestFiles = JSON.parse(fs.readFileSync(filePath));
-		} catch {
+		const failedTestFiles = [...scheduler.readFailedTests(projectDir, cacheDir).keys()];
+		if (failedTestFiles.length === 0) {
 			return selectedFiles;
 		}
 
@@ -61,6 +108,65 @@ const scheduler = {
 			return 0;
 		});
 	},
+
+	// Record how long each test file took to run, so future runs can balance shards. Durations of files that were not
+	// run (e.g. because they belong to another shard) are retained.
+	storeFileDurations(fileDurations, projectDir, cacheDir) {
+		if (!cacheDir || fileDurations.size === 0) {
+			return;
+		}
+
+		const durations = readFileDurations(cacheDir);
+		for (const [file, duration] of fileDurations) {
+			durations[durationKey(projectDir, file)] = Math.round(duration);
+		}
+
+		const filename = path.join(cacheDir, DURATIONS_FILENAME);
+		const temporaryFiles = [filename];
+		try {
+			writeFileAtomic.sync(filename, JSON.stringify(durations), {
+				tmpfileCreated(tmpfile) {
+					temporaryFiles.push(tmpfile);
+				},
+			});
+		} catch {}
+
+		return {
+			changedFiles: [],
+			temporaryFiles,
+		};
+	},
+
+	// Select the test files for the shard, distributing them so that each shard takes roughly the same amount of time.
+	// Returns `null` if no durations have been recorded.
+	durationBalancedShard(sortedFiles, projectDir, cacheDir, {currentIndex, totalRuns}) {
+		const durations = readFileDurations(cacheDir);
+		const known = sortedFiles
+			.map(file => durations[durationKey(projectDir, file)])
+			.filter(duration => Number.isFinite(duration));
+		if (known.length === 0) {
+			return null;
+		}
+
+		// Assume files without a recorded duration take an average amount of time.
+		const fallback = known.reduce((sum, duration) => sum + duration, 0) / known.length;
+		const weighted = sortedFiles
+			.map(file => ({file, duration: durations[durationKey(projectDir, file)] ?? fallback}))
+			.toSorted((a, b) => b.duration - a.duration); // Stable, so files with equal durations remain in sorted order.
+
+		// Assign the slowest remaining file to the shard with the least total duration.
+		const shardDurations = Array.from({length: totalRuns}).fill(0);
+		const shard = new Set();
+		for (const {file, duration} of weighted) {
+			const index = shardDurations.indexOf(Math.min(...shardDurations));
+			shardDurations[index] += duration;
+			if (index === currentIndex) {
+				shard.add(file);
+			}
+		}
+
+		return sortedFiles.filter(file => shard.has(file));
+	},
 };
 
 export default scheduler;
@@ -0,0 +1,249 @@
+import {Buffer} from 'node:buffer';
+import childProcess from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+import {buffer as readStream} from 'node:stream/consumers';
+import {promisify} from 'node:util';
+
+import concordance from 'concordance';
+import figures from 'figures';
+import indentString from 'indent-string';
+import plur from 'plur';
+
+import {chalk} from './chalk.js';
+import concordanceOptions from './concordance-options.js';
+import {decodeSnapshotBlocks, determineSnapshotPaths} from './snapshot-manager.js';
+
+const execFile = promisify(childProcess.execFile);
+
+export class SnapshotCommandError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = 'SnapshotCommandError';
+	}
+}
+
+// Human-readable labels start counting at 1.
+const formatLabel = (snapshot, index) => snapshot.label ?? `Snapshot ${index + 1}`;
+
+const formatDescriptor = data => data
+	? concordance.formatDescriptor(concordance.deserialize(data, concordanceOptions), concordanceOptions)
+	: chalk.gray('<No Data>');
+
+const formatEntry = (snapshot, index) => `${chalk.gray(`> ${formatLabel(snapshot, index)}`)}\n\n${indentString(formatDescriptor(snapshot.data), 4)}`;
+
+// Files that do not end with `.snap` are assumed to be test files, which are mapped to their snapshot file.
+const resolveSnapPath = (file, {projectDir, snapshotDir}) => {
+	const resolved = path.resolve(file);
+	if (resolved.endsWith('.snap')) {
+		return resolved;
+	}
+
+	return determineSnapshotPaths({file: resolved, fixedLocation: snapshotDir, projectDir}).snapPath;
+};
+
+const decode = (buffer, snapPath, displayPath) => {
+	try {
+		return decodeSnapshotBlocks(buffer, snapPath);
+	} catch (error) {
+		throw new SnapshotCommandError(`Could not decode ${displayPath}: ${error.message}`);
+	}
+};
+
+const readSnapshotFile = async (file, options) => {
+	if (file === undefined) {
+		if (process.stdin.isTTY) {
+			throw new SnapshotCommandError('Specify a snapshot file, or pipe one to standard input');
+		}
+
+		return decode(await readStream(process.stdin), 'stdin', 'standard input');
+	}
+
+	const snapPath = resolveSnapPath(file, options);
+	const displayPath = path.relative(options.projectDir, snapPath);
+	let buffer;
+	try {
+		buffer = await fs.promises.readFile(snapPath);
+	} catch (error) {
+		if (error.code === 'ENOENT') {
+			throw new SnapshotCommandError(`Could not find snapshot file ${displayPath}`);
+		}
+
+		throw error;
+	}
+
+	return decode(buffer, snapPath, displayPath);
+};
+
+const list = async ({file, ...options}) => {
+	const blocks = await readSnapshotFile(file, options);
+	for (const {title, snapshots} of blocks) {
+		console.log(`${title} ${chalk.gray(`(${snapshots.length} ${plur('snapshot', snapshots.length)})`)}`);
+	}
+};
+
+const show = async ({file, titles, ...options}) => {
+	let blocks = await readSnapshotFile(file, options);
+	if (titles.length > 0) {
+		const missing = titles.filter(title => !blocks.some(block => block.title === title));
+		if (missing.length > 0) {
+			throw new SnapshotCommandError(`No snapshots found for ${missing.map(title => `‘${title}’`).join(', ')}`);
+		}
+
+		blocks = blocks.filter(block => titles.includes(block.title));
+	}
+
+	for (const {title, snapshots} of blocks) {
+		console.log(`\n${chalk.bold(title)}\n`);
+		for (const [index, snapshot] of snapshots.entries()) {
+			console.log(`${formatEntry(snapshot, index)}\n`);
+		}
+	}
+};
+
+const git = (args, {projectDir, encoding = 'utf8'}) => execFile('git', args, {
+	cwd: projectDir,
+	encoding,
+	maxBuffer: Number.POSITIVE_INFINITY,
+});
+
+// Find the snapshot files that were changed since `ref`, including new files that are not yet tracked.
+const findChangedSnapshotFiles = async (ref, options) => {
+	const [{stdout: changed}, {stdout: untracked}] = await Promise.all([
+		git(['diff', '--name-only', '--relative', '--no-renames', '-z', ref, '--', '*.snap'], options),
+		git(['ls-files', '--others', '--exclude-standard', '-z', '--', '*.snap'], options),
+	]);
+
+	return [...new Set([...changed.split('\0'), ...untracked.split('\0')])]
+		.filter(Boolean)
+		.map(file => path.join(options.projectDir, file))
+		.toSorted();
+};
+
+const readSnapshotFileAtRef = async (ref, snapPath, options) => {
+	const relativePath = path.relative(options.projectDir, snapPath).split(path.sep).join('/');
+	try {
+		const {stdout} = await git(['show', `${ref}:./${relativePath}`], {...options, encoding: 'buffer'});
+		return stdout;
+	} catch {
+		// The file does not exist in that revision.
+		return null;
+	}
+};
+
+const readSnapshotFileIfExists = async snapPath => {
+	try {
+		return await fs.promises.readFile(snapPath);
+	} catch (error) {
+		if (error.code === 'ENOENT') {
+			return null;
+		}
+
+		throw error;
+	}
+};
+
+const diffEntries = (before, after) => {
+	const lines = [];
+	for (let index = 0; index < Math.max(before.length, after.length); index++) {
+		const previous = before[index];
+		const current = after[index];
+		if (previous === undefined) {
+			lines.push(`${chalk.green('+')} ${formatEntry(current, index)}`);
+		} else if (current === undefined) {
+			lines.push(`${chalk.red('-')} ${formatEntry(previous, index)}`);
+		} else if (!Buffer.from(previous.data).equals(Buffer.from(current.data)) || previous.label !== current.label) {
+			const diff = concordance.diffDescriptors(
+				concordance.deserialize(previous.data, concordanceOptions),
+				concordance.deserialize(current.data, concordanceOptions),
+				concordanceOptions,
+			);
+			lines.push(`${chalk.gray(`> ${formatLabel(current, index)}`)}\n\n${indentString(diff, 4)}`);
+		}
+	}
+
+	return lines;
+};
+
+const diffBlocks = (before, after) => {
+	const beforeByTitle = new Map(before.map(({title, snapshots}) => [title, snapshots]));
+	const afterByTitle = new Map(after.map(({title, snapshots}) => [title, snapshots]));
+	const output = [];
+	for (const title of new Set([...beforeByTitle.keys(), ...afterByTitle.keys()])) {
+		const previous = beforeByTitle.get(title);
+		const current = afterByTitle.get(title);
+		if (previous === undefined) {
+			output.push(`${chalk.green(`${figures.tick} Added`)} ${chalk.bold(title)}`, ...current.map((snapshot, index) => formatEntry(snapshot, index)));
+		} else if (current === undefined) {
+			output.push(`${chalk.red(`${figures.cross} Removed`)} ${chalk.bold(title)}`, ...previous.map((snapshot, index) => formatEntry(snapshot, index)));
+		} else {
+			const changes = diffEntries(previous, current);
+			if (changes.length > 0) {
+				output.push(`${chalk.yellow(`${figures.warning} Changed`)} ${chalk.bold(title)}`, ...changes);
+			}
+		}
+	}
+
+	return output;
+};
+
+const diff = async ({ref, files, ...options}) => {
+	try {
+		await git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], options);
+	} catch {
+		throw new SnapshotCommandError(`Could not find Git revision ${ref}`);
+	}
+
+	const snapPaths = files.length > 0
+		? files.map(file => resolveSnapPath(file, options))
+		: await findChangedSnapshotFiles(ref, options);
+
+	let changed = false;
+	for (const snapPath of snapPaths) {
+		const displayPath = path.relative(options.projectDir, snapPath);
+		const [previous, current] = await Promise.all([ // eslint-disable-line no-await-in-loop
+			readSnapshotFileAtRef(ref, snapPath, options),
+			readSnapshotFileIfExists(snapPath),
+		]);
+		const output = diffBlocks(
+			previous === null ? [] : decode(previous, snapPath, `${displayPath} at ${ref}`),
+			current === null ? [] : decode(current, snapPath, displayPath),
+		);
+		if (output.length > 0) {
+			changed = true;
+			console.log(`\n${chalk.underline(displayPath)}\n\n${output.join('\n\n')}`);
+		}
+	}
+
+	if (!changed) {
+		console.log(`\n${chalk.green(figures.tick)} No snapshots changed since ${ref}`);
+	}
+};
+
+/**
+ * Print the snapshots stored in a snapshot file, or how they changed since a Git revision. Problems that the user
+ * can address are thrown as `SnapshotCommandError`.
+ */
+export default async function runSnapshotCommand({command, ...options}) {
+	switch (command) {
+		case 'list': {
+			await list(options);
+			break;
+		}
+
+		case 'show': {
+			await show(options);
+			break;
+		}
+
+		case 'diff': {
+			await diff(options);
+			break;
+		}
+
+		default: {
+			throw new SnapshotCommandError(`Unknown snapshot command ${command}`);
+		}
+	}
+}
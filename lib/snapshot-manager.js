@@ -25,6 +25,13 @@ VERSION_HEADER.writeUInt16LE(VERSION);
 
 // The decoder matches on the trailing newline byte (0x0A).
 const READABLE_PREFIX = Buffer.from(`AVA Snapshot v${VERSION}\n`, 'ascii');
+// Identifies snapshot files of any version.
+const SNAPSHOT_FILE_PREFIX = Buffer.from('AVA Snapshot v', 'ascii');
+// Text snapshot files can be merged by Git. Blocks are sorted by title and each snapshot is stored on its own lines,
+// without a checksum over the whole file.
+const TEXT_PREFIX = Buffer.from(`AVA Snapshot v${VERSION} text\n`, 'ascii');
+const TEXT_LINE_LENGTH = 76;
+const BASE64_LINE = /^[A-Za-z\d+/]+={0,2}$/;
 const REPORT_SEPARATOR = Buffer.from('\n\n', 'ascii');
 const REPORT_TRAILING_NEWLINE = Buffer.from('\n', 'ascii');
 
@@ -159,6 +166,15 @@ class BufferBuilder {
 	}
 }
 
+// Compare by code units, so the order does not depend on the locale.
+function compareTitles(a, b) {
+	if (a === b) {
+		return 0;
+	}
+
+	return a < b ? -1 : 1;
+}
+
 function sortBlocks(blocksByTitle, blockIndices) {
 	return [...blocksByTitle].toSorted(([aTitle], [bTitle]) => {
 		const a = blockIndices.get(aTitle);
@@ -223,7 +239,61 @@ export function extractCompressedSnapshot(buffer, snapPath) {
 	};
 }
 
-function decodeSnapshots(buffer, snapPath) {
+function encodeTextSnapshots({blocks}) {
+	const lines = [TEXT_PREFIX.toString('ascii').trimEnd()];
+	for (const {title, snapshots} of blocks) {
+		lines.push('', `# ${JSON.stringify(title)}`);
+		for (const {data, label} of snapshots) {
+			lines.push(label === undefined ? '>' : `> ${JSON.stringify(label)}`);
+			const encoded = data ? Buffer.from(data).toString('base64') : '';
+			for (let offset = 0; offset < encoded.length; offset += TEXT_LINE_LENGTH) {
+				lines.push(encoded.slice(offset, offset + TEXT_LINE_LENGTH));
+			}
+		}
+	}
+
+	return Buffer.from(`${lines.join('\n')}\n`, 'utf8');
+}
+
+function isTextSnapshot(buffer) {
+	return buffer.subarray(0, TEXT_PREFIX.byteLength).equals(TEXT_PREFIX);
+}
+
+function decodeTextSnapshots(buffer, snapPath) {
+	const blocks = [];
+	const titles = new Set();
+	let snapshot;
+	for (const line of buffer.subarray(TEXT_PREFIX.byteLength).toString('utf8').split('\n')) {
+		if (line.startsWith('# ')) {
+			const title = JSON.parse(line.slice(2));
+			// Both sides of a merge may have added snapshots for the same test.
+			if (titles.has(title)) {
+				throw new InvalidSnapshotError(snapPath);
+			}
+
+			titles.add(title);
+			blocks.push({title, snapshots: []});
+			snapshot = undefined;
+		} else if (line.startsWith('>') && blocks.length > 0) {
+			snapshot = {data: '', label: line === '>' ? undefined : JSON.parse(line.slice(2))};
+			blocks.at(-1).snapshots.push(snapshot);
+		} else if (BASE64_LINE.test(line) && snapshot !== undefined) {
+			snapshot.data += line;
+		} else if (line !== '') {
+			throw new InvalidSnapshotError(snapPath);
+		}
+	}
+
+	for (const {snapshots} of blocks) {
+		for (const snapshot of snapshots) {
+			snapshot.data = snapshot.data === '' ? undefined : Buffer.from(snapshot.data, 'base64');
+		}
+	}
+
+	return {blocks};
+}
+
+function decodeBinarySnapshots(buffer, snapPath) {
 	const {compressed, sha256sumOffset, compressedOffset} = extractCompressedSnapshot(buffer, snapPath);
 
 	const sha256sum = crypto.createHash('sha256').update(compressed).digest();
@@ -236,9 +306,25 @@ function decodeSnapshots(buffer, snapPath) {
 	return cbor.decode(decompressed);
 }
 
+function decodeSnapshots(buffer, snapPath) {
+	return isTextSnapshot(buffer) ? decodeTextSnapshots(buffer, snapPath) : decodeBinarySnapshots(buffer, snapPath);
+}
+
+/**
+ * Decode the contents of a snapshot file, returning the blocks of snapshots recorded for each test.
+ */
+export function decodeSnapshotBlocks(buffer, snapPath) {
+	try {
+		return decodeSnapshots(buffer, snapPath).blocks;
+	} catch (error) {
+		throw error instanceof SnapshotError ? error : new InvalidSnapshotError(snapPath);
+	}
+}
+
 class Manager {
 	constructor(options) {
 		this.dir = options.dir;
+		this.format = options.format;
 		this.recordNewSnapshots = options.recordNewSnapshots;
 		this.updating = options.updating;
 		this.relFile = options.relFile;
@@ -251,13 +337,34 @@ class Manager {
 		this.blockIndices = new Map();
 		this.error = options.error;
 
-		this.hasChanges = false;
+		// Snapshot files stored in a different format are rewritten, so they're converted the next time the tests run.
+		this.hasChanges = options.convertFormat === true;
+		this.pruned = false;
 	}
 
 	touch(title, taskIndex) {
 		this.blockIndices.set(title, taskIndex);
 	}
 
+	// Blocks in the snapshot file that do not belong to any of the declared tests. Updating snapshots removes these
+	// blocks anyway.
+	findObsoleteBlocks() {
+		if (this.error || this.updating) {
+			return [];
+		}
+
+		return [...this.oldBlocksByTitle.keys()].filter(title => !this.blockIndices.has(title));
+	}
+
+	pruneBlocks(titles) {
+		for (const title of titles) {
+			this.newBlocksByTitle.delete(title);
+		}
+
+		this.hasChanges = true;
+		this.pruned = true;
+	}
+
 	compare(options) {
 		if (this.error) {
 			throw this.error;
@@ -326,6 +433,33 @@ class Manager {
 		record();
 	}
 
+	// Describe a snapshot that did not match, so it can be reviewed once the test run has finished.
+	describeMismatch({index, label}, expected) {
+		const {dir, relFile, reportFile, reportPath, snapFile, snapPath} = this;
+		return {
+			index,
+			label,
+			data: concordance.serialize(expected),
+			paths: {
+				dir, relFile, reportFile, reportPath, snapFile, snapPath,
+			},
+		};
+	}
+
+	getSerialized({belongsTo, index}) {
+		return this.newBlocksByTitle.get(belongsTo)?.snapshots[index]?.data;
+	}
+
+	replaceSerialized({belongsTo, index, label, data}) {
+		const block = this.newBlocksByTitle.get(belongsTo);
+		if (block?.snapshots[index] === undefined) {
+			throw new RangeError(`Cannot replace snapshot ${index} for ${JSON.stringify(belongsTo)}, it does not exist`);
+		}
+
+		block.snapshots[index] = {data, label};
+		this.hasChanges = true;
+	}
+
 	skipBlock(title) {
 		const block = this.oldBlocksByTitle.get(title);
 
@@ -354,7 +488,7 @@ class Manager {
 	async save() {
 		const {dir, relFile, snapFile, snapPath, reportPath} = this;
 
-		if (this.updating && this.newBlocksByTitle.size === 0) {
+		if ((this.updating || this.pruned) && this.newBlocksByTitle.size === 0) {
 			return {
 				changedFiles: [cleanFile(snapPath), cleanFile(reportPath)].flat(),
 				temporaryFiles: [],
@@ -365,11 +499,14 @@ class Manager {
 			return null;
 		}
 
+		const sortedBlocks = this.format === 'text'
+			? [...this.newBlocksByTitle].toSorted(([aTitle], [bTitle]) => compareTitles(aTitle, bTitle))
+			: sortBlocks(this.newBlocksByTitle, this.blockIndices);
 		const snapshots = {
-			blocks: sortBlocks(this.newBlocksByTitle, this.blockIndices).map(([title, block]) => ({title, ...block})),
+			blocks: sortedBlocks.map(([title, block]) => ({title, ...block})),
 		};
 
-		const buffer = await encodeSnapshots(snapshots);
+		const buffer = this.format === 'text' ? encodeTextSnapshots(snapshots) : await encodeSnapshots(snapshots);
 		const reportBuffer = generateReport(relFile, snapFile, snapshots);
 
 		await fs.promises.mkdir(dir, {recursive: true});
@@ -424,7 +561,7 @@ export const determineSnapshotDir = memoize(({file, fixedLocation, projectDir})
 	return testDir;
 }, {cacheKey: ([{file}]) => file});
 
-function determineSnapshotPaths({file, fixedLocation, projectDir}) {
+export function determineSnapshotPaths({file, fixedLocation, projectDir}) {
 	const dir = determineSnapshotDir({file, fixedLocation, projectDir});
 	const relFile = path.relative(projectDir, resolveSourceFile(file));
 	const name = path.basename(relFile);
@@ -454,22 +591,61 @@ function cleanFile(file) {
 	}
 }
 
-export function load({file, fixedLocation, projectDir, recordNewSnapshots, updating}) {
-	// Keep runner unit tests that use `new Runner()` happy
-	if (file === undefined || projectDir === undefined) {
-		return new Manager({
-			recordNewSnapshots,
-			updating,
-			oldBlocksByTitle: new Map(),
-			newBlocksByTitle: new Map(),
-		});
+function isSnapshotFile(file) {
+	return tryRead(file)?.subarray(0, SNAPSHOT_FILE_PREFIX.byteLength).equals(SNAPSHOT_FILE_PREFIX) ?? false;
+}
+
+/**
+ * Find snapshot files that were not used by any test file. The directories of the snapshot files that were used are
+ * searched, as is the fixed snapshot location (recursively).
+ */
+export function findObsoleteSnapshotFiles({accessedSnapshots, fixedLocation}) {
+	const obsolete = new Set();
+	const search = (dir, recursive) => {
+		let entries;
+		try {
+			entries = fs.readdirSync(dir, {recursive});
+		} catch (error) {
+			if (error.code === 'ENOENT') {
+				return;
+			}
+
+			throw error;
+		}
+
+		for (const entry of entries) {
+			const file = path.join(dir, entry);
+			if (file.endsWith('.snap') && !accessedSnapshots.has(file) && isSnapshotFile(file)) {
+				obsolete.add(file);
+			}
+		}
+	};
+
+	if (fixedLocation) {
+		search(fixedLocation, true);
 	}
 
-	const paths = determineSnapshotPaths({file, fixedLocation, projectDir});
+	for (const dir of new Set([...accessedSnapshots].map(file => path.dirname(file)))) {
+		search(dir, false);
+	}
+
+	return [...obsolete].toSorted();
+}
+
+// Remove snapshot files along with their reports. Returns the files that were removed.
+export function removeSnapshotFiles(snapPaths) {
+	return snapPaths.flatMap(snapPath => [
+		cleanFile(snapPath),
+		cleanFile(snapPath.replace(/\.snap$/, '.md')),
+	]).flat();
+}
+
+function loadFromPaths(paths, {format, recordNewSnapshots, updating}) {
 	const buffer = tryRead(paths.snapPath);
 
 	if (!buffer) {
 		return new Manager({
+			format: format ?? 'binary',
 			recordNewSnapshots,
 			updating,
 			...paths,
@@ -478,6 +654,7 @@ export function load({file, fixedLocation, projectDir, recordNewSnapshots, updat
 		});
 	}
 
+	const storedFormat = isTextSnapshot(buffer) ? 'text' : 'binary';
 	let blocksByTitle;
 	let snapshotError;
 
@@ -495,11 +672,39 @@ export function load({file, fixedLocation, projectDir, recordNewSnapshots, updat
 	}
 
 	return new Manager({
+		format: format ?? storedFormat,
 		recordNewSnapshots,
 		updating,
 		...paths,
 		oldBlocksByTitle: blocksByTitle,
 		newBlocksByTitle: updating ? new Map() : blocksByTitle,
 		error: snapshotError,
+		convertFormat: format !== undefined && format !== storedFormat && recordNewSnapshots && snapshotError === undefined,
 	});
 }
+
+export function load({
+	file, fixedLocation, format, projectDir, recordNewSnapshots, updating,
+}) {
+	// Keep runner unit tests that use `new Runner()` happy
+	if (file === undefined || projectDir === undefined) {
+		return new Manager({
+			format: format ?? 'binary',
+			recordNewSnapshots,
+			updating,
+			oldBlocksByTitle: new Map(),
+			newBlocksByTitle: new Map(),
+		});
+	}
+
+	const paths = determineSnapshotPaths({file, fixedLocation, projectDir});
+	return loadFromPaths(paths, {format, recordNewSnapshots, updating});
+}
+
+/**
+ * Load the snapshots described by a snapshot mismatch, so accepted values can be recorded outside of the worker. The
+ * snapshot file retains its format.
+ */
+export function loadForReview(paths) {
+	return loadFromPaths(paths, {recordNewSnapshots: false, updating: false});
+}
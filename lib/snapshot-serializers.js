@@ -0,0 +1,90 @@
+// Serializers from the `snapshotSerializers` configuration apply to all tests in the test file.
+let configuredSerializers = [];
+
+export function checkSerializer(serializer) {
+	if (typeof serializer?.test !== 'function' || typeof serializer.serialize !== 'function') {
+		throw new TypeError('Snapshot serializers must have `test()` and `serialize()` methods');
+	}
+}
+
+export function configureSnapshotSerializers(serializers) {
+	configuredSerializers = [...serializers];
+}
+
+const hasPrototype = (value, prototype) => Object.getPrototypeOf(value) === prototype;
+const isPlainObject = value => hasPrototype(value, Object.prototype) || hasPrototype(value, null);
+
+/**
+ * Replace the values that are matched by a serializer with their normalized representation, so that it is used when
+ * recording, comparing and reporting snapshots. Serializers added to the test take precedence over the configured ones.
+ * Arrays, plain objects, maps and sets are copied so values nested within them can be normalized.
+ */
+export function normalizeSnapshotValue(value, addedSerializers = []) {
+	const serializers = [...addedSerializers, ...configuredSerializers];
+	if (serializers.length === 0) {
+		return value;
+	}
+
+	const copies = new Map();
+	const normalize = (value, appliedSerializers) => {
+		// Don't let a serializer match its own output, which would recurse infinitely.
+		const serializer = serializers.find(serializer => !appliedSerializers.has(serializer) && serializer.test(value));
+		if (serializer !== undefined) {
+			return normalize(serializer.serialize(value), new Set([...appliedSerializers, serializer]));
+		}
+
+		if (typeof value !== 'object' || value === null) {
+			return value;
+		}
+
+		if (copies.has(value)) {
+			return copies.get(value);
+		}
+
+		if (hasPrototype(value, Array.prototype)) {
+			const copy = [];
+			copies.set(value, copy);
+			for (const item of value) {
+				copy.push(normalize(item, new Set()));
+			}
+
+			return copy;
+		}
+
+		if (hasPrototype(value, Map.prototype)) {
+			const copy = new Map();
+			copies.set(value, copy);
+			for (const [key, item] of value) {
+				copy.set(normalize(key, new Set()), normalize(item, new Set()));
+			}
+
+			return copy;
+		}
+
+		if (hasPrototype(value, Set.prototype)) {
+			const copy = new Set();
+			copies.set(value, copy);
+			for (const item of value) {
+				copy.add(normalize(item, new Set()));
+			}
+
+			return copy;
+		}
+
+		if (isPlainObject(value)) {
+			const copy = Object.create(Object.getPrototypeOf(value));
+			copies.set(value, copy);
+			for (const key of Reflect.ownKeys(value)) {
+				if (Object.prototype.propertyIsEnumerable.call(value, key)) {
+					copy[key] = normalize(value[key], new Set());
+				}
+			}
+
+			return copy;
+		}
+
+		return value;
+	};
+
+	return normalize(value, new Set());
+}
@@ -6,8 +6,12 @@ import {
 	AssertionError, Assertions, checkAssertionMessage, getAssertionStack,
 } from './assert.js';
 import concordanceOptions from './concordance-options.js';
+import {installClock} from './fake-clock.js';
+import {createMockFunction, mockMethod} from './mock.js';
 import * as nowAndTimers from './now-and-timers.js';
 import parseTestArgs from './parse-test-args.js';
+import {checkSerializer, normalizeSnapshotValue} from './snapshot-serializers.js';
+import {mockModule} from './worker/module-mocks.js';
 
 function isExternalAssertError(error) {
 	if (typeof error !== 'object' || error === null) {
@@ -56,6 +60,8 @@ class ExecutionContext extends Assertions {
 				test.countPassedAssertion();
 			},
 			compareWithSnapshot: options => test.compareWithSnapshot(options),
+			compareWithInlineSnapshot: options => test.compareWithInlineSnapshot(options),
+			normalizeSnapshotValue: value => test.normalizeSnapshotValue(value),
 			experiments: test.experiments,
 			disableSnapshots: test.isHook === true,
 		});
@@ -65,6 +71,17 @@ class ExecutionContext extends Assertions {
 			test.skipSnapshot();
 		};
 
+		this.snapshot.addSerializer = serializer => {
+			if (test.isHook) {
+				const error = new Error('`t.snapshot.addSerializer()` can only be used in tests');
+				test.saveFirstError(error);
+				throw error;
+			}
+
+			checkSerializer(serializer);
+			test.snapshotSerializers.unshift(serializer);
+		};
+
 		this.log = (...inputArgs) => {
 			const args = inputArgs.map(value => typeof value === 'string'
 				? value
@@ -92,6 +109,35 @@ class ExecutionContext extends Assertions {
 			test.addTeardown(callback);
 		};
 
+		this.clock = {
+			install(options) {
+				test.assertCanRestore('t.clock.install()');
+				const clock = installClock(options);
+				test.addRestore(() => {
+					clock.uninstall();
+				});
+				return clock;
+			},
+		};
+
+		this.mock = {
+			fn: implementation => createMockFunction(implementation),
+			method(object, methodName, implementation) {
+				test.assertCanRestore('t.mock.method()');
+				const mock = mockMethod(object, methodName, implementation);
+				test.addRestore(() => {
+					mock.mock.restore();
+				});
+				return mock;
+			},
+			module(specifier, options) {
+				test.assertCanRestore('t.mock.module()');
+				const restore = mockModule(specifier, options);
+				test.addRestore(restore);
+				return {restore};
+			},
+		};
+
 		this.try = async (...attemptArgs) => {
 			if (test.isHook) {
 				const error = new Error('`t.try()` can only be used in tests');
@@ -206,15 +252,20 @@ export default class Test {
 		this.metadata = options.metadata;
 		this.title = options.title;
 		this.testPassed = options.testPassed;
+		this.registerRestore = options.registerRestore;
 		this.registerUniqueTitle = options.registerUniqueTitle;
 		this.logs = [];
 		this.teardowns = [];
 		this.notifyTimeoutUpdate = options.notifyTimeoutUpdate;
+		this.declaredTimeout = options.timeout;
 
-		const {snapshotBelongsTo = this.title, nextSnapshotIndex = 0} = options;
+		const {snapshotBelongsTo = this.title, nextSnapshotIndex = 0, snapshotSerializers = []} = options;
 		this.snapshotBelongsTo = snapshotBelongsTo;
 		this.nextSnapshotIndex = nextSnapshotIndex;
 		this.snapshotCount = 0;
+		// Serializers added with `t.snapshot.addSerializer()`. Attempts inherit the serializers of their test.
+		this.snapshotSerializers = [...snapshotSerializers];
+		this.normalizeSnapshotValue = value => normalizeSnapshotValue(value, this.snapshotSerializers);
 
 		const deferRecording = this.metadata.inline;
 		this.deferredSnapshotRecordings = [];
@@ -240,6 +291,8 @@ export default class Test {
 			return result;
 		};
 
+		this.compareWithInlineSnapshot = ({actual, expected}) => options.compareInlineSnapshot({actual, expected});
+
 		this.skipSnapshot = () => {
 			if (typeof options.skipSnapshot === 'function') {
 				const record = options.skipSnapshot({
@@ -266,7 +319,7 @@ export default class Test {
 			this.attemptCount++;
 			this.pendingAttemptCount++;
 
-			const {contextRef, snapshotBelongsTo, nextSnapshotIndex, snapshotCount: startingSnapshotCount} = this;
+			const {contextRef, snapshotBelongsTo, nextSnapshotIndex, snapshotCount: startingSnapshotCount, snapshotSerializers} = this;
 			const attempt = new Test({
 				...options,
 				fn,
@@ -274,6 +327,7 @@ export default class Test {
 				contextRef: contextRef.copy(),
 				snapshotBelongsTo,
 				nextSnapshotIndex,
+				snapshotSerializers,
 				title,
 			});
 
@@ -298,6 +352,7 @@ export default class Test {
 		this.planCount = null;
 		this.startedAt = 0;
 		this.testFailure = null;
+		this.timedOut = false;
 		this.timeoutTimer = null;
 	}
 
@@ -440,6 +495,7 @@ export default class Test {
 
 		this.clearTimeout();
 		this.timeoutTimer = nowAndTimers.setCappedTimeout(() => {
+			this.timedOut = true;
 			this.saveFirstError(new Error(message ?? 'Test timeout exceeded'));
 
 			if (this.finishDueToTimeout) {
@@ -477,6 +533,24 @@ export default class Test {
 		this.teardowns.push(callback);
 	}
 
+	// Mocks are restored when the test has finished. Only `beforeEach` and `afterEach` hooks belong to a test, so other
+	// hooks cannot use them.
+	assertCanRestore(method) {
+		if (this.isHook && this.registerRestore === undefined) {
+			const error = new Error(`\`${method}\` can only be used in tests and \`beforeEach\` or \`afterEach\` hooks`);
+			this.saveFirstError(error);
+			throw error;
+		}
+	}
+
+	addRestore(restore) {
+		if (this.isHook) {
+			this.registerRestore(restore);
+		} else {
+			this.addTeardown(restore);
+		}
+	}
+
 	async runTeardowns() {
 		const teardowns = this.teardowns.toReversed();
 
@@ -538,6 +612,11 @@ export default class Test {
 	run() {
 		this.startedAt = nowAndTimers.now();
 
+		// Declared timeouts behave as if `t.timeout()` is called before the implementation.
+		if (this.declaredTimeout !== undefined) {
+			this.timeout(this.declaredTimeout);
+		}
+
 		const [syncOk, retval] = this.callFn();
 		if (!syncOk) {
 			if (this.testFailure !== null && retval === this.testFailure) {
@@ -655,6 +734,7 @@ export default class Test {
 			passed,
 			snapshotCount: this.snapshotCount,
 			assertCount: this.assertCount,
+			timedOut: this.timedOut,
 			title: this.title,
 		};
 	}
@@ -0,0 +1,43 @@
+import os from 'node:os';
+
+const COMMANDS = new Set([
+	'quit',
+	'rerun',
+	'rerun-all',
+	'rerun-failures',
+	'select-lines',
+	'set-glob',
+	'set-match',
+	'update-snapshots',
+]);
+
+// These commands set an interactive filter. The filter is cleared if the pattern is omitted, null or empty.
+const PATTERN_COMMANDS = new Set(['select-lines', 'set-glob', 'set-match']);
+
+/**
+ * Parse a line of the JSON control protocol, which is used with `--watch --control=json`. Each line is a JSON object
+ * with a `type` property naming the command.
+ */
+export function parseCommand(line) {
+	let command;
+	try {
+		command = JSON.parse(line);
+	} catch {
+		throw new Error(`Could not parse command as JSON: ${line}`);
+	}
+
+	if (command === null || typeof command !== 'object' || !COMMANDS.has(command.type)) {
+		throw new Error(`Unknown command: ${line}`);
+	}
+
+	if (PATTERN_COMMANDS.has(command.type) && command.pattern !== undefined && command.pattern !== null && typeof command.pattern !== 'string') {
+		throw new Error(`The ’pattern’ of the ’${command.type}’ command must be a string.`);
+	}
+
+	return command;
+}
+
+// Events are written as newline-delimited JSON, interleaved with the events of the JSON reporter.
+export function writeEvent(stream, evt) {
+	stream.write(JSON.stringify(evt) + os.EOL);
+}
@@ -1,17 +1,25 @@
+import {Buffer} from 'node:buffer';
 import fs from 'node:fs';
 import nodePath from 'node:path';
 import process from 'node:process';
 import * as readline from 'node:readline/promises';
 import v8 from 'node:v8';
 
-import {nodeFileTrace} from '@vercel/nft';
+import concordance from 'concordance';
 import createDebug from 'debug';
+import figures from 'figures';
+import plur from 'plur';
 
 import {chalk} from './chalk.js';
+import concordanceOptions from './concordance-options.js';
+import FileTracer from './file-tracer.js';
 import {
 	applyTestFileFilter, classify, buildIgnoreMatcher, findTests,
 	normalizePattern,
 } from './globs.js';
+import {splitPatternAndLineNumbers} from './line-numbers.js';
+import {loadForReview} from './snapshot-manager.js';
+import {parseCommand, writeEvent} from './watch-control.js';
 
 const debug = createDebug('ava:watcher');
 
@@ -19,6 +27,16 @@ const debug = createDebug('ava:watcher');
 // to make Node.js write out interim reports in various places.
 const takeCoverageForSelfTests = process.env.TEST_AVA ? v8.takeCoverage : undefined;
 
+// The package.json file only affects the configuration through its `ava` section. Returns the serialized section, or
+// null if the file cannot be read, in which case reloading the configuration reports the problem.
+const readPackageConfig = projectDir => {
+	try {
+		return JSON.stringify(JSON.parse(fs.readFileSync(nodePath.join(projectDir, 'package.json'), 'utf8')).ava);
+	} catch {
+		return null;
+	}
+};
+
 export function available(projectDir) {
 	try {
 		fs.watch(projectDir, {persistent: false, recursive: true, signal: AbortSignal.abort()});
@@ -79,25 +97,44 @@ const eachLine = async (lineReader, callback) => {
 	}
 };
 
-const writeCommandInstructions = (reporter, interactiveGlobPattern, interactiveMatchPattern) => {
+const writeCommandInstructions = (reporter, {
+	failureCount,
+	interactiveGlobPattern,
+	interactiveLinePattern,
+	interactiveMatchPattern,
+	snapshotMismatchCount,
+}) => {
+	const hasInteractiveFilters = Boolean(interactiveGlobPattern || interactiveLinePattern || interactiveMatchPattern);
 	reporter.lineWriter.writeLine(chalk.gray('Type `g` followed by enter to filter test files by a glob pattern'));
 	reporter.lineWriter.writeLine(chalk.gray('Type `m` followed by enter to filter tests by their title (similar to --match)'));
-	if (interactiveGlobPattern || interactiveMatchPattern) {
+	reporter.lineWriter.writeLine(chalk.gray('Type `l` followed by enter to focus on the tests at specific lines of a test file'));
+	if (hasInteractiveFilters) {
 		reporter.lineWriter.writeLine(chalk.gray('Type `a` followed by enter to rerun all tests (while preserving filters)'));
 		reporter.lineWriter.writeLine(chalk.gray('Type `r` followed by enter to rerun tests that match your filters'));
 	} else {
 		reporter.lineWriter.writeLine(chalk.gray('Type `r` followed by enter to rerun tests'));
 	}
 
+	if (failureCount > 0) {
+		reporter.lineWriter.writeLine(chalk.gray('Type `f` followed by enter to rerun only the failing tests'));
+	}
+
 	reporter.lineWriter.writeLine(chalk.gray('Type `u` followed by enter to update snapshots in selected tests'));
+	if (snapshotMismatchCount > 0) {
+		reporter.lineWriter.writeLine(chalk.gray(`Type \`i\` followed by enter to review ${snapshotMismatchCount} failing ${plur('snapshot', snapshotMismatchCount)} one by one`));
+	}
 
-	if (interactiveGlobPattern || interactiveMatchPattern) {
+	if (hasInteractiveFilters) {
 		reporter.lineWriter.writeLine();
 
 		if (interactiveGlobPattern) {
 			reporter.lineWriter.writeLine(chalk.gray(`Current test file glob pattern: ${chalk.italic(interactiveGlobPattern)}`));
 		}
 
+		if (interactiveLinePattern) {
+			reporter.lineWriter.writeLine(chalk.gray(`Current test file and lines: ${chalk.italic(interactiveLinePattern)}`));
+		}
+
 		if (interactiveMatchPattern) {
 			reporter.lineWriter.writeLine(chalk.gray(`Current test title match pattern: ${chalk.italic(interactiveMatchPattern)}`));
 		}
@@ -107,6 +144,21 @@ const writeCommandInstructions = (reporter, interactiveGlobPattern, interactiveM
 	reporter.lineWriter.write('> ');
 };
 
+// Glob patterns are relative to the current working directory, but test files are matched relative to the project
+// directory.
+const normalizeGlobInput = (value, projectDir) => normalizePattern(nodePath.relative(projectDir, nodePath.resolve(process.cwd(), value)));
+
+// Returns the test file relative to the project directory, followed by the line numbers. Returns `undefined` if there
+// are no line numbers.
+const normalizeLineInput = (value, projectDir) => {
+	const {pattern, lineNumbers} = splitPatternAndLineNumbers(value);
+	if (lineNumbers === null) {
+		return undefined;
+	}
+
+	return `${normalizeGlobInput(pattern, projectDir)}:${value.slice(value.lastIndexOf(':') + 1).replaceAll(/\s/g, '')}`;
+};
+
 const promptForGlobPattern = async (reporter, lineReader, currentPattern, projectDir) => {
 	reporter.lineWriter.ensureEmptyLine();
 	reporter.lineWriter.writeLine('Type the glob pattern then press enter. Leave blank to clear.', false);
@@ -132,7 +184,7 @@ const promptForGlobPattern = async (reporter, lineReader, currentPattern, projec
 		return undefined;
 	}
 
-	return normalizePattern(nodePath.relative(projectDir, nodePath.resolve(process.cwd(), value)));
+	return normalizeGlobInput(value, projectDir);
 };
 
 const promptForMatchPattern = async (reporter, lineReader, currentPattern) => {
@@ -156,34 +208,169 @@ const promptForMatchPattern = async (reporter, lineReader, currentPattern) => {
 	return value === '' ? undefined : value;
 };
 
-export async function start({api, filter, globs, projectDir, providers, reporter, stdin, signal}) {
-	for await (const {files, testFileSelector, ...runtimeOptions} of plan({
+// Prompt for a test file and the line numbers of the tests to focus on, as with `ava test.js:12`.
+const promptForLinePattern = async (reporter, lineReader, currentPattern, projectDir) => {
+	reporter.lineWriter.writeLine();
+	reporter.lineWriter.writeLine('Type the test file and line numbers then press enter. Leave blank to clear.', false);
+	if (currentPattern === undefined) {
+		reporter.lineWriter.writeLine();
+		reporter.lineWriter.writeLine(chalk.italic('Tip: Separate line numbers with commas, or use ranges like `test.js:3-5,9`.'), false);
+	} else {
+		reporter.lineWriter.writeLine();
+		reporter.lineWriter.writeLine(`Currently focused on: ${chalk.italic(currentPattern)}`, false);
+		reporter.lineWriter.writeLine();
+		reporter.lineWriter.writeLine(chalk.italic('Tip: Ctrl+C to exit without any changes.'), false);
+	}
+
+	for (;;) {
+		reporter.lineWriter.write('> ');
+		const {value} = await lineReader.next(); // eslint-disable-line no-await-in-loop
+		if (value === close || value === cancel) {
+			return value;
+		}
+
+		if (value === '') {
+			return undefined;
+		}
+
+		const linePattern = normalizeLineInput(value, projectDir);
+		if (linePattern !== undefined) {
+			return linePattern;
+		}
+
+		reporter.lineWriter.writeLine(chalk.italic('Include the line numbers after the file, such as `test.js:12`.'), false);
+	}
+};
+
+const snapshotMismatchKey = ({index, paths, title}) => `${paths.snapPath}\0${title}\0${index}`;
+
+const formatSnapshotDiff = (stored, data) => {
+	const {diffGutters} = concordanceOptions.theme;
+	const {insertLine, deleteLine} = concordanceOptions.theme.string.diff;
+	const label = `Difference (${diffGutters.actual}${deleteLine.open}actual${deleteLine.close}, ${diffGutters.expected}${insertLine.open}snapshot${insertLine.close}):`;
+	const diff = concordance.diffDescriptors(
+		concordance.deserialize(stored, concordanceOptions),
+		concordance.deserialize(data, concordanceOptions),
+		{...concordanceOptions, invert: true},
+	);
+	return `${label}\n\n${diff}`;
+};
+
+// Walk through the snapshot mismatches, prompting whether to accept, reject or skip each new value. Returns the
+// mismatches that were accepted, and those that were reviewed (accepted or rejected).
+const promptForSnapshotReview = async (reporter, lineReader, mismatches, projectDir) => {
+	const accepted = [];
+	const reviewed = [];
+	const managers = new Map();
+
+	for (const [position, mismatch] of mismatches.entries()) {
+		const {data, index, label, paths, testFile, title: belongsTo} = mismatch;
+		if (!managers.has(paths.snapPath)) {
+			managers.set(paths.snapPath, loadForReview(paths));
+		}
+
+		const manager = managers.get(paths.snapPath);
+		const stored = manager.error ? undefined : manager.getSerialized({belongsTo, index});
+		if (stored === undefined) {
+			// The snapshot was removed since the test run, so there's nothing to review.
+			reviewed.push(mismatch);
+			continue;
+		}
+
+		reporter.lineWriter.ensureEmptyLine();
+		reporter.lineWriter.writeLine(chalk.bold(`Snapshot ${position + 1} of ${mismatches.length}`), false);
+		reporter.lineWriter.writeLine(`${nodePath.relative(projectDir, testFile)} › ${belongsTo} › ${label ?? `Snapshot ${index + 1}`}`, false);
+		reporter.lineWriter.writeLine();
+		reporter.lineWriter.writeLine(formatSnapshotDiff(stored, data), false);
+		reporter.lineWriter.writeLine();
+		reporter.lineWriter.writeLine('Type `a` to accept the new value, `r` to reject it, or `s` to skip it for now, then press enter.', false);
+		reporter.lineWriter.writeLine(chalk.italic('Tip: Ctrl+C to stop reviewing. Accepted values are still saved.'), false);
+
+		let answer;
+		while (answer === undefined) {
+			reporter.lineWriter.write('> ');
+			const {value} = await lineReader.next(); // eslint-disable-line no-await-in-loop
+			if (value === close) {
+				return close;
+			}
+
+			if (value === cancel) {
+				return {accepted, managers, reviewed};
+			}
+
+			answer = ['a', 'r', 's'].find(choice => choice === value.toLowerCase());
+		}
+
+		if (answer === 'a') {
+			manager.replaceSerialized({
+				belongsTo, index, label, data,
+			});
+			accepted.push(mismatch);
+		}
+
+		if (answer !== 's') {
+			reviewed.push(mismatch);
+		}
+	}
+
+	return {accepted, managers, reviewed};
+};
+
+export async function start({api, configFiles, control, filter, globs, projectDir, providers, reloadConfig, reporter, stdin, signal}) {
+	// The API changes when the configuration is reloaded.
+	for await (const {api: currentApi, files, testFileSelector, ...runtimeOptions} of plan({
 		api,
+		configFiles,
+		control,
 		filter,
 		globs,
 		projectDir,
 		providers,
+		reloadConfig,
 		stdin,
 		abortSignal: signal,
 		reporter,
 	})) {
-		await api.run({files, testFileSelector, runtimeOptions});
+		await currentApi.run({files, testFileSelector, runtimeOptions});
 		reporter.endRun();
 	}
 }
 
 async function * plan({
 	api,
+	configFiles,
+	control,
 	filter,
 	globs,
 	projectDir,
 	providers,
+	reloadConfig,
 	stdin,
 	abortSignal,
 	reporter,
 }) {
-	const fileTracer = new FileTracer({base: projectDir});
-	const isIgnored = buildIgnoreMatcher(globs);
+	// With `--control=json`, commands and events are exchanged as JSON rather than text for people.
+	const jsonControl = control === 'json';
+
+	// These are replaced when the configuration is reloaded.
+	let fileTracer = new FileTracer({base: projectDir});
+	let isIgnored = buildIgnoreMatcher(globs);
+	let configPaths = new Set(configFiles.map(file => nodePath.relative(projectDir, file)));
+	let packageConfig = readPackageConfig(projectDir);
+	const isConfigChange = path => {
+		if (!configPaths.has(path)) {
+			return false;
+		}
+
+		if (path !== 'package.json') {
+			return true;
+		}
+
+		const previousPackageConfig = packageConfig;
+		packageConfig = readPackageConfig(projectDir);
+		return packageConfig !== previousPackageConfig;
+	};
+
 	const patternFilters = filter.map(({pattern}) => pattern);
 
 	const statsCache = new Map();
@@ -198,7 +385,7 @@ async function * plan({
 	};
 
 	const fileExists = path => fileStats(path) !== undefined;
-	const cwdAndGlobs = {cwd: projectDir, ...globs};
+	let cwdAndGlobs = {cwd: projectDir, ...globs};
 	const changeFromPath = path => {
 		const {isTest} = classify(path, cwdAndGlobs);
 		const stats = fileStats(path);
@@ -208,16 +395,21 @@ async function * plan({
 	};
 
 	// Begin a file trace in the background.
-	fileTracer.update(findTests(cwdAndGlobs).then(testFiles => testFiles.map(path => ({
-		path: nodePath.relative(projectDir, path),
-		isTest: true,
-		exists: true,
-	}))));
+	const traceTestFiles = () => {
+		fileTracer.update(findTests(cwdAndGlobs).then(testFiles => testFiles.map(path => ({
+			path: nodePath.relative(projectDir, path),
+			isTest: true,
+			exists: true,
+		}))));
+	};
+
+	traceTestFiles();
 
 	// State tracked for test runs.
 	const touchedFiles = new Set();
 	const temporaryFiles = new Set();
 	const failureCounts = new Map();
+	const snapshotMismatches = new Map();
 
 	const countPreviousFailures = () => {
 		let previousFailures = 0;
@@ -229,47 +421,63 @@ async function * plan({
 	};
 
 	// Observe all test runs.
-	api.on('run', ({data: {status}}) => {
-		status.on('stateChange', ({data: evt}) => {
-			switch (evt.type) {
-				case 'accessed-snapshots': {
-					fileTracer.addDependency(nodePath.relative(projectDir, evt.testFile), nodePath.relative(projectDir, evt.filename));
-					break;
+	const observeRuns = api => {
+		api.on('run', ({data: {files, status}}) => {
+			// Mismatches are reported again if the test files still fail.
+			for (const [key, {testFile}] of snapshotMismatches) {
+				if (files.includes(testFile)) {
+					snapshotMismatches.delete(key);
 				}
+			}
 
-				case 'touched-files': {
-					for (const file of evt.files.changedFiles) {
-						touchedFiles.add(nodePath.relative(projectDir, file));
+			status.on('stateChange', ({data: evt}) => {
+				switch (evt.type) {
+					case 'snapshot-mismatch': {
+						snapshotMismatches.set(snapshotMismatchKey(evt), {...evt, data: Buffer.from(evt.data)});
+						break;
 					}
 
-					for (const file of evt.files.temporaryFiles) {
-						temporaryFiles.add(nodePath.relative(projectDir, file));
+					case 'accessed-snapshots': {
+						fileTracer.addDependency(nodePath.relative(projectDir, evt.testFile), nodePath.relative(projectDir, evt.filename));
+						break;
 					}
 
-					break;
-				}
+					case 'touched-files': {
+						for (const file of evt.files.changedFiles) {
+							touchedFiles.add(nodePath.relative(projectDir, file));
+						}
+
+						for (const file of evt.files.temporaryFiles) {
+							temporaryFiles.add(nodePath.relative(projectDir, file));
+						}
 
-				case 'hook-failed':
-				case 'internal-error':
-				case 'process-exit':
-				case 'test-failed':
-				case 'uncaught-exception':
-				case 'unhandled-rejection':
-				case 'worker-failed': {
-					if (evt.testFile) {
-						const path = nodePath.relative(projectDir, evt.testFile);
-						failureCounts.set(path, 1 + (failureCounts.get(path) ?? 0));
+						break;
 					}
 
-					break;
-				}
+					case 'hook-failed':
+					case 'internal-error':
+					case 'process-exit':
+					case 'test-failed':
+					case 'uncaught-exception':
+					case 'unhandled-rejection':
+					case 'worker-failed': {
+						if (evt.testFile) {
+							const path = nodePath.relative(projectDir, evt.testFile);
+							failureCounts.set(path, 1 + (failureCounts.get(path) ?? 0));
+						}
 
-				default: {
-					break;
+						break;
+					}
+
+					default: {
+						break;
+					}
 				}
-			}
+			});
 		});
-	});
+	};
+
+	observeRuns(api);
 
 	// State for subsequent test runs.
 	let signalChanged;
@@ -289,6 +497,7 @@ async function * plan({
 
 	// Interactive filters.
 	let interactiveGlobPattern;
+	let interactiveLinePattern;
 	let interactiveMatchPattern;
 	const testFileSelector = (allTestFiles, selectedFiles = [], skipInteractive = runAll) => {
 		if (selectedFiles.length === 0) {
@@ -317,6 +526,20 @@ async function * plan({
 			selectedFiles.ignoredFilterPatternFiles = ignoredFilterPatternFiles;
 		}
 
+		// The line numbers are selected by the API, through the applied filters.
+		if (!skipInteractive && interactiveLinePattern !== undefined) {
+			const {appliedFilters = [], ignoredFilterPatternFiles} = selectedFiles;
+			const lineFilter = splitPatternAndLineNumbers(interactiveLinePattern);
+			selectedFiles = applyTestFileFilter({
+				cwd: projectDir,
+				filter: [lineFilter.pattern],
+				testFiles: selectedFiles,
+				treatFilterPatternsAsFiles: false,
+			});
+			selectedFiles.appliedFilters = [...appliedFilters, lineFilter];
+			selectedFiles.ignoredFilterPatternFiles = ignoredFilterPatternFiles;
+		}
+
 		// Remove previous failures for tests that will run again.
 		for (const file of selectedFiles) {
 			const path = nodePath.relative(projectDir, file);
@@ -326,23 +549,173 @@ async function * plan({
 		return selectedFiles;
 	};
 
+	// Instead of instructions, JSON control emits an event with the current state.
+	const instruct = () => {
+		if (jsonControl) {
+			writeEvent(reporter.reportStream, {
+				type: 'watch-idle',
+				failureCount: countPreviousFailures(),
+				filters: {glob: interactiveGlobPattern, lines: interactiveLinePattern, match: interactiveMatchPattern},
+				snapshotMismatchCount: snapshotMismatches.size,
+			});
+			return;
+		}
+
+		writeCommandInstructions(reporter, {
+			failureCount: countPreviousFailures(),
+			interactiveGlobPattern,
+			interactiveLinePattern,
+			interactiveMatchPattern,
+			snapshotMismatchCount: snapshotMismatches.size,
+		});
+	};
+
+	const notify = (message, {error = false} = {}) => {
+		if (jsonControl) {
+			writeEvent(reporter.reportStream, {type: error ? 'watch-error' : 'watch-notice', message});
+			return;
+		}
+
+		reporter.lineWriter.ensureEmptyLine();
+		reporter.lineWriter.writeLine(error ? `${chalk.red(figures.cross)} ${message}` : chalk.gray(message));
+		reporter.lineWriter.writeLine();
+	};
+
+	// Clear any prompt. There is none with JSON control.
+	const clearPrompt = () => {
+		if (!jsonControl && !reporter.lineWriter.lastLineIsEmpty && reporter.reportStream.isTTY) {
+			reporter.reportStream.clearLine(0);
+			reporter.lineWriter.writeLine();
+		}
+	};
+
+	// Quitting through the JSON control protocol stops watch mode in the same way as aborting it.
+	const quitController = new AbortController();
+	const stopSignal = abortSignal === undefined ? quitController.signal : AbortSignal.any([abortSignal, quitController.signal]);
+
+	// Commands from the JSON control protocol are queued, and applied before the next run. Commands that are received
+	// together therefore take effect in the same run.
+	const controlCommands = [];
+
+	const queueControlCommand = line => {
+		let command;
+		try {
+			command = parseCommand(line);
+		} catch (error) {
+			notify(error.message, {error: true});
+			return;
+		}
+
+		switch (command.type) {
+			case 'quit': {
+				quitController.abort();
+				return;
+			}
+
+			case 'set-glob': {
+				command.pattern = command.pattern ? normalizeGlobInput(command.pattern, projectDir) : undefined;
+				break;
+			}
+
+			case 'select-lines': {
+				const linePattern = command.pattern ? normalizeLineInput(command.pattern, projectDir) : undefined;
+				if (command.pattern && linePattern === undefined) {
+					notify(`The ’select-lines’ pattern must include the line numbers after the file, such as ’test.js:12’: ${command.pattern}`, {error: true});
+					return;
+				}
+
+				command.pattern = linePattern;
+				break;
+			}
+
+			default: {
+				break;
+			}
+		}
+
+		controlCommands.push(command);
+		if (controlCommands.length === 1) {
+			// Wait for any other commands that were received at the same time. They may already have been applied by the
+			// time this fires, in which case there is nothing left to run.
+			setImmediate(() => {
+				if (controlCommands.length > 0) {
+					signalChanged();
+				}
+			});
+		}
+	};
+
+	// Apply the queued commands. Returns whether only the failing tests should be rerun.
+	const applyControlCommands = () => {
+		let onlyFailures = false;
+		for (const command of controlCommands.splice(0)) {
+			switch (command.type) {
+				case 'rerun-all': {
+					runAll = true;
+					break;
+				}
+
+				case 'rerun-failures': {
+					onlyFailures = true;
+					break;
+				}
+
+				case 'update-snapshots': {
+					updateSnapshots = true;
+					break;
+				}
+
+				case 'set-glob': {
+					interactiveGlobPattern = command.pattern;
+					break;
+				}
+
+				case 'set-match': {
+					interactiveMatchPattern = command.pattern || undefined;
+					break;
+				}
+
+				case 'select-lines': {
+					interactiveLinePattern = command.pattern;
+					break;
+				}
+
+				default: {
+					break;
+				}
+			}
+		}
+
+		return onlyFailures;
+	};
+
 	const lineReader = readLines(stdin);
 
 	// Don't let the reader keep the process alive.
 	stdin.unref();
 
 	// Handle commands.
-	eachLine(lineReader, async line => {
+	eachLine(lineReader, async line => { // eslint-disable-line complexity
 		if (line === cancel || line === close) {
 			process.exit(); // eslint-disable-line unicorn/no-process-exit
 		}
 
+		if (jsonControl) {
+			queueControlCommand(line);
+			return;
+		}
+
 		switch (line.toLowerCase()) {
 			case 'r': {
 				signalChanged();
 				break;
 			}
 
+			case 'f': {
+				signalChanged({onlyFailures: true});
+				break;
+			}
+
 			case 'u': {
 				updateSnapshots = true;
 				signalChanged();
@@ -376,6 +749,68 @@ async function * plan({
 				break;
 			}
 
+			case 'i': {
+				// Don't review while tests are running.
+				if (snapshotMismatches.size === 0 || !respondToChanges) {
+					break;
+				}
+
+				respondToChanges = false;
+				const review = await promptForSnapshotReview(reporter, lineReader, [...snapshotMismatches.values()], projectDir);
+				reporter.lineWriter.writeLine();
+				if (review === close) {
+					process.exit(); // eslint-disable-line unicorn/no-process-exit
+				}
+
+				for (const mismatch of review.reviewed) {
+					snapshotMismatches.delete(snapshotMismatchKey(mismatch));
+				}
+
+				// Save the accepted values. The snapshot files are written here, so the changes must not trigger a run.
+				await Promise.all([...review.managers.values()].map(async manager => {
+					const files = await manager.save();
+					for (const file of files?.changedFiles ?? []) {
+						touchedFiles.add(nodePath.relative(projectDir, file));
+					}
+
+					for (const file of files?.temporaryFiles ?? []) {
+						temporaryFiles.add(nodePath.relative(projectDir, file));
+					}
+				}));
+				respondToChanges = true;
+
+				// Rerun the test files with accepted snapshots.
+				const testFiles = new Set(review.accepted.map(({testFile}) => nodePath.relative(projectDir, testFile)));
+				if (testFiles.size > 0) {
+					signalChanged({testFiles: [...testFiles]});
+				} else {
+					instruct();
+				}
+
+				break;
+			}
+
+			case 'l': {
+				respondToChanges = false;
+				const oldLinePattern = interactiveLinePattern;
+				const promptValue = await promptForLinePattern(reporter, lineReader, interactiveLinePattern, projectDir);
+				respondToChanges = true;
+				reporter.lineWriter.writeLine();
+				if (promptValue === close) {
+					process.exit(); // eslint-disable-line unicorn/no-process-exit
+				}
+
+				if (promptValue === cancel || (promptValue === oldLinePattern)) {
+					signalChanged();
+					break;
+				}
+
+				interactiveLinePattern = promptValue;
+				signalChanged();
+
+				break;
+			}
+
 			case 'm': {
 				respondToChanges = false;
 				const oldMatchPattern = interactiveMatchPattern;
@@ -516,6 +951,17 @@ async function * plan({
 		// Stats only need to be cached while we identify changes.
 		statsCache.clear();
 
+		// When the configuration, or a module it requires, changes, the configuration is reloaded and all tests are run.
+		if (changes.some(({path}) => isConfigChange(path))) {
+			debug('Configuration changed, reloading');
+			dirtyPaths.clear();
+			temporaryFiles.clear();
+			touchedFiles.clear();
+			signalChanged({reloadConfig: true});
+			takeCoverageForSelfTests?.();
+			return;
+		}
+
 		// Identify test files that need to be run next, and whether there are
 		// non-ignored file changes that mean we should run all test files.
 		const uniqueTestFiles = new Set();
@@ -578,7 +1024,7 @@ async function * plan({
 	}, 100).unref();
 
 	// Detect changed files.
-	fs.watch(projectDir, {recursive: true, signal: abortSignal}, (_, filename) => {
+	fs.watch(projectDir, {recursive: true, signal: stopSignal}, (_, filename) => {
 		if (filename !== null) {
 			dirtyPaths.add(filename);
 			debug('Detected change in %s', filename);
@@ -586,18 +1032,60 @@ async function * plan({
 		}
 	});
 
-	abortSignal?.addEventListener('abort', () => {
+	// Reload the configuration and set up the watcher again. Returns false if the configuration could not be loaded.
+	const reloadRunConfig = async () => {
+		try {
+			({api, configFiles, globs, providers} = await reloadConfig());
+		} catch (error) {
+			notify(`Could not reload the configuration: ${error.message}`, {error: true});
+			return false;
+		}
+
+		debug('Reloaded configuration');
+		configPaths = new Set(configFiles.map(file => nodePath.relative(projectDir, file)));
+		packageConfig = readPackageConfig(projectDir);
+		isIgnored = buildIgnoreMatcher(globs);
+		cwdAndGlobs = {cwd: projectDir, ...globs};
+		fileTracer = new FileTracer({base: projectDir});
+		traceTestFiles();
+		observeRuns(api);
+
+		// Test files and snapshots may have changed along with the configuration.
+		failureCounts.clear();
+		snapshotMismatches.clear();
+		return true;
+	};
+
+	stopSignal.addEventListener('abort', () => {
 		signalChanged?.();
 	});
 
 	// And finally, the watch loop.
-	while (abortSignal?.aborted !== true) {
-		const {testFiles = []} = (await changed) ?? {}; // eslint-disable-line no-await-in-loop
+	while (!stopSignal.aborted) {
+		const {testFiles = [], onlyFailures: onlyFailuresSignalled = false, reloadConfig: configChanged} = (await changed) ?? {}; // eslint-disable-line no-await-in-loop
 
-		if (abortSignal?.aborted) {
+		if (stopSignal.aborted) {
 			break;
 		}
 
+		const onlyFailures = applyControlCommands() || onlyFailuresSignalled;
+
+		if (configChanged && !await reloadRunConfig()) { // eslint-disable-line no-await-in-loop
+			// Keep watching with the previous configuration, so the problem can be fixed.
+			reset();
+			instruct();
+			continue;
+		}
+
+		// Failing tests are recorded in the cache after each run.
+		const failedTests = onlyFailures ? api.readFailedTests() : undefined;
+		if (failedTests?.size === 0) {
+			reset();
+			notify('There are no previously failing tests to run');
+			instruct();
+			continue;
+		}
+
 		// Values are changed by refresh() so copy them now.
 		const instructFirstRun = firstRun;
 		const skipInteractive = runAll;
@@ -619,221 +1107,31 @@ async function * plan({
 			instructTestFileSelector = (allTestFiles, selectedFiles = []) => testFileSelector(allTestFiles, selectedFiles, true);
 		}
 
-		// Clear any prompt.
-		if (!reporter.lineWriter.lastLineIsEmpty && reporter.reportStream.isTTY) {
-			reporter.reportStream.clearLine(0);
-			reporter.lineWriter.writeLine();
-		}
+		clearPrompt();
 
 		// Let the tests run.
 		respondToChanges = false;
 		yield {
+			api,
 			countPreviousFailures,
+			failedTests,
 			files,
 			firstRun: instructFirstRun,
+			reportSnapshotMismatches: true,
 			testFileSelector: instructTestFileSelector,
 			updateSnapshots: instructUpdateSnapshots,
 			interactiveMatchPattern: skipInteractive ? undefined : interactiveMatchPattern,
 		};
 		respondToChanges = true;
 
+		if (stopSignal.aborted) {
+			break;
+		}
+
 		// Write command instructions after the tests have run and been reported.
-		writeCommandInstructions(reporter, interactiveGlobPattern, interactiveMatchPattern);
+		instruct();
 
 		// Trigger the callback, which if there were changes will run the tests again.
 		debounce.refresh();
 	}
 }
-
-// State management for file tracer.
-class Node {
-	#children = new Map();
-	#parents = new Map();
-	isTest = false;
-
-	constructor(path) {
-		this.path = path;
-	}
-
-	get parents() {
-		return this.#parents.keys();
-	}
-
-	addChild(node) {
-		this.#children.set(node.path, node);
-		node.#addParent(this);
-	}
-
-	#addParent(node) {
-		this.#parents.set(node.path, node);
-	}
-
-	prune() {
-		for (const child of this.#children.values()) {
-			child.#removeParent(this);
-		}
-
-		for (const parent of this.#parents.values()) {
-			parent.#removeChild(this);
-		}
-	}
-
-	#removeChild(node) {
-		this.#children.delete(node.path);
-	}
-
-	#removeParent(node) {
-		this.#parents.delete(node.path);
-	}
-}
-
-class Tree extends Map {
-	get(path) {
-		if (!this.has(path)) {
-			this.set(path, new Node(path));
-		}
-
-		return super.get(path);
-	}
-
-	delete(path) {
-		const node = this.get(path);
-		node?.prune();
-		super.delete(path);
-	}
-}
-
-// Track file dependencies to determine which test files to run.
-class FileTracer {
-	#base;
-	#cache = Object.create(null);
-	#pendingTrace = null;
-	#tree = new Tree();
-
-	constructor({base}) {
-		this.#base = base;
-	}
-
-	get busy() {
-		return this.#pendingTrace;
-	}
-
-	traceToTestFile(startingPath) {
-		const todo = [startingPath];
-		const testFiles = new Set();
-		const visited = new Set();
-		for (const path of todo) {
-			if (visited.has(path)) {
-				continue;
-			}
-
-			visited.add(path);
-
-			const node = this.#tree.get(path);
-			if (node === undefined) {
-				continue;
-			}
-
-			if (node.isTest) {
-				testFiles.add(node.path);
-			} else {
-				todo.push(...node.parents);
-			}
-		}
-
-		return [...testFiles];
-	}
-
-	addDependency(testFile, path) {
-		const testNode = this.#tree.get(testFile);
-		testNode.isTest = true;
-
-		const node = this.#tree.get(path);
-		testNode.addChild(node);
-	}
-
-	has(path) {
-		return this.#tree.has(path);
-	}
-
-	update(changes) {
-		const current = this.#update(changes).finally(() => {
-			if (this.#pendingTrace === current) {
-				this.#pendingTrace = null;
-			}
-		});
-
-		this.#pendingTrace = current;
-	}
-
-	async #update(changes) {
-		await this.#pendingTrace; // Guard against race conditions.
-
-		let reuseCache = true;
-		const knownTestFiles = new Set();
-		const deletedFiles = new Set();
-		const filesToTrace = new Set();
-		for (const {path, isTest, exists} of await changes) {
-			if (exists) {
-				if (isTest) {
-					knownTestFiles.add(path);
-				}
-
-				filesToTrace.add(path);
-			} else {
-				deletedFiles.add(path);
-			}
-
-			// The cache can be reused as long as the changes are just for new files.
-			reuseCache &&= !this.#tree.has(path);
-		}
-
-		// Remove deleted files from the tree.
-		for (const path of deletedFiles) {
-			this.#tree.delete(path);
-		}
-
-		// Create a new cache if the old one can't be reused.
-		if (!reuseCache) {
-			this.#cache = Object.create(null);
-		}
-
-		// If all changes are deletions then there is no more work to do.
-		if (filesToTrace.size === 0) {
-			return;
-		}
-
-		// Always retrace all test files, in case a file was deleted and then replaced.
-		for (const node of this.#tree.values()) {
-			if (node.isTest) {
-				filesToTrace.add(node.path);
-			}
-		}
-
-		// Trace any new and changed files.
-		const {fileList, reasons} = await nodeFileTrace([...filesToTrace], {
-			analysis: { // Only trace exact imports.
-				emitGlobs: false,
-				computeFileReferences: false,
-				evaluatePureExpressions: true,
-			},
-			base: this.#base,
-			cache: this.#cache,
-			conditions: ['node'],
-			exportsOnly: true, // Disregard "main" in package files when "exports" is present.
-			ignore: ['**/node_modules/**'], // Don't trace through installed dependencies.
-		});
-
-		// Update the tree.
-		for (const path of fileList) {
-			const node = this.#tree.get(path);
-			node.isTest = knownTestFiles.has(path);
-
-			const {parents} = reasons.get(path);
-			for (const parent of parents) {
-				const parentNode = this.#tree.get(parent);
-				parentNode.addChild(node);
-			}
-		}
-	}
-}
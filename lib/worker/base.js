@@ -12,10 +12,12 @@ import {setImmediate} from '../now-and-timers.js';
 import providerManager from '../provider-manager.js';
 import Runner from '../runner.js';
 import serializeError from '../serialize-error.js';
+import {checkSerializer, configureSnapshotSerializers} from '../snapshot-serializers.js';
 
 import * as channel from './channel.js';
 import {runCompletionHandlers} from './completion-handlers.js';
-import lineNumberSelection from './line-numbers.js';
+import lineNumberSelection, {declarationLineLocator} from './line-numbers.js';
+import {registerModuleMocks} from './module-mocks.js';
 import {set as setOptions} from './options.js';
 import {flags, refs, sharedWorkerTeardowns} from './state.js';
 import {isRunningInThread, isRunningInChildProcess} from './utils.js';
@@ -54,6 +56,7 @@ process.exit = new Proxy(process.exit, {
 const run = async options => {
 	setOptions(options);
 	setChalk(options.chalkOptions);
+	registerModuleMocks({file: options.file});
 
 	if (options.chalkOptions.level > 0) {
 		const {stdout, stderr} = process;
@@ -73,15 +76,25 @@ const run = async options => {
 
 	runner = new Runner({
 		checkSelectedByLineNumbers,
+		detectObsoleteSnapshots: options.detectObsoleteSnapshots,
+		listTests: options.listTests,
+		locateDeclaration: options.listTests ? declarationLineLocator({file: options.file}) : undefined,
 		experiments: options.experiments,
 		failFast: options.failFast,
 		failWithoutAssertions: options.failWithoutAssertions,
 		file: options.file,
 		match: options.match,
 		projectDir: options.projectDir,
+		pruneSnapshots: options.pruneSnapshots,
+		randomSeed: options.randomSeed,
 		recordNewSnapshots: options.recordNewSnapshots,
+		reportSnapshotMismatches: options.reportSnapshotMismatches,
+		retries: options.retries,
+		selectTitles: options.selectTitles,
 		serial: options.serial,
 		snapshotDir: options.snapshotDir,
+		snapshotFormat: options.snapshotFormat,
+		testTimeout: options.testTimeout,
 		updateSnapshots: options.updateSnapshots,
 	});
 
@@ -101,6 +114,11 @@ const run = async options => {
 
 	runner.on('finish', async () => {
 		try {
+			const obsoleteSnapshots = runner.findObsoleteSnapshots();
+			if (obsoleteSnapshots) {
+				channel.send({type: 'obsolete-snapshots', ...obsoleteSnapshots});
+			}
+
 			const {touchedFiles} = await runner.saveSnapshotState();
 			if (touchedFiles) {
 				channel.send({type: 'touched-files', files: touchedFiles});
@@ -204,6 +222,25 @@ const run = async options => {
 		return importFromProject(ref);
 	};
 
+	// Each module exports a serializer, or an array of serializers.
+	const loadSnapshotSerializers = async refs => {
+		const serializers = [];
+		for await (const ref of refs) {
+			const {default: exported} = await loadRequiredModule(ref);
+			for (const serializer of [exported].flat()) {
+				try {
+					checkSerializer(serializer);
+				} catch (error) {
+					throw new TypeError(`Invalid snapshot serializer ’${ref}’: ${error.message}`, {cause: error});
+				}
+
+				serializers.push(serializer);
+			}
+		}
+
+		return serializers;
+	};
+
 	try {
 		for await (const [ref, ...args] of (options.require ?? [])) {
 			const {default: fn} = await loadRequiredModule(ref);
@@ -212,6 +249,8 @@ const run = async options => {
 			}
 		}
 
+		configureSnapshotSerializers(await loadSnapshotSerializers(options.snapshotSerializers ?? []));
+
 		if (options.debug?.port !== undefined && options.debug?.host !== undefined) {
 			// If an inspector was active when the main process started, and is
 			// already active for the worker process, do not open a new one.
@@ -3,7 +3,7 @@ import process from 'node:process';
 import {MessageChannel, parentPort, threadId} from 'node:worker_threads';
 
 import {controlFlow} from '../ipc-flow-control.js';
-import {setTimeout as setTimeoutTimer} from '../now-and-timers.js';
+import {setImmediate, setTimeout as setTimeoutTimer} from '../now-and-timers.js';
 
 import {isRunningInChildProcess, isRunningInThread} from './utils.js';
 
@@ -0,0 +1,111 @@
+import fs from 'node:fs';
+
+import writeFileAtomic from 'write-file-atomic';
+
+import {inlineSnapshotLocator} from './line-numbers.js';
+
+// Multi-line snapshots are written as indented template literals, starting and ending with a line break. Remove those
+// and the indentation so they can be compared with the formatted value.
+export function normalizeInlineSnapshot(snapshot) {
+	if (!snapshot.startsWith('\n')) {
+		return snapshot;
+	}
+
+	const lines = snapshot.slice(1).split('\n');
+	if (lines.at(-1).trim() === '') {
+		lines.pop();
+	}
+
+	const indentation = Math.min(...lines
+		.filter(line => line.trim() !== '')
+		.map(line => /^\s*/.exec(line)[0].length));
+	return lines.map(line => line.slice(indentation)).join('\n');
+}
+
+function toTemplateLiteral(value, indentation) {
+	const escaped = value
+		.replaceAll('\\', '\\\\')
+		.replaceAll('`', '\\`')
+		.replaceAll('${', '\\${');
+
+	if (!escaped.includes('\n')) {
+		return `\`${escaped}\``;
+	}
+
+	const innerIndentation = indentation + (indentation.startsWith(' ') ? '  ' : '\t');
+	return [
+		'`',
+		...escaped.split('\n').map(line => line === '' ? '' : innerIndentation + line),
+		`${indentation}\``,
+	].join('\n');
+}
+
+function toOffset(lines, {line, column}) {
+	let offset = column;
+	for (let index = 0; index < line - 1; index++) {
+		offset += lines[index].length + 1;
+	}
+
+	return offset;
+}
+
+export default class InlineSnapshots {
+	constructor({file}) {
+		this.locate = inlineSnapshotLocator({file});
+		this.recordings = new Map();
+	}
+
+	// Record the formatted value, to be written into the source file once the test file has finished. Values recorded
+	// for the same call must be equal.
+	record(actual) {
+		const location = this.locate();
+		if (location === null) {
+			return {pass: false, unlocatable: true};
+		}
+
+		const key = `${location.file}:${location.start.line}:${location.start.column}`;
+		const recorded = this.recordings.get(key);
+		if (recorded !== undefined) {
+			return {pass: recorded.actual === actual, expected: recorded.actual};
+		}
+
+		this.recordings.set(key, {actual, location});
+		return {pass: true};
+	}
+
+	async save() {
+		if (this.recordings.size === 0) {
+			return null;
+		}
+
+		const recordingsByFile = Map.groupBy(this.recordings.values(), ({location}) => location.file);
+		const changedFiles = [];
+		const temporaryFiles = [];
+		const tmpfileCreated = file => temporaryFiles.push(file);
+		await Promise.all([...recordingsByFile].map(async ([file, recordings]) => {
+			let source = await fs.promises.readFile(file, 'utf8');
+			const lines = source.split('\n');
+
+			// Apply the edits from the end of the file, so the offsets of earlier edits remain valid.
+			const edits = recordings
+				.map(({actual, location}) => {
+					const indentation = /^[ \t]*/.exec(lines[location.callLine - 1])[0];
+					const literal = toTemplateLiteral(actual, indentation);
+					return {
+						start: toOffset(lines, location.start),
+						end: toOffset(lines, location.end),
+						text: location.insert ? `, ${literal}` : literal,
+					};
+				})
+				.toSorted((a, b) => b.start - a.start);
+			for (const {start, end, text} of edits) {
+				source = source.slice(0, start) + text + source.slice(end);
+			}
+
+			await writeFileAtomic(file, source, {tmpfileCreated});
+			changedFiles.push(file);
+		}));
+
+		return {changedFiles, temporaryFiles};
+	}
+}
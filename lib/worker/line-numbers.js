@@ -1,11 +1,17 @@
 import * as fs from 'node:fs';
 import {findSourceMap} from 'node:module';
-import {pathToFileURL} from 'node:url';
+import path from 'node:path';
+import {fileURLToPath, pathToFileURL} from 'node:url';
 
 import * as acorn from 'acorn';
 import * as walk from 'acorn-walk';
 import callsites from 'callsites';
 
+const isInlineSnapshot = callee => callee.type === 'MemberExpression'
+	&& callee.property.name === 'inline'
+	&& callee.object.type === 'MemberExpression'
+	&& callee.object.property.name === 'snapshot';
+
 function parse(file) {
 	const ast = acorn.parse(fs.readFileSync(file, 'utf8'), {
 		ecmaVersion: 'latest',
@@ -16,7 +22,23 @@ function parse(file) {
 	const locations = [];
 	walk.simple(ast, {
 		CallExpression(node) {
-			locations.push(node.loc);
+			const {callee} = node;
+			// Track the location of each row of `test.each([…])(…)` declarations, so the resulting tests can be selected
+			// individually.
+			const isEach = callee.type === 'CallExpression'
+				&& callee.callee.type === 'MemberExpression'
+				&& callee.callee.property.name === 'each'
+				&& callee.arguments[0]?.type === 'ArrayExpression';
+			const location = isEach
+				? {...node.loc, rows: callee.arguments[0].elements.map(element => element?.loc ?? null)}
+				: node.loc;
+
+			// Track the arguments of `t.snapshot.inline(…)` calls, so the expected value can be written into the source.
+			if (isInlineSnapshot(callee)) {
+				location.inlineSnapshotArguments = node.arguments.map(argument => argument.loc);
+			}
+
+			locations.push(location);
 		},
 	});
 
@@ -32,7 +54,7 @@ function parse(file) {
 	return locations;
 }
 
-function findTest(locations, declaration) {
+function findTest(locations, declaration, {eachRowIndex}) {
 	// Find all calls that span the test declaration.
 	const spans = locations.filter(loc => {
 		if (loc.start.line > declaration.line || loc.end.line < declaration.line) {
@@ -50,12 +72,22 @@ function findTest(locations, declaration) {
 		return true;
 	});
 
-	// Locations should be sorted by source order, so the last span must be the test.
+	// Locations should be sorted by source order, so the last span must be the test. However `test.each([…])` spans the
+	// same location as the `test.each([…])(…)` declaration.
+	if (eachRowIndex !== undefined) {
+		return spans.findLast(span => span.rows !== undefined) ?? spans.pop();
+	}
+
 	return spans.pop();
 }
 
 const range = (start, end) => Array.from({length: end - start + 1}).fill(start).map((element, index) => element + index);
 
+const translateLocation = (sourceMap, {start, end}) => ({
+	start: translate(sourceMap, start),
+	end: translate(sourceMap, end),
+});
+
 const translate = (sourceMap, pos) => {
 	if (sourceMap === null) {
 		return pos;
@@ -75,51 +107,57 @@ const translate = (sourceMap, pos) => {
 	};
 };
 
-export default function lineNumberSelection({file, lineNumbers = []}) {
-	if (lineNumbers.length === 0) {
-		return undefined;
-	}
+function loadSourceMap(file) {
+	const sourceMap = findSourceMap(file);
 
-	const selected = new Set(lineNumbers);
+	// Prior to Node.js 18.8.0, the value when a source map could not be found was `undefined`.
+	// This changed to `null` in <https://github.com/nodejs/node/pull/43875>.
+	return sourceMap ?? null;
+}
+
+// Find the call site in the stack of the currently executing code that is located in the file.
+function findCallSite(file) {
+	return callsites().find(callSite => {
+		const current = callSite.getFileName();
+		if (file.startsWith('file://')) {
+			return current.startsWith('file://') ? file === current : file === pathToFileURL(current).toString();
+		}
 
-	let locations = parse(file);
+		return current.startsWith('file://') ? pathToFileURL(file).toString() === current : file === current;
+	});
+}
+
+// Returns a function which finds the declaration of the test that is currently being declared, and the location of its
+// row if it's declared using `test.each()`.
+function createDeclarationFinder(file, locations) {
 	let lookedForSourceMap = false;
 	let sourceMap = null;
 
-	return () => {
+	return ({eachRowIndex} = {}) => {
 		if (!lookedForSourceMap) {
 			lookedForSourceMap = true;
 
 			// The returned function is called *after* the file has been loaded.
 			// Source maps are not available before then.
-			sourceMap = findSourceMap(file);
-
-			if (sourceMap === undefined) {
-				// Prior to Node.js 18.8.0, the value when a source map could not be found was `undefined`.
-				// This changed to `null` in <https://github.com/nodejs/node/pull/43875>.
-				sourceMap = null;
-			}
+			sourceMap = loadSourceMap(file);
 
 			if (sourceMap !== null) {
-				locations = locations.map(({start, end}) => ({
-					start: translate(sourceMap, start),
-					end: translate(sourceMap, end),
-				}));
+				locations = locations.map(location => {
+					const translated = translateLocation(sourceMap, location);
+					if (location.rows !== undefined) {
+						translated.rows = location.rows.map(row => row === null ? null : translateLocation(sourceMap, row));
+					}
+
+					return translated;
+				});
 			}
 		}
 
 		// Assume this is called from a test declaration, which is located in the file.
 		// If not… don't select the test!
-		const callSite = callsites().find(callSite => {
-			const current = callSite.getFileName();
-			if (file.startsWith('file://')) {
-				return current.startsWith('file://') ? file === current : file === pathToFileURL(current).toString();
-			}
-
-			return current.startsWith('file://') ? pathToFileURL(file).toString() === current : file === current;
-		});
+		const callSite = findCallSite(file);
 		if (!callSite) {
-			return false;
+			return null;
 		}
 
 		const start = translate(sourceMap, {
@@ -127,11 +165,131 @@ export default function lineNumberSelection({file, lineNumbers = []}) {
 			column: callSite.getColumnNumber() - 1, // Comes out as 1-based, Acorn wants 0-based
 		});
 
-		const test = findTest(locations, start);
+		const test = findTest(locations, start, {eachRowIndex});
 		if (!test) {
+			return null;
+		}
+
+		return {test, row: test.rows?.[eachRowIndex] ?? null};
+	};
+}
+
+export default function lineNumberSelection({file, lineNumbers = []}) {
+	if (lineNumbers.length === 0) {
+		return undefined;
+	}
+
+	const selected = new Set(lineNumbers);
+	const findDeclaration = createDeclarationFinder(file, parse(file));
+
+	return ({eachRowIndex} = {}) => {
+		const declaration = findDeclaration({eachRowIndex});
+		if (declaration === null) {
 			return false;
 		}
 
+		const {test, row} = declaration;
+		if (row) {
+			// Select the test if its row is selected, or if any line of the declaration that does not contain a row is selected.
+			const rowLines = new Set(test.rows.flatMap(row => row === null ? [] : range(row.start.line, row.end.line)));
+			const isSelectedOutsideRows = range(test.start.line, test.end.line).some(line => selected.has(line) && !rowLines.has(line));
+			return isSelectedOutsideRows || range(row.start.line, row.end.line).some(line => selected.has(line));
+		}
+
 		return range(test.start.line, test.end.line).some(line => selected.has(line));
 	};
 }
+
+// Returns a function which determines the line on which the test that is currently being declared starts. For tests
+// declared using `test.each()`, this is the line of the row.
+export function declarationLineLocator({file}) {
+	let locations;
+	try {
+		locations = parse(file);
+	} catch {
+		// The file can't be parsed, e.g. because it's compiled on the fly. The line numbers are optional.
+		return () => undefined;
+	}
+
+	const findDeclaration = createDeclarationFinder(file, locations);
+	return ({eachRowIndex} = {}) => {
+		const declaration = findDeclaration({eachRowIndex});
+		if (declaration === null) {
+			return undefined;
+		}
+
+		return (declaration.row ?? declaration.test).start.line;
+	};
+}
+
+// Translates a position in the file to the original source file, which is a different file if the file was compiled.
+const translateToSource = (sourceMap, file, pos) => {
+	if (sourceMap === null) {
+		return {file, ...pos};
+	}
+
+	const entry = sourceMap.findEntry(pos.line - 1, pos.column); // Source maps are 0-based
+	if (entry.originalLine === undefined || entry.originalColumn === undefined) {
+		return null;
+	}
+
+	// Entries point to the start of a mapped segment. Assume the position within the segment is unchanged.
+	const offset = entry.generatedLine === pos.line - 1 ? pos.column - entry.generatedColumn : 0;
+	return {
+		file: entry.originalSource.startsWith('file://')
+			? fileURLToPath(entry.originalSource)
+			: path.resolve(path.dirname(file), entry.originalSource),
+		line: entry.originalLine + 1, // Readjust for Acorn.
+		column: entry.originalColumn + offset,
+	};
+};
+
+// Returns a function which locates the `t.snapshot.inline()` call that is currently being executed, in the original
+// source file. The location is where the expected value should be written: it either replaces the second argument, or
+// is inserted after the first. Returns `null` if the call can't be located.
+export function inlineSnapshotLocator({file}) {
+	let calls;
+	let sourceMap;
+
+	return () => {
+		if (calls === undefined) {
+			try {
+				calls = parse(file).filter(location => location.inlineSnapshotArguments !== undefined);
+			} catch {
+				calls = [];
+			}
+
+			sourceMap = loadSourceMap(file);
+		}
+
+		const callSite = findCallSite(file);
+		if (!callSite) {
+			return null;
+		}
+
+		// The innermost call that spans the call site is the `t.snapshot.inline()` call.
+		const call = findTest(calls, {
+			line: callSite.getLineNumber(), // 1-based
+			column: callSite.getColumnNumber() - 1, // Comes out as 1-based, Acorn wants 0-based
+		}, {});
+		const [actual, expected] = call?.inlineSnapshotArguments ?? [];
+		if (actual === undefined) {
+			return null;
+		}
+
+		const callStart = translateToSource(sourceMap, file, call.start);
+		const start = translateToSource(sourceMap, file, expected?.start ?? actual.end);
+		const end = translateToSource(sourceMap, file, expected?.end ?? actual.end);
+		if (callStart === null || start === null || end === null || start.file !== end.file) {
+			return null;
+		}
+
+		return {
+			file: start.file,
+			callLine: callStart.line,
+			start,
+			end,
+			insert: expected === undefined,
+		};
+	};
+}
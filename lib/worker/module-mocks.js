@@ -0,0 +1,133 @@
+import module from 'node:module';
+import {pathToFileURL} from 'node:url';
+
+const MOCK_PROTOCOL = 'ava-mock:';
+
+let hooksRegistered = false;
+let parentURL;
+let nextId = 0;
+const mocks = new Map();
+
+// Lazily resolve the mocked specifier relative to the test file, using the same hooks chain as the import itself.
+function getMockedUrl(mock, context, nextResolve) {
+	if (mock.url === undefined) {
+		try {
+			mock.url = nextResolve(mock.specifier, {...context, parentURL: mock.parentURL}).url;
+		} catch {
+			// Modules that do not exist can be mocked, too.
+			mock.url = null;
+		}
+	}
+
+	return mock.url;
+}
+
+// More recent mocks take precedence.
+function findMock(predicate) {
+	return [...mocks.values()].findLast(mock => mock.active && predicate(mock));
+}
+
+// Mocks are ES modules, so they only apply to imports. Modules loaded with `require()` are left alone.
+const isRequire = context => context.conditions?.includes('require') ?? false;
+
+function resolve(specifier, context, nextResolve) {
+	if (mocks.size === 0 || specifier.startsWith(MOCK_PROTOCOL) || isRequire(context)) {
+		return nextResolve(specifier, context);
+	}
+
+	let resolved;
+	try {
+		resolved = nextResolve(specifier, context);
+	} catch (error) {
+		const mock = findMock(mock => getMockedUrl(mock, context, nextResolve) === null && mock.specifier === specifier);
+		if (mock === undefined) {
+			throw error;
+		}
+
+		return {url: `${MOCK_PROTOCOL}${mock.id}`, shortCircuit: true};
+	}
+
+	const mock = findMock(mock => getMockedUrl(mock, context, nextResolve) === resolved.url);
+	return mock === undefined ? resolved : {url: `${MOCK_PROTOCOL}${mock.id}`, shortCircuit: true};
+}
+
+function load(url, context, nextLoad) {
+	if (!url.startsWith(MOCK_PROTOCOL)) {
+		return nextLoad(url, context);
+	}
+
+	const mock = mocks.get(Number(url.slice(MOCK_PROTOCOL.length)));
+	const source = [
+		`import {getModuleMock} from ${JSON.stringify(import.meta.url)};`,
+		`const {defaultExport, namedExports} = getModuleMock(${mock.id});`,
+	];
+	for (const [index, name] of Object.keys(mock.namedExports).entries()) {
+		source.push(
+			`const export${index} = namedExports[${JSON.stringify(name)}];`,
+			`export {export${index} as ${JSON.stringify(name)}};`,
+		);
+	}
+
+	if (mock.hasDefaultExport) {
+		source.push('export default defaultExport;');
+	}
+
+	return {format: 'module', shortCircuit: true, source: source.join('\n')};
+}
+
+export function getModuleMock(id) {
+	return mocks.get(id);
+}
+
+/**
+ * Prepare for mocking modules in the test file, removing any mocks left over from a previous test file. Relative
+ * specifiers are resolved against `file`.
+ */
+export function registerModuleMocks({file}) {
+	parentURL = pathToFileURL(file).href;
+	mocks.clear();
+}
+
+/**
+ * Mock the module that `specifier` resolves to, for subsequent imports. Returns a function that removes the mock.
+ */
+export function mockModule(specifier, options = {}) {
+	if (parentURL === undefined) {
+		throw new Error('Modules can only be mocked in test files run by AVA');
+	}
+
+	if (typeof specifier !== 'string') {
+		throw new TypeError('Expected the module specifier to be a string');
+	}
+
+	const {namedExports = {}} = options;
+	if (typeof namedExports !== 'object' || namedExports === null || Array.isArray(namedExports)) {
+		throw new TypeError('Expected `namedExports` to be an object');
+	}
+
+	if (Object.hasOwn(namedExports, 'default')) {
+		throw new TypeError('Use the `defaultExport` option to mock the default export');
+	}
+
+	const mock = {
+		active: true,
+		defaultExport: options.defaultExport,
+		hasDefaultExport: Object.hasOwn(options, 'defaultExport'),
+		id: nextId++,
+		namedExports,
+		parentURL,
+		specifier,
+		url: undefined,
+	};
+	mocks.set(mock.id, mock);
+
+	// The hooks affect how all modules are loaded, including CommonJS modules, so only register them when needed.
+	if (!hooksRegistered) {
+		module.registerHooks({resolve, load});
+		hooksRegistered = true;
+	}
+
+	return () => {
+		mock.active = false;
+	};
+}
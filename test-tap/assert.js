@@ -5,6 +5,7 @@ import {stripVTControlCharacters} from 'node:util';
 import {test} from 'tap';
 
 import * as assert from '../lib/assert.js';
+import {createMockFunction} from '../lib/mock.js';
 import * as snapshotManager from '../lib/snapshot-manager.js';
 import {set as setOptions} from '../lib/worker/options.js';
 
@@ -1562,6 +1563,56 @@ test('.snapshot()', async t => {
 	t.end();
 });
 
+test('.snapshot.inline()', t => {
+	const assertions = new AssertionsBase({
+		compareWithInlineSnapshot({actual, expected}) {
+			if (expected === 'unlocatable') {
+				return {pass: false, unlocatable: true};
+			}
+
+			return {pass: actual === expected, expected};
+		},
+	});
+
+	passes(t, () => assertions.snapshot.inline({foo: 'bar'}, '{\n  foo: \'bar\',\n}'));
+
+	failsWith(t, () => assertions.snapshot.inline('foo', '\'bar\''), {
+		assertion: 't.snapshot.inline()',
+		message: 'Did not match inline snapshot',
+		formattedDetails: [{label: 'Difference (- actual, + expected):', formatted: /- '\\'foo\\''\n\+ '\\'bar\\''/}],
+	});
+
+	failsWith(t, () => assertions.snapshot.inline('foo', '\'bar\'', 'my message'), {
+		assertion: 't.snapshot.inline()',
+		message: 'my message',
+		formattedDetails: [{label: 'Difference (- actual, + expected):', formatted: /'\\'foo\\''/}],
+	});
+
+	failsWith(t, () => assertions.snapshot.inline('foo'), {
+		assertion: 't.snapshot.inline()',
+		message: 'No inline snapshot available — new snapshots are not created in CI environments',
+	});
+
+	failsWith(t, () => assertions.snapshot.inline('foo', 'unlocatable'), {
+		assertion: 't.snapshot.inline()',
+		message: 'Could not find the `t.snapshot.inline()` call in the test file, so the snapshot cannot be written',
+	});
+
+	failsWith(t, () => assertions.snapshot.inline('foo', 42), {
+		assertion: 't.snapshot.inline()',
+		message: 'The expected value of `t.snapshot.inline()` must be a string',
+		formattedDetails: [{label: 'Called with:', formatted: /42/}],
+	});
+
+	failsWith(t, () => assertions.snapshot.inline('foo', '\'foo\'', null), {
+		assertion: 't.snapshot.inline()',
+		message: 'The assertion message must be a string',
+		formattedDetails: [{label: 'Called with:', formatted: /null/}],
+	});
+
+	t.end();
+});
+
 test('.truthy()', t => {
 	failsWith(t, () => assertions.truthy(0), {
 		assertion: 't.truthy()',
@@ -1842,3 +1893,119 @@ test('.assert()', t => {
 
 	t.end();
 });
+
+test('.calledTimes()', t => {
+	const mock = createMockFunction();
+
+	passes(t, () => assertions.calledTimes(mock, 0));
+
+	mock('foo');
+	mock('bar');
+
+	passes(t, () => assertions.calledTimes(mock, 2));
+
+	failsWith(t, () => assertions.calledTimes(mock, 1), {
+		assertion: 't.calledTimes()',
+		message: '',
+		formattedDetails: [
+			{label: 'Difference (- actual, + expected):', formatted: /- 2\n\+ 1/},
+			{label: 'Mock function was called with:', formatted: /'foo'[\s\S]*'bar'/},
+		],
+	});
+
+	failsWith(t, () => assertions.calledTimes(mock, 1, 'my message'), {
+		assertion: 't.calledTimes()',
+		message: 'my message',
+		formattedDetails: [
+			{label: 'Difference (- actual, + expected):', formatted: /- 2\n\+ 1/},
+			{label: 'Mock function was called with:', formatted: /'foo'[\s\S]*'bar'/},
+		],
+	});
+
+	failsWith(t, () => assertions.calledTimes(createMockFunction(), 1), {
+		assertion: 't.calledTimes()',
+		message: '',
+		formattedDetails: [{label: 'Difference (- actual, + expected):', formatted: /- 0\n\+ 1/}],
+	});
+
+	failsWith(t, () => assertions.calledTimes(mock, 2, null), {
+		assertion: 't.calledTimes()',
+		message: 'The assertion message must be a string',
+		formattedDetails: [{label: 'Called with:', formatted: /null/}],
+	});
+
+	t.end();
+});
+
+test('.calledTimes() fails if passed a bad value', t => {
+	failsWith(t, () => assertions.calledTimes(() => {}, 0), {
+		assertion: 't.calledTimes()',
+		message: '`t.calledTimes()` must be called with a mock function created by `t.mock.fn()` or `t.mock.method()`',
+		formattedDetails: [{label: 'Called with:', formatted: /Function/}],
+	});
+
+	failsWith(t, () => assertions.calledTimes(createMockFunction(), -1), {
+		assertion: 't.calledTimes()',
+		message: '`t.calledTimes()` must be called with a non-negative integer',
+		formattedDetails: [{label: 'Called with:', formatted: /-1/}],
+	});
+
+	t.end();
+});
+
+test('.calledWith()', t => {
+	const mock = createMockFunction();
+
+	failsWith(t, () => assertions.calledWith(mock, ['foo']), {
+		assertion: 't.calledWith()',
+		message: '',
+		formattedDetails: [{label: 'Mock function was not called. Expected arguments:', formatted: /'foo'/}],
+	});
+
+	mock('foo', {bar: true});
+
+	passes(t, () => assertions.calledWith(mock, ['foo', {bar: true}]));
+
+	failsWith(t, () => assertions.calledWith(mock, ['foo', {bar: false}]), {
+		assertion: 't.calledWith()',
+		message: '',
+		formattedDetails: [{label: 'Difference (- actual, + expected):', formatted: /- +bar: true,\n\+ +bar: false,/}],
+	});
+
+	mock('baz');
+
+	passes(t, () => assertions.calledWith(mock, ['foo', {bar: true}]));
+
+	failsWith(t, () => assertions.calledWith(mock, ['qux'], 'my message'), {
+		assertion: 't.calledWith()',
+		message: 'my message',
+		formattedDetails: [
+			{label: 'Mock function was called with:', formatted: /'foo'[\s\S]*'baz'/},
+			{label: 'Difference (- actual, + expected):', formatted: /- +'baz',\n\+ +'qux',/},
+		],
+	});
+
+	failsWith(t, () => assertions.calledWith(mock, ['baz'], null), {
+		assertion: 't.calledWith()',
+		message: 'The assertion message must be a string',
+		formattedDetails: [{label: 'Called with:', formatted: /null/}],
+	});
+
+	t.end();
+});
+
+test('.calledWith() fails if passed a bad value', t => {
+	failsWith(t, () => assertions.calledWith({}, []), {
+		assertion: 't.calledWith()',
+		message: '`t.calledWith()` must be called with a mock function created by `t.mock.fn()` or `t.mock.method()`',
+		formattedDetails: [{label: 'Called with:', formatted: /{}/}],
+	});
+
+	failsWith(t, () => assertions.calledWith(createMockFunction(), 'foo'), {
+		assertion: 't.calledWith()',
+		message: '`t.calledWith()` must be called with an array of expected arguments',
+		formattedDetails: [{label: 'Called with:', formatted: /'foo'/}],
+	});
+
+	t.end();
+});
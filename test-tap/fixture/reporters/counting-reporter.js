@@ -0,0 +1,10 @@
+export default class CountingReporter {
+	constructor(options) {
+		this.options = options;
+		this.events = [];
+	}
+
+	consumeStateChange(evt) {
+		this.events.push(evt.type);
+	}
+}
@@ -560,3 +560,117 @@ test('teardowns cannot be used in hooks', async t => {
 	t.ok(hookFailure);
 	t.match(hookFailure.err.message, /not allowed in hooks/);
 });
+
+test('methods cannot be mocked in before hooks', async t => {
+	let hookFailure = null;
+	await promiseEnd(new Runner({file: import.meta.url}), runner => {
+		runner.on('stateChange', ({data: evt}) => {
+			if (evt.type === 'hook-failed') {
+				hookFailure = evt;
+			}
+		});
+
+		runner.chain.before(a => {
+			a.mock.method(Math, 'random');
+		});
+
+		runner.chain('test', a => a.pass());
+	});
+
+	t.ok(hookFailure);
+	t.match(hookFailure.err.message, /can only be used in tests and `beforeEach` or `afterEach` hooks/);
+	t.equal(Object.hasOwn(Math.random, 'mock'), false);
+});
+
+test('methods mocked in beforeEach and afterEach hooks are restored once the hooks for the test have run', async t => {
+	const object = {method: () => 'original'};
+	const results = [];
+	await promiseEnd(new Runner({file: import.meta.url}), runner => {
+		runner.chain.beforeEach(a => {
+			a.mock.method(object, 'method', () => 'beforeEach');
+		});
+
+		runner.chain.afterEach(a => {
+			results.push(object.method());
+			a.mock.method(object, 'method', () => 'afterEach');
+		});
+
+		runner.chain.afterEach.always(() => {
+			results.push(object.method());
+		});
+
+		runner.chain('test', a => {
+			results.push(object.method());
+			a.pass();
+		});
+
+		runner.chain.after(() => {
+			results.push(object.method());
+		});
+	});
+
+	t.strictSame(results, ['beforeEach', 'beforeEach', 'afterEach', 'original']);
+	t.equal(object.method(), 'original');
+});
+
+test('fake clocks cannot be installed in before hooks', async t => {
+	let hookFailure = null;
+	await promiseEnd(new Runner({file: import.meta.url}), runner => {
+		runner.on('stateChange', ({data: evt}) => {
+			if (evt.type === 'hook-failed') {
+				hookFailure = evt;
+			}
+		});
+
+		runner.chain.before(a => {
+			a.clock.install();
+		});
+
+		runner.chain('test', a => a.pass());
+	});
+
+	t.ok(hookFailure);
+	t.match(hookFailure.err.message, /can only be used in tests/);
+});
+
+test('fake clocks installed in beforeEach hooks are uninstalled once the hooks for the test have run', async t => {
+	const realDate = Date;
+	const results = [];
+	await promiseEnd(new Runner({file: import.meta.url}), runner => {
+		runner.chain.beforeEach(a => {
+			a.clock.install({now: 0});
+		});
+
+		runner.chain.afterEach(() => {
+			results.push(Date.now());
+		});
+
+		runner.chain('test', a => {
+			results.push(Date.now());
+			a.pass();
+		});
+	});
+
+	t.strictSame(results, [0, 0]);
+	t.equal(Date, realDate);
+});
+
+test('snapshot serializers cannot be added in hooks', async t => {
+	let hookFailure = null;
+	await promiseEnd(new Runner({file: import.meta.url}), runner => {
+		runner.on('stateChange', ({data: evt}) => {
+			if (evt.type === 'hook-failed') {
+				hookFailure = evt;
+			}
+		});
+
+		runner.chain.beforeEach(a => {
+			a.snapshot.addSerializer({test: () => false, serialize: value => value});
+		});
+
+		runner.chain('test', a => a.pass());
+	});
+
+	t.ok(hookFailure);
+	t.match(hookFailure.err.message, /can only be used in tests/);
+});
@@ -0,0 +1,82 @@
+import os from 'node:os';
+import path from 'node:path';
+import {fileURLToPath} from 'node:url';
+
+import Emittery from 'emittery';
+import {test} from 'tap';
+
+import {findTerminalReporter, loadReporters, parseReporterOption} from '../lib/load-reporters.js';
+
+const projectDir = fileURLToPath(new URL('fixture/reporters', import.meta.url));
+
+const createPlan = () => ({
+	bailWithoutReporting: true,
+	files: [],
+	status: new Emittery(),
+});
+
+test('parses reporter options', t => {
+	t.same(parseReporterOption('tap', '/project'), {name: 'tap', outputFile: undefined});
+	t.same(parseReporterOption('junit:reports/ava.xml', '/project'), {name: 'junit', outputFile: path.resolve('/project', 'reports/ava.xml')});
+	t.same(parseReporterOption(String.raw`junit:C:\reports\ava.xml`, '/project').name, 'junit');
+	t.end();
+});
+
+test('custom reporter objects receive state changes', async t => {
+	const calls = [];
+	const reporters = await loadReporters([{
+		startRun() {
+			calls.push('startRun');
+		},
+		consumeStateChange(evt) {
+			calls.push(evt.type);
+		},
+		endRun() {
+			calls.push('endRun');
+		},
+	}], {extensions: ['js'], projectDir, watching: false});
+
+	const plan = createPlan();
+	reporters.startRun(plan);
+	await plan.status.emit('stateChange', {type: 'test-passed'});
+	reporters.endRun();
+
+	t.same(calls, ['startRun', 'test-passed', 'endRun']);
+});
+
+test('reporter modules are instantiated with the reporter options', async t => {
+	const outputFile = path.join(os.tmpdir(), 'ava-counting-reporter.txt');
+	const reporters = await loadReporters([`./counting-reporter.js:${outputFile}`], {extensions: ['js'], projectDir, watching: false});
+	const [{reporter}] = reporters.reporters;
+
+	const plan = createPlan();
+	reporters.startRun(plan);
+	await plan.status.emit('stateChange', {type: 'test-failed'});
+
+	t.equal(reporter.options.outputFile, outputFile);
+	t.equal(reporter.options.projectDir, projectDir);
+	t.same(reporter.events, ['test-failed']);
+});
+
+test('only one reporter may write to the terminal', async t => {
+	await t.rejects(loadReporters(['default', 'tap'], {extensions: ['js'], projectDir, watching: false}), {
+		message: 'The ’default’ and ’tap’ reporters cannot both write to the terminal. Write one of them to a file using ’tap:<file>’.',
+	});
+});
+
+test('the github-actions reporter writes to the terminal alongside another reporter', async t => {
+	t.equal(findTerminalReporter(['github-actions', 'tap', 'junit:report.xml']), 'tap');
+	await t.resolves(loadReporters(['default', 'github-actions'], {extensions: ['js'], projectDir, watching: false}));
+});
+
+test('reporters must implement the reporter interface', async t => {
+	await t.rejects(loadReporters([{}], {extensions: ['js'], projectDir, watching: false}), {
+		message: 'Reporters must be strings or objects with startRun(), consumeStateChange() or endRun() methods.',
+	});
+});
+
+test('reporter modules must exist', async t => {
+	await t.rejects(loadReporters(['./missing.js'], {extensions: ['js'], projectDir, watching: false}), {
+		message: /^Could not load reporter ’\.\/missing\.js’: Cannot find module/,
+	});
+});
@@ -0,0 +1,73 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {fileURLToPath} from 'node:url';
+
+import {test} from 'tap';
+
+import fixReporterEnv from '../helper/fix-reporter-env.js';
+import report from '../helper/report.js';
+import TTYStream from '../helper/tty-stream.js';
+
+fixReporterEnv();
+
+test(async t => {
+	const {default: GithubActionsReporter} = await import('../../lib/reporters/github-actions.js');
+
+	const run = type => t => {
+		t.plan(1);
+
+		const logFile = fileURLToPath(new URL(`github-actions.${type.toLowerCase()}.${process.version.split('.')[0]}.log`, import.meta.url));
+		const summaryDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ava-summary-'));
+		t.teardown(() => fs.rmSync(summaryDir, {recursive: true, force: true}));
+		const summaryFile = path.join(summaryDir, 'summary.md');
+
+		const tty = new TTYStream({
+			columns: 200,
+			sanitizers: [
+				report.sanitizers.cwd,
+				report.sanitizers.experimentalWarning,
+				report.sanitizers.posix,
+			],
+		});
+		const reporter = new GithubActionsReporter({
+			projectDir: report.projectDir(type),
+			reportStream: tty,
+			summaryFile,
+		});
+		return report[type](reporter)
+			.then(() => {
+				// Include the job summary in the log.
+				tty.write(fs.readFileSync(summaryFile));
+				tty.end();
+				return tty.asBuffer();
+			})
+			.then(buffer => report.assert(t, logFile, buffer))
+			.catch(t.threw);
+	};
+
+	t.test('github actions reporter - regular run', run('regular'));
+	t.test('github actions reporter - failFast run', run('failFast'));
+	t.test('github actions reporter - only run', run('only'));
+	t.test('github actions reporter - edge cases', run('edgeCases'));
+});
+
+test('annotated files are relative to the GitHub workspace', async t => {
+	const {default: GithubActionsReporter} = await import('../../lib/reporters/github-actions.js');
+
+	const workspaceDir = path.resolve('/workspace');
+	const projectDir = path.join(workspaceDir, 'packages', 'foo');
+	let output = '';
+	const reporter = new GithubActionsReporter({
+		projectDir,
+		reportStream: {
+			write(chunk) {
+				output += chunk;
+			},
+		},
+		workspaceDir,
+	});
+
+	reporter.consumeStateChange({type: 'test-failed', testFile: path.join(projectDir, 'test.js'), title: 'fails'});
+	t.equal(output, `::error file=packages/foo/test.js,title=test.js › fails::test.js › fails${os.EOL}`);
+});
@@ -0,0 +1,53 @@
+import {fileURLToPath} from 'node:url';
+
+import {test} from 'tap';
+
+import fixReporterEnv from '../helper/fix-reporter-env.js';
+import report from '../helper/report.js';
+import TTYStream from '../helper/tty-stream.js';
+
+fixReporterEnv();
+
+// Durations vary between runs.
+const sanitizeDurations = string => string.replaceAll(/"duration":[\d.]+/g, '"duration":0');
+
+// Whether stacks include the task queue depends on timing.
+const sanitizeTaskQueues = stack => stack.replaceAll(/\n\s+at process\.processTicksAndRejections \(node:internal\/process\/task_queues:\d+:\d+\)/g, '');
+
+test(async t => {
+	const {default: JsonReporter} = await import('../../lib/reporters/json.js');
+
+	const run = type => t => {
+		t.plan(1);
+
+		const logFile = fileURLToPath(new URL(`json.${type.toLowerCase()}.${process.version.split('.')[0]}.log`, import.meta.url));
+
+		const tty = new TTYStream({
+			columns: 200,
+			sanitizers: [
+				sanitizeDurations,
+				report.sanitizers.cwd,
+				report.sanitizers.experimentalWarning,
+				report.sanitizers.timers,
+			],
+		});
+		const reporter = new JsonReporter({
+			projectDir: report.projectDir(type),
+			reportStream: tty,
+			// Sanitize stacks before they're encoded as JSON, which escapes backslashes and line breaks.
+			sanitizeStackOutput: stack => report.sanitizers.posix(report.sanitizers.tapLoaders(report.sanitizers.acorn(report.sanitizers.cwd(sanitizeTaskQueues(stack))))),
+		});
+		return report[type](reporter)
+			.then(() => {
+				tty.end();
+				return tty.asBuffer();
+			})
+			.then(buffer => report.assert(t, logFile, buffer))
+			.catch(t.threw);
+	};
+
+	t.test('json reporter - regular run', run('regular'));
+	t.test('json reporter - failFast run', run('failFast'));
+	t.test('json reporter - only run', run('only'));
+	t.test('json reporter - edge cases', run('edgeCases'));
+});
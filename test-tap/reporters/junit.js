@@ -0,0 +1,53 @@
+import {fileURLToPath} from 'node:url';
+
+import {test} from 'tap';
+
+import fixReporterEnv from '../helper/fix-reporter-env.js';
+import report from '../helper/report.js';
+import TTYStream from '../helper/tty-stream.js';
+
+fixReporterEnv();
+
+// Durations vary between runs.
+const sanitizeTimes = string => string.replaceAll(/ time="[\d.]+"/g, ' time="0.000"');
+
+test(async t => {
+	const {default: JunitReporter} = await import('../../lib/reporters/junit.js');
+
+	const run = type => t => {
+		t.plan(1);
+
+		const logFile = fileURLToPath(new URL(`junit.${type.toLowerCase()}.${process.version.split('.')[0]}.log`, import.meta.url));
+
+		const tty = new TTYStream({
+			columns: 200,
+			sanitizers: [
+				sanitizeTimes,
+				report.sanitizers.acorn,
+				report.sanitizers.cwd,
+				report.sanitizers.esmLoader,
+				report.sanitizers.experimentalWarning,
+				report.sanitizers.posix,
+				report.sanitizers.tapLoaders,
+				report.sanitizers.timers,
+			],
+		});
+		const reporter = new JunitReporter({
+			projectDir: report.projectDir(type),
+			reportStream: tty,
+			sanitizeStackOutput: report.sanitizers.cwd,
+		});
+		return report[type](reporter)
+			.then(() => {
+				tty.end();
+				return tty.asBuffer();
+			})
+			.then(buffer => report.assert(t, logFile, buffer))
+			.catch(t.threw);
+	};
+
+	t.test('junit reporter - regular run', run('regular'));
+	t.test('junit reporter - failFast run', run('failFast'));
+	t.test('junit reporter - only run', run('only'));
+	t.test('junit reporter - edge cases', run('edgeCases'));
+});
@@ -51,6 +51,9 @@ test('runner emits "stateChange" events', t => {
 				type: 'declared-test',
 				title: 'foo',
 				knownFailing: false,
+				only: false,
+				serial: false,
+				skip: false,
 				todo: false,
 			});
 			t.end();
@@ -625,6 +628,38 @@ test('options.match matches todo tests', t => {
 	});
 });
 
+test('options.selectTitles only runs tests with the exact titles', t => {
+	t.plan(4);
+
+	return promiseEnd(new Runner({file: import.meta.url, selectTitles: ['moo', 'f*o']}), runner => {
+		runner.on('stateChange', ({data: evt}) => {
+			if (evt.type === 'test-passed') {
+				t.pass();
+			}
+		});
+
+		runner.chain('moo', a => {
+			t.pass();
+			a.pass();
+		});
+
+		runner.chain.only('boo', a => {
+			t.fail();
+			a.pass();
+		});
+
+		runner.chain('f*o', a => {
+			t.pass();
+			a.pass();
+		});
+
+		runner.chain('foo', a => {
+			t.fail();
+			a.pass();
+		});
+	});
+});
+
 test('macros: Additional args will be spread as additional args on implementation function', t => {
 	t.plan(3);
 
@@ -833,3 +868,590 @@ test('hooks run concurrently, but can be serialized', t => {
 		});
 	});
 });
+
+test('groups prefix test titles', t => {
+	const titles = [];
+	return promiseEnd(new Runner({file: import.meta.url}), runner => {
+		runner.on('stateChange', ({data: evt}) => {
+			if (evt.type === 'test-passed') {
+				titles.push(evt.title);
+			}
+		});
+
+		const declareNested = test => {
+			test.serial('test', a => a.pass());
+		};
+
+		runner.chain.group('group', test => {
+			test.serial('test', a => a.pass());
+			test.group('nested', declareNested);
+		});
+		runner.chain.serial('test', a => a.pass());
+	}).then(() => {
+		t.strictSame(titles, ['group › test', 'group › nested › test', 'test']);
+	});
+});
+
+test('group hooks only apply to tests within the group', t => {
+	const array = [];
+	return promiseEnd(new Runner({file: import.meta.url}), runner => {
+		runner.chain.before(() => {
+			array.push('before');
+		});
+		runner.chain.beforeEach('beforeEach', a => {
+			array.push(a.title);
+		});
+		runner.chain.afterEach('afterEach', a => {
+			array.push(a.title);
+		});
+		runner.chain.after(() => {
+			array.push('after');
+		});
+
+		runner.chain.serial('outer', a => {
+			array.push('outer');
+			a.pass();
+		});
+
+		runner.chain.group('group', test => {
+			test.before(() => {
+				array.push('group before');
+			});
+			test.beforeEach('beforeEach', a => {
+				array.push(a.title);
+			});
+			test.afterEach('afterEach', a => {
+				array.push(a.title);
+			});
+			test.after(() => {
+				array.push('group after');
+			});
+			test.after.always(() => {
+				array.push('group after.always');
+			});
+
+			test.serial('inner', a => {
+				array.push('inner');
+				a.pass();
+			});
+		});
+	}).then(() => {
+		t.strictSame(array, [
+			'before',
+			'beforeEach for outer',
+			'outer',
+			'afterEach for outer',
+			'group before',
+			'beforeEach for group › inner',
+			'group › beforeEach for group › inner',
+			'inner',
+			'group › afterEach for group › inner',
+			'afterEach for group › inner',
+			'group after',
+			'group after.always',
+			'after',
+		]);
+	});
+});
+
+test('group context inherits from, but does not modify, the parent context', t => {
+	t.plan(3);
+	return promiseEnd(new Runner({file: import.meta.url}), runner => {
+		runner.chain.before(a => {
+			a.context.outer = true;
+		});
+
+		runner.chain.group('group', test => {
+			test.before(a => {
+				a.context.inner = true;
+			});
+
+			test('inner', a => {
+				t.strictSame(a.context, {outer: true, inner: true});
+				a.pass();
+			});
+		});
+
+		runner.chain.serial('outer', a => {
+			t.strictSame(a.context, {outer: true});
+			a.pass();
+		});
+	}).then(runner => {
+		t.equal(runner.enteredGroups.length, 1);
+	});
+});
+
+test('tests in a group are not run when a group before hook fails', t => {
+	let ran = false;
+	let ranAlways = false;
+	return promiseEnd(new Runner({file: import.meta.url}), runner => {
+		runner.chain.group('group', test => {
+			test.before(a => {
+				a.fail();
+			});
+			test.after.always(() => {
+				ranAlways = true;
+			});
+
+			test('test', a => {
+				ran = true;
+				a.pass();
+			});
+		});
+	}).then(() => {
+		t.notOk(ran);
+		t.ok(ranAlways);
+	});
+});
+
+test('group modifiers apply to the tests within the group', t => {
+	const selected = [];
+	return promiseEnd(new Runner({file: import.meta.url}), runner => {
+		runner.on('stateChange', ({data: evt}) => {
+			if (evt.type === 'selected-test') {
+				selected.push({title: evt.title, skip: evt.skip});
+			}
+		});
+
+		runner.chain('not selected', a => a.pass());
+		runner.chain.group.only('exclusive', test => {
+			test('test', a => a.pass());
+		});
+		runner.chain.group.skip('skipped', test => {
+			test.only('test', a => a.pass());
+		});
+	}).then(() => {
+		t.strictSame(selected, [
+			{title: 'exclusive › test', skip: false},
+			{title: 'skipped › test', skip: true},
+		]);
+	});
+});
+
+test('serial groups run their tests serially', t => {
+	const array = [];
+	return promiseEnd(new Runner({file: import.meta.url}), runner => {
+		runner.chain('concurrent', a => {
+			array.push('concurrent');
+			a.pass();
+		});
+
+		runner.chain.serial.group('group', test => {
+			test('slow', async a => {
+				await delay(20);
+				array.push('slow');
+				a.pass();
+			});
+			test('fast', a => {
+				array.push('fast');
+				a.pass();
+			});
+		});
+	}).then(() => {
+		t.strictSame(array, ['slow', 'fast', 'concurrent']);
+	});
+});
+
+test('match applies to prefixed group titles', t => {
+	const titles = [];
+	return promiseEnd(new Runner({file: import.meta.url, match: ['group › *']}), runner => {
+		runner.on('stateChange', ({data: evt}) => {
+			if (evt.type === 'test-passed') {
+				titles.push(evt.title);
+			}
+		});
+
+		runner.chain('test', a => a.pass());
+		runner.chain.group('group', test => {
+			test('test', a => a.pass());
+		});
+	}).then(() => {
+		t.strictSame(titles, ['group › test']);
+	});
+});
+
+test('groups must have a title and implementation, and be declared synchronously', t => {
+	const runner = new Runner({file: import.meta.url});
+	t.throws(() => {
+		runner.chain.group(() => {});
+	}, {message: 'Groups must have a title'});
+	t.throws(() => {
+		runner.chain.group('group');
+	}, {message: 'Expected a group implementation'});
+	t.throws(() => {
+		runner.chain.group('group', async () => {});
+	}, {message: 'Groups must be declared synchronously'});
+	t.end();
+});
+
+test('failing tests are retried, including their hooks', t => {
+	const events = [];
+	let attempts = 0;
+	let beforeEachCount = 0;
+	return promiseEnd(new Runner({file: import.meta.url, retries: 2}), runner => {
+		runner.on('stateChange', ({data: evt}) => {
+			if (evt.type === 'test-retried') {
+				events.push({type: evt.type, attempt: evt.attempt, retries: evt.retries});
+			} else if (evt.type === 'test-passed') {
+				events.push({type: evt.type, retries: evt.retries});
+			}
+		});
+
+		runner.chain.beforeEach(a => {
+			beforeEachCount++;
+			a.context.attempt = beforeEachCount;
+		});
+
+		runner.chain('flaky', a => {
+			attempts++;
+			a.is(a.context.attempt, 3);
+		});
+	}).then(() => {
+		t.equal(attempts, 3);
+		t.equal(beforeEachCount, 3);
+		t.strictSame(events, [
+			{type: 'test-retried', attempt: 1, retries: 2},
+			{type: 'test-retried', attempt: 2, retries: 2},
+			{type: 'test-passed', retries: 2},
+		]);
+	});
+});
+
+test('tests fail once they run out of retries', t => {
+	let attempts = 0;
+	let failed = 0;
+	return promiseEnd(new Runner({file: import.meta.url}), runner => {
+		runner.on('stateChange', ({data: evt}) => {
+			if (evt.type === 'test-failed') {
+				failed++;
+			}
+		});
+
+		runner.chain.retry(1)('fails', a => {
+			attempts++;
+			a.fail();
+		});
+	}).then(() => {
+		t.equal(attempts, 2);
+		t.equal(failed, 1);
+	});
+});
+
+test('test.retry() overrides the retries option and can be chained', t => {
+	const attempts = {};
+	return promiseEnd(new Runner({file: import.meta.url, retries: 3}), runner => {
+		for (const title of ['default', 'no retries', 'serial']) {
+			attempts[title] = 0;
+		}
+
+		runner.chain('default', a => {
+			attempts.default++;
+			a.fail();
+		});
+
+		runner.chain.retry(0)('no retries', a => {
+			attempts['no retries']++;
+			a.fail();
+		});
+
+		runner.chain.retry(1).serial('serial', a => {
+			attempts.serial++;
+			a.fail();
+		});
+	}).then(() => {
+		t.strictSame(attempts, {default: 4, 'no retries': 1, serial: 2});
+	});
+});
+
+test('test.retry() requires a non-negative integer', t => {
+	const runner = new Runner({file: import.meta.url});
+	t.throws(() => {
+		runner.chain.retry(-1);
+	}, {message: 'Expected `retries` to be a non-negative integer'});
+	t.throws(() => {
+		runner.chain.retry('1');
+	}, {message: 'Expected `retries` to be a non-negative integer'});
+	t.end();
+});
+
+test('test.timeout() fails tests that do not complete in time', t => {
+	const events = [];
+	return promiseEnd(new Runner({file: import.meta.url}), runner => {
+		runner.on('stateChange', ({data: evt}) => {
+			if (evt.type === 'test-failed' || evt.type === 'test-passed') {
+				events.push({type: evt.type, title: evt.title, timedOut: evt.timedOut});
+			}
+		});
+
+		runner.chain.timeout(10).serial('slow', async a => {
+			await delay(100);
+			a.pass();
+		});
+
+		runner.chain.serial('no timeout', async a => {
+			await delay(100);
+			a.pass();
+		});
+	}).then(() => {
+		t.strictSame(events, [
+			{type: 'test-failed', title: 'slow', timedOut: true},
+			{type: 'test-passed', title: 'no timeout', timedOut: undefined},
+		]);
+	});
+});
+
+test('test.timeout() fails hooks that do not complete in time', t => {
+	let hookFailure = null;
+	return promiseEnd(new Runner({file: import.meta.url}), runner => {
+		runner.on('stateChange', ({data: evt}) => {
+			if (evt.type === 'hook-failed') {
+				hookFailure = evt;
+			}
+		});
+
+		runner.chain.timeout(10).before(async () => {
+			await delay(100);
+		});
+
+		runner.chain('test', a => a.pass());
+	}).then(() => {
+		t.ok(hookFailure);
+		t.equal(hookFailure.err.message, 'Test timeout exceeded');
+	});
+});
+
+test('test.timeout() overrides the testTimeout option', t => {
+	const events = [];
+	return promiseEnd(new Runner({file: import.meta.url, testTimeout: 10}), runner => {
+		runner.on('stateChange', ({data: evt}) => {
+			if (evt.type === 'test-failed' || evt.type === 'test-passed') {
+				events.push({type: evt.type, title: evt.title, timedOut: evt.timedOut});
+			}
+		});
+
+		runner.chain.serial('default', async a => {
+			await delay(100);
+			a.pass();
+		});
+
+		runner.chain.timeout(1000).serial('declared', async a => {
+			await delay(100);
+			a.pass();
+		});
+	}).then(() => {
+		t.strictSame(events, [
+			{type: 'test-failed', title: 'default', timedOut: true},
+			{type: 'test-passed', title: 'declared', timedOut: undefined},
+		]);
+	});
+});
+
+test('test.timeout() requires a positive integer', t => {
+	const runner = new Runner({file: import.meta.url});
+	t.throws(() => {
+		runner.chain.timeout(0);
+	}, {message: 'Expected `ms` to be a positive integer'});
+	t.throws(() => {
+		runner.chain.timeout('1s');
+	}, {message: 'Expected `ms` to be a positive integer'});
+	t.end();
+});
+
+test('test.each() declares a test for each row', t => {
+	const calls = [];
+	return promiseEnd(new Runner({file: import.meta.url}), runner => {
+		runner.on('stateChange', ({data: evt}) => {
+			if (evt.type === 'test-passed') {
+				calls.push(evt.title);
+			}
+		});
+
+		runner.chain.each([[1, 2, 3], [2, 3, 5]])('%s + %s = %s (%#, 100%%)', (a, x, y, sum) => {
+			a.is(x + y, sum);
+		});
+
+		runner.chain.each([{name: 'foo'}, {name: 'bar'}])('$name has $missing', (a, row) => {
+			a.truthy(row.name);
+		});
+
+		runner.chain.each(['a', 'b'])('letter %s', (a, letter) => {
+			a.is(typeof letter, 'string');
+		});
+	}).then(() => {
+		t.strictSame(calls.toSorted(), [
+			'1 + 2 = 3 (0, 100%)',
+			'2 + 3 = 5 (1, 100%)',
+			'bar has $missing',
+			'foo has $missing',
+			'letter a',
+			'letter b',
+		]);
+	});
+});
+
+test('test.each() supports all variants', t => {
+	const events = [];
+	return promiseEnd(new Runner({file: import.meta.url}), runner => {
+		runner.on('stateChange', ({data: evt}) => {
+			if (evt.type === 'test-passed' || evt.type === 'test-failed' || (evt.type === 'selected-test' && evt.skip)) {
+				events.push(`${evt.type} ${evt.title}${evt.knownFailing ? ' (failing)' : ''}`);
+			}
+		});
+
+		runner.chain.serial.each([1])('serial %s', a => {
+			a.pass();
+		});
+
+		runner.chain.skip.each([1])('skip %s', a => {
+			a.fail();
+		});
+
+		runner.chain.failing.each([1])('failing %s', a => {
+			a.fail();
+		});
+
+		runner.chain.serial.failing.each([1])('serial failing %s', a => {
+			a.fail();
+		});
+
+		runner.chain.skipIf(true).each([1])('skipIf %s', a => {
+			a.fail();
+		});
+	}).then(() => {
+		t.strictSame(events.toSorted(), [
+			'selected-test skip 1',
+			'selected-test skipIf 1',
+			'test-passed failing 1 (failing)',
+			'test-passed serial 1',
+			'test-passed serial failing 1 (failing)',
+		]);
+	});
+});
+
+test('test.each() only runs the rows of exclusive tests', t => {
+	const titles = [];
+	return promiseEnd(new Runner({file: import.meta.url}), runner => {
+		runner.on('stateChange', ({data: evt}) => {
+			if (evt.type === 'test-passed') {
+				titles.push(evt.title);
+			}
+		});
+
+		runner.chain('other', a => {
+			a.pass();
+		});
+
+		runner.chain.only.each([1, 2])('only %s', a => {
+			a.pass();
+		});
+	}).then(() => {
+		t.strictSame(titles.toSorted(), ['only 1', 'only 2']);
+	});
+});
+
+test('test.each() detects duplicate titles', t => {
+	t.plan(1);
+
+	return promiseEnd(new Runner({file: import.meta.url}), runner => {
+		t.throws(() => {
+			runner.chain.each([1, 1])('row %s', a => a.pass());
+		}, new Error('Duplicate test title: row 1'));
+	});
+});
+
+test('test.each() requires an array of rows', t => {
+	const runner = new Runner({file: import.meta.url});
+	t.throws(() => {
+		runner.chain.each('rows');
+	}, new TypeError('Expected `test.each()` to be called with an array of rows'));
+	t.end();
+});
+
+test('test.each() passes rows to macros', t => {
+	const titles = [];
+	return promiseEnd(new Runner({file: import.meta.url}), runner => {
+		runner.on('stateChange', ({data: evt}) => {
+			if (evt.type === 'test-passed') {
+				titles.push(evt.title);
+			}
+		});
+
+		const macro = runner.chain.macro({
+			exec(a, x, y) {
+				a.is(x, y);
+			},
+			title: (providedTitle = 'equal', x) => `${providedTitle} ${x}`,
+		});
+
+		runner.chain.each([[1, 1], [2, 2]])(macro);
+	}).then(() => {
+		t.strictSame(titles.toSorted(), ['equal 1', 'equal 2']);
+	});
+});
+
+test('tests run in a reproducible random order when a seed is provided', async t => {
+	const run = async randomSeed => {
+		const titles = [];
+		await promiseEnd(new Runner({file: import.meta.url, randomSeed}), runner => {
+			runner.on('stateChange', ({data: evt}) => {
+				if (evt.type === 'test-passed') {
+					titles.push(evt.title);
+				}
+			});
+
+			for (let index = 0; index < 10; index++) {
+				runner.chain.serial(`test ${index}`, a => {
+					a.pass();
+				});
+			}
+		});
+		return titles;
+	};
+
+	const declarationOrder = await run(undefined);
+	const first = await run(42);
+	const second = await run(42);
+	const other = await run(1);
+
+	t.strictSame(declarationOrder, Array.from({length: 10}, (_, index) => `test ${index}`));
+	t.strictSame(first, second);
+	t.notSame(first, declarationOrder);
+	t.notSame(first, other);
+	t.strictSame(first.toSorted(), declarationOrder.toSorted());
+});
+
+test('tests and hooks do not run when listing tests', async t => {
+	const declared = [];
+	const selected = [];
+	await promiseEnd(new Runner({file: import.meta.url, listTests: true}), runner => {
+		runner.on('stateChange', ({data: evt}) => {
+			if (evt.type === 'declared-test') {
+				declared.push(evt);
+			} else if (evt.type === 'selected-test') {
+				selected.push(evt.title);
+			} else if (evt.type !== 'accessed-snapshots') {
+				t.fail(`Unexpected ${evt.type} event`);
+			}
+		});
+
+		runner.chain.before(() => {
+			t.fail('Hook should not run');
+		});
+
+		runner.chain('test', () => {
+			t.fail('Test should not run');
+		});
+		runner.chain.serial.skip('skipped', noop);
+		runner.chain.failing('failing', noop);
+		runner.chain.todo('todo');
+	});
+
+	const modifiers = ['knownFailing', 'only', 'serial', 'skip', 'todo'];
+	t.strictSame(declared.map(evt => [evt.title, ...modifiers.filter(modifier => evt[modifier])]), [
+		['test'],
+		['skipped', 'serial', 'skip'],
+		['failing', 'knownFailing'],
+		['todo', 'todo'],
+	]);
+	t.strictSame(selected, ['skipped', 'test', 'failing', 'todo']);
+});
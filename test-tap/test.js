@@ -549,6 +549,41 @@ test('snapshot assertion can be skipped when updating snapshots', t => new Test(
 	t.ok(result.passed);
 }));
 
+test('snapshot serializers added to the test normalize expected values', async t => {
+	const compareTestSnapshot = sinon.stub().returns({pass: true});
+	const result = await new Test({
+		compareTestSnapshot,
+		updateSnapshots: false,
+		metadata: {},
+		title: 'passes',
+		fn(t) {
+			t.snapshot.addSerializer({
+				test: value => value instanceof Date,
+				serialize: () => '<date>',
+			});
+			t.snapshot.addSerializer({
+				test: value => typeof value === 'string' && value.startsWith('<'),
+				serialize: value => value.toUpperCase(),
+			});
+			t.snapshot({created: new Date(), nested: [new Map([['date', new Date()]])]});
+		},
+	}).run();
+
+	t.ok(result.passed);
+	t.same(compareTestSnapshot.firstCall.firstArg.expected, {created: '<DATE>', nested: [new Map([['date', '<DATE>']])]});
+});
+
+test('snapshot serializers must have test() and serialize() methods', async t => {
+	const result = await ava(a => {
+		a.throws(() => a.snapshot.addSerializer({test: () => true}), {
+			instanceOf: TypeError,
+			message: 'Snapshot serializers must have `test()` and `serialize()` methods',
+		});
+	}).run();
+
+	t.ok(result.passed);
+});
+
 test('implementation runs with null scope', t => ava(function (a) {
 	a.pass();
 	t.equal(this, null);
@@ -623,6 +658,141 @@ test('teardown awaits promise', t => {
 	});
 });
 
+test('mock functions record their calls', t => {
+	const error = new Error('boom');
+	let mock;
+	return ava(a => {
+		mock = a.mock.fn((value, options) => {
+			if (options?.fail) {
+				throw error;
+			}
+
+			return value * 2;
+		});
+
+		a.is(mock(1), 2);
+		a.throws(() => mock(2, {fail: true}));
+		a.calledTimes(mock, 2);
+		a.calledWith(mock, [1]);
+	}).run().then(result => {
+		t.equal(result.passed, true);
+		t.equal(mock.mock.callCount(), 2);
+		t.same(mock.mock.calls.map(call => call.arguments), [[1], [2, {fail: true}]]);
+		t.same(mock.mock.calls.map(call => call.result), [2, undefined]);
+		t.equal(mock.mock.calls[1].error, error);
+	});
+});
+
+test('mock functions can change their implementation', t => ava(a => {
+	const mock = a.mock.fn(() => 'original');
+	mock.mock.mockImplementation(() => 'changed');
+	a.is(mock(), 'changed');
+	mock.mock.restore();
+	a.is(mock(), 'original');
+	mock.mock.resetCalls();
+	a.calledTimes(mock, 0);
+}).run().then(result => {
+	t.equal(result.passed, true);
+}));
+
+test('mocked methods are restored after the test', t => {
+	class Greeter {
+		greet(name) {
+			return `hello ${name}`;
+		}
+	}
+
+	const greeter = new Greeter();
+	const object = {
+		value: 1,
+		get() {
+			return this.value;
+		},
+	};
+	const {get} = object;
+
+	return ava(a => {
+		const greet = a.mock.method(greeter, 'greet', name => `hi ${name}`);
+		const mockedGet = a.mock.method(object, 'get');
+		a.is(greeter.greet('ava'), 'hi ava');
+		a.is(object.get(), 1);
+		a.calledWith(greet, ['ava']);
+		a.is(mockedGet.mock.calls[0].this, object);
+		a.fail();
+	}).run().then(result => {
+		t.equal(result.passed, false);
+		t.equal(Object.hasOwn(greeter, 'greet'), false);
+		t.equal(greeter.greet('ava'), 'hello ava');
+		t.equal(object.get, get);
+	});
+});
+
+test('only methods can be mocked', t => ava(a => {
+	a.throws(() => a.mock.method({value: 1}, 'value'), {instanceOf: TypeError, message: 'Expected `value` to be a method'});
+	a.throws(() => a.mock.method(null, 'value'), {instanceOf: TypeError});
+	a.throws(() => a.mock.fn('value'), {instanceOf: TypeError});
+}).run().then(result => {
+	t.equal(result.passed, true);
+}));
+
+test('fake clock controls timers and dates', t => {
+	const realSetTimeout = globalThis.setTimeout;
+	return ava(a => {
+		const clock = a.clock.install({now: 1000});
+		a.not(globalThis.setTimeout, realSetTimeout);
+		a.is(Date.now(), 1000);
+
+		const calls = [];
+		setTimeout(() => calls.push('timeout'), 100);
+		setInterval(() => calls.push('interval'), 60);
+		setImmediate(() => calls.push('immediate'));
+
+		a.is(clock.tick(50), 1050);
+		a.deepEqual(calls, ['immediate']);
+		a.is(clock.next(), 1060);
+		a.is(clock.tick(50), 1110);
+		a.deepEqual(calls, ['immediate', 'interval', 'timeout']);
+		a.is(performance.now(), 110);
+
+		clock.setSystemTime(5000);
+		a.deepEqual(new Date(), new Date(5000));
+	}).run().then(result => {
+		t.equal(result.passed, true);
+		t.equal(globalThis.setTimeout, realSetTimeout);
+	});
+});
+
+test('fake clock runs all timers', t => ava(a => {
+	const clock = a.clock.install({now: 0});
+	let done = false;
+	setTimeout(() => {
+		setTimeout(() => {
+			done = true;
+		}, 500);
+	}, 500);
+	a.is(clock.runAll(), 1000);
+	a.true(done);
+}).run().then(result => {
+	t.equal(result.passed, true);
+}));
+
+test('fake clock does not affect test timeouts', t => ava(a => {
+	a.clock.install();
+	a.timeout(10);
+	return new Promise(() => {});
+}).run().then(result => {
+	t.equal(result.passed, false);
+	t.match(result.error.message, /Test timeout exceeded/);
+	t.equal(globalThis.Date, Date);
+}));
+
+test('only one fake clock can be installed at a time', t => ava(a => {
+	a.clock.install();
+	a.throws(() => a.clock.install(), {message: /already installed/});
+}).run().then(result => {
+	t.equal(result.passed, true);
+}));
+
 test('teardowns run in reverse order', t => {
 	let resolveA;
 	const teardownA = sinon.stub().returns(new Promise(resolve => {
@@ -0,0 +1,16 @@
+import {expectType} from 'tsd';
+
+import test from '../../entrypoints/main.js';
+
+test('clock', t => {
+	const clock = t.clock.install({now: new Date(2020, 0, 1)});
+	expectType<number>(clock.tick(100));
+	expectType<number>(clock.next());
+	expectType<number>(clock.runAll());
+	clock.setSystemTime(0);
+	clock.uninstall();
+
+	t.clock.install();
+	// @ts-expect-error TS2322
+	t.clock.install({now: '2020-01-01'});
+});
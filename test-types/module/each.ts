@@ -0,0 +1,46 @@
+import {expectType} from 'tsd';
+
+import test from '../../entrypoints/main.js';
+
+test.each([[1, 'one'], [2, 'two']])('%s is spelled %s', (t, number, word) => {
+	t.pass();
+	expectType<1 | 2>(number);
+	expectType<'one' | 'two'>(word);
+});
+
+test.each([{name: 'foo', value: 1}])('$name', (t, row) => {
+	t.pass();
+	expectType<string>(row.name);
+	expectType<number>(row.value);
+});
+
+test.serial.each([1, 2])('serial %s', (t, value) => {
+	t.pass();
+	expectType<1 | 2>(value);
+});
+
+test.only.each(['a'])('only %s', (t, value) => {
+	t.pass();
+	expectType<'a'>(value);
+});
+
+test.skip.each([true])('skip %s', t => {
+	t.pass();
+});
+
+test.failing.each([1])('failing %s', t => {
+	t.fail();
+});
+
+const macro = test.macro({
+	exec(t, a: number, b: number) {
+		t.is(a, b);
+	},
+	title: (providedTitle = '', a, b) => `${providedTitle} ${a} ${b}`,
+});
+
+test.each([[1, 1], [2, 2]] as Array<[number, number]>)(macro);
+test.each([[1, 1]] as Array<[number, number]>)('macro %s', macro);
+
+// @ts-expect-error TS2345
+test.each([[1, 'one']])('wrong types', (t, number: string) => {}); // eslint-disable-line @typescript-eslint/no-empty-function
@@ -0,0 +1,39 @@
+import {expectType} from 'tsd';
+
+import type {TestFn} from '../../entrypoints/main.js';
+import anyTest from '../../entrypoints/main.js';
+
+type Context = {
+	foo: string;
+};
+
+const test = anyTest as TestFn<Context>;
+
+test.group('group', test => {
+	test.beforeEach(t => {
+		expectType<Context>(t.context);
+	});
+
+	test('test', t => {
+		expectType<string>(t.context.foo);
+	});
+
+	test.group('nested group', test => {
+		test('test', t => {
+			expectType<Context>(t.context);
+		});
+	});
+});
+
+test.group.only('exclusive group', test => {
+	test('test', t => {
+		expectType<Context>(t.context);
+	});
+});
+
+test.group.skip('skipped group', () => {});
+test.serial.group('serial group', test => {
+	test('test', t => {
+		expectType<Context>(t.context);
+	});
+});
@@ -0,0 +1,34 @@
+import type {JsonEvent} from 'ava/internal';
+import {expectType} from 'tsd';
+
+declare const event: JsonEvent;
+
+switch (event.type) {
+	case 'run': {
+		expectType<1>(event.version);
+		expectType<string[]>(event.files);
+		break;
+	}
+
+	case 'test-failed': {
+		expectType<string>(event.testFile);
+		expectType<string>(event.err.message);
+		// @ts-expect-error The original error is not included.
+		event.err.originalError; // eslint-disable-line @typescript-eslint/no-unused-expressions
+		break;
+	}
+
+	case 'worker-stdout': {
+		expectType<string>(event.chunk);
+		break;
+	}
+
+	case 'stats': {
+		expectType<number | undefined>(event.stats.byFile['test.js']?.passedTests);
+		break;
+	}
+
+	default: {
+		break;
+	}
+}
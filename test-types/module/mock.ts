@@ -0,0 +1,43 @@
+import {expectType} from 'tsd';
+
+import test, {type MockFunction} from '../../entrypoints/main.js';
+
+test('mock functions', t => {
+	const add = t.mock.fn((a: number, b: number) => a + b);
+	expectType<number>(add(1, 2));
+	expectType<[number, number]>(add.mock.calls[0]!.arguments);
+	expectType<number | undefined>(add.mock.calls[0]!.result);
+	expectType<number>(add.mock.callCount());
+
+	t.calledTimes(add, 1);
+	t.calledWith(add, [1, 2]);
+	// @ts-expect-error TS2322
+	t.calledWith(add, ['1', 2]);
+
+	const noop = t.mock.fn();
+	expectType<undefined>(noop());
+});
+
+test('mock methods', t => {
+	const object = {
+		name: 'object',
+		greet(greeting: string) {
+			return `${greeting} ${this.name}`;
+		},
+	};
+
+	const greet = t.mock.method(object, 'greet', () => 'hi');
+	expectType<MockFunction<(greeting: string) => string>>(greet);
+	t.calledWith(greet, ['hello']);
+
+	// @ts-expect-error TS2345
+	t.mock.method(object, 'name');
+});
+
+test('mock modules', async t => {
+	const {restore} = t.mock.module('./dependency.js', {defaultExport: 'fake', namedExports: {greet: () => 'hi'}});
+	restore();
+	t.mock.module('node:os');
+	// @ts-expect-error TS2322
+	t.mock.module('node:os', {namedExports: 'platform'});
+});
@@ -0,0 +1,18 @@
+import {expectType} from 'tsd';
+
+import type {TestFn} from '../../entrypoints/main.js';
+import anyTest from '../../entrypoints/main.js';
+
+type Context = {
+	foo: string;
+};
+
+const test = anyTest as TestFn<Context>;
+
+test.retry(2)('retried test', t => {
+	expectType<string>(t.context.foo);
+});
+
+test.retry(1).serial.failing('retried serial failing test', t => {
+	expectType<Context>(t.context);
+});
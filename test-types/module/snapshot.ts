@@ -15,3 +15,20 @@ test('snapshot.skip', t => {
 	// @ts-expect-error TS2345
 	expectError(t.snapshot.skip('hello world', null)); // eslint-disable-line @typescript-eslint/no-confusing-void-expression
 });
+
+test('snapshot.inline', t => {
+	t.snapshot.inline({foo: 'bar'});
+	t.snapshot.inline('hello world', '\'hello world\'', 'a snapshot with a message');
+	t.snapshot.inline.skip({foo: 'bar'});
+	// @ts-expect-error TS2345
+	expectError(t.snapshot.inline('hello world', 42));
+});
+
+test('snapshot.addSerializer', t => {
+	t.snapshot.addSerializer({
+		test: value => value instanceof URL,
+		serialize: (url: URL) => url.href,
+	});
+	// @ts-expect-error TS2345
+	expectError(t.snapshot.addSerializer({test: () => true}));
+});
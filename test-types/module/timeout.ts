@@ -1,6 +1,27 @@
-import test from '../../entrypoints/main.js';
+import {expectType} from 'tsd';
+
+import type {TestFn} from '../../entrypoints/main.js';
+import anyTest from '../../entrypoints/main.js';
+
+type Context = {
+	foo: string;
+};
+
+const test = anyTest as TestFn<Context>;
 
 test('test', t => {
 	t.timeout(100);
 	t.timeout.clear();
 });
+
+test.timeout(100)('test with a declared timeout', t => {
+	expectType<string>(t.context.foo);
+});
+
+test.timeout(100).beforeEach('hook with a declared timeout', t => {
+	expectType<Context>(t.context);
+});
+
+test.retry(2).timeout(100).serial('retried test with a declared timeout', t => {
+	t.pass();
+});
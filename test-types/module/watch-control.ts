@@ -0,0 +1,32 @@
+import type {WatchControlCommand, WatchControlEvent} from 'ava/internal';
+import {expectType} from 'tsd';
+
+declare const event: WatchControlEvent;
+
+switch (event.type) {
+	case 'watch-idle': {
+		expectType<string | undefined>(event.filters.lines);
+		expectType<number>(event.failureCount);
+		break;
+	}
+
+	case 'watch-error': {
+		expectType<string>(event.message);
+		break;
+	}
+
+	case 'run': {
+		expectType<string[]>(event.files);
+		break;
+	}
+
+	default: {
+		break;
+	}
+}
+
+const command: WatchControlCommand = {type: 'select-lines', pattern: 'test.js:12'};
+expectType<'select-lines'>(command.type);
+
+// @ts-expect-error Patterns must be strings.
+const invalid: WatchControlCommand = {type: 'set-glob', pattern: 42}; // eslint-disable-line @typescript-eslint/no-unused-vars
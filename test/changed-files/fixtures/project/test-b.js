@@ -0,0 +1,7 @@
+import {b} from './src/b.js';
+
+const {default: test} = await import(process.env.TEST_AVA_IMPORT_FROM); // This fixture is copied to a temporary directory, so import AVA through its configured path.
+
+test('b', t => {
+	t.truthy(b);
+});
@@ -0,0 +1,86 @@
+import {promises as fs} from 'node:fs';
+import path from 'node:path';
+
+import test from '@ava/test';
+import {execa} from 'execa';
+
+import {cleanOutput, cwd, fixture} from '../helpers/exec.js';
+import {withTemporaryFixture} from '../helpers/with-temporary-fixture.js';
+
+const withRepository = implementation => withTemporaryFixture(cwd('project'), async cwd => {
+	const git = (...args) => execa('git', ['-c', 'user.name=ava', '-c', 'user.email=ava@example.com', ...args], {cwd});
+	await git('init', '--quiet');
+	await git('add', '--all');
+	await git('commit', '--quiet', '--message', 'Initial commit');
+	await implementation(cwd, git);
+});
+
+const passedFiles = result => result.stats.passed.map(({file}) => file);
+
+test('runs nothing if there are no uncommitted changes', async t => {
+	await withRepository(async cwd => {
+		const result = await fixture(['--changed'], {cwd});
+		t.deepEqual(passedFiles(result), []);
+		t.is(cleanOutput(result.stderr), 'No test files are affected by uncommitted changes');
+	});
+});
+
+test('runs the test files that depend on uncommitted changes', async t => {
+	await withRepository(async cwd => {
+		await fs.writeFile(path.join(cwd, 'src/a.js'), 'export const a = 2;\n');
+		const result = await fixture(['--changed'], {cwd});
+		t.deepEqual(passedFiles(result), ['test-a.js']);
+		t.true(result.stderr.includes('Running 1 test file affected by uncommitted changes'));
+		t.true(result.stderr.includes('test-a.js (depends on src/a.js)'));
+	});
+});
+
+test('runs new test files', async t => {
+	await withRepository(async cwd => {
+		await fs.copyFile(path.join(cwd, 'test-b.js'), path.join(cwd, 'test-c.js'));
+		const result = await fixture(['--changed'], {cwd});
+		t.deepEqual(passedFiles(result), ['test-c.js']);
+		t.true(result.stderr.includes('test-c.js (changed)'));
+	});
+});
+
+test('runs the test files affected by changes since a revision', async t => {
+	await withRepository(async (cwd, git) => {
+		await git('tag', 'base');
+		await fs.writeFile(path.join(cwd, 'src/b.js'), 'export const b = 3;\n');
+		await git('commit', '--quiet', '--all', '--message', 'Change b');
+		const result = await fixture(['--changed-since', 'base'], {cwd});
+		t.deepEqual(passedFiles(result), ['test-b.js']);
+		t.true(result.stderr.includes('Running 1 test file affected by changes since base'));
+	});
+});
+
+test('runs all test files if a lockfile changed', async t => {
+	await withRepository(async cwd => {
+		await fs.writeFile(path.join(cwd, 'package-lock.json'), '{}\n');
+		const result = await fixture(['--changed'], {cwd});
+		t.deepEqual(passedFiles(result), ['test-a.js', 'test-b.js']);
+		t.true(result.stderr.includes('Running all test files, since package-lock.json is among the uncommitted changes'));
+	});
+});
+
+test('fails if the revision does not exist', async t => {
+	await withRepository(async cwd => {
+		const result = await t.throwsAsync(fixture(['--changed-since', 'nope'], {cwd}));
+		t.is(cleanOutput(result.stderr), 'Could not find Git revision nope');
+	});
+});
+
+test('cannot be combined with file patterns', async t => {
+	await withRepository(async cwd => {
+		const result = await t.throwsAsync(fixture(['--changed', 'test-a.js'], {cwd}));
+		t.is(cleanOutput(result.stderr), 'The --changed flag cannot be combined with file patterns.');
+	});
+});
+
+test('requires a revision to run the test files affected by changes since', async t => {
+	await withRepository(async cwd => {
+		const result = await t.throwsAsync(fixture(['--changed-since='], {cwd}));
+		t.is(cleanOutput(result.stderr), 'The --changed-since flag requires a Git revision.');
+	});
+});
@@ -83,6 +83,8 @@ export async function * exec(args, options) {
 	const execaProcess = execaNode(cliPath, args, {
 		...options,
 		env: {
+			// Don't annotate failures when AVA's own tests run in GitHub Actions.
+			GITHUB_ACTIONS: '',
 			...options.env,
 			TEST_AVA: 'true',
 			TEST_AVA_IMPORT_FROM,
@@ -0,0 +1,22 @@
+import test from 'ava';
+
+test.before(() => {
+	throw new Error('Hooks must not run when listing tests');
+});
+
+test('runs', () => {
+	throw new Error('Tests must not run when listing tests');
+});
+
+test.serial.skip('skipped', t => {
+	t.pass();
+});
+
+test.todo('todo');
+
+test.each([
+	{name: 'one'},
+	{name: 'two'},
+])('row $name', t => {
+	t.pass();
+});
@@ -0,0 +1,9 @@
+import test from 'ava';
+
+test.only('exclusive', t => {
+	t.pass();
+});
+
+test('not exclusive', t => {
+	t.pass();
+});
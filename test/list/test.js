@@ -0,0 +1,47 @@
+import test from '@ava/test';
+
+import {cleanOutput, fixture} from '../helpers/exec.js';
+
+const listTests = async args => {
+	const result = await fixture(['list', '--json', ...args]);
+	return JSON.parse(result.stdout);
+};
+
+test('lists the selected tests without running them', async t => {
+	const tests = await listTests([]);
+	t.deepEqual(tests, [
+		{
+			file: 'test-a.js', title: 'runs', line: 7, failing: false, only: false, serial: false, skip: false, todo: false,
+		},
+		{
+			file: 'test-a.js', title: 'skipped', line: 11, failing: false, only: false, serial: true, skip: true, todo: false,
+		},
+		{
+			file: 'test-a.js', title: 'todo', line: 15, failing: false, only: false, serial: false, skip: false, todo: true,
+		},
+		{
+			file: 'test-a.js', title: 'row one', line: 18, failing: false, only: false, serial: false, skip: false, todo: false,
+		},
+		{
+			file: 'test-a.js', title: 'row two', line: 19, failing: false, only: false, serial: false, skip: false, todo: false,
+		},
+		{
+			file: 'test-b.js', title: 'exclusive', line: 3, failing: false, only: true, serial: false, skip: false, todo: false,
+		},
+	]);
+});
+
+test('respects --match', async t => {
+	const tests = await listTests(['--match=row*']);
+	t.deepEqual(tests.map(({title}) => title), ['row one', 'row two']);
+});
+
+test('respects line number selection', async t => {
+	const tests = await listTests(['test-a.js:19']);
+	t.deepEqual(tests.map(({title}) => title), ['row two']);
+});
+
+test('prints human readable output', async t => {
+	const result = await fixture(['list', '--no-color', 'test-b.js']);
+	t.is(cleanOutput(result.stdout), 'test-b.js\n  3: exclusive (only)\n\n1 test in 1 file');
+});
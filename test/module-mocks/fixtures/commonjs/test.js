@@ -0,0 +1,12 @@
+const {default: test} = require('ava');
+
+test('requires modules', t => {
+	t.is(require('./dependency.js'), 'real');
+});
+
+test.serial('mocks imports but not requires', async t => {
+	t.mock.module('./dependency.js', {defaultExport: 'fake'});
+	const {default: value} = await import('./dependency.js');
+	t.is(value, 'fake');
+	t.is(require('./dependency.js'), 'real');
+});
@@ -0,0 +1,5 @@
+import {platform} from 'node:os';
+
+import flavor, {greet} from './dependency.js';
+
+export const describe = () => `${flavor} ${greet('ava')} on ${platform()}`;
@@ -0,0 +1,15 @@
+import test from 'ava';
+
+test.beforeEach(t => {
+	t.mock.module('./dependency.js', {defaultExport: 'fake'});
+});
+
+test.serial('mocks modules in beforeEach hooks', async t => {
+	const {default: flavor} = await import('./dependency.js');
+	t.is(flavor, 'fake');
+});
+
+test.after('mocks are removed once the hooks for the test have run', async t => {
+	const {default: flavor} = await import('./dependency.js');
+	t.is(flavor, 'real');
+});
@@ -0,0 +1,6 @@
+import test from 'ava';
+
+test('mocks do not leak into other test files', async t => {
+	const {describe} = await import('./consumer.js');
+	t.regex(describe(), /^real hello ava on /);
+});
@@ -0,0 +1,28 @@
+import test from 'ava';
+
+test.serial('mocks modules for subsequent imports', async t => {
+	t.mock.module('./dependency.js', {defaultExport: 'fake', namedExports: {greet: name => `hi ${name}`}});
+	t.mock.module('node:os', {namedExports: {platform: () => 'amiga'}});
+	const {describe} = await import('./consumer.js');
+	t.is(describe(), 'fake hi ava on amiga');
+});
+
+test.serial('mocks modules that do not exist', async t => {
+	t.mock.module('not-installed', {namedExports: {'kebab-case': true}});
+	const {'kebab-case': value} = await import('not-installed');
+	t.true(value);
+});
+
+test.serial('mocks are removed when the test has finished', async t => {
+	const {default: flavor} = await import('./dependency.js');
+	t.is(flavor, 'real');
+	await t.throwsAsync(import('not-installed'), {code: 'ERR_MODULE_NOT_FOUND'});
+});
+
+test.serial('mocks can be removed early', async t => {
+	const {restore} = t.mock.module('./dependency.js', {namedExports: {greet: () => 'mocked'}});
+	t.false('default' in await import('./dependency.js'));
+	restore();
+	const {default: flavor} = await import('./dependency.js');
+	t.is(flavor, 'real');
+});
@@ -0,0 +1,18 @@
+import test from '@ava/test';
+
+import {cwd, fixture} from '../helpers/exec.js';
+
+test('mocks modules in worker threads', async t => {
+	const result = await fixture([]);
+	t.is(result.stats.passed.length, 6);
+});
+
+test('mocks modules in child processes', async t => {
+	const result = await fixture(['--no-worker-threads']);
+	t.is(result.stats.passed.length, 6);
+});
+
+test('does not affect CommonJS test files', async t => {
+	const result = await fixture([], {cwd: cwd('commonjs')});
+	t.deepEqual(result.stats.passed.map(({title}) => title), ['mocks imports but not requires', 'requires modules']);
+});
@@ -0,0 +1,17 @@
+import process from 'node:process';
+
+import test from 'ava';
+
+test.beforeEach(() => {
+	if (!process.env.FIXED) {
+		throw new Error('Hook failed');
+	}
+});
+
+test('first', t => {
+	t.pass();
+});
+
+test('second', t => {
+	t.pass();
+});
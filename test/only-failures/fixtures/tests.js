@@ -0,0 +1,15 @@
+import process from 'node:process';
+
+import test from 'ava';
+
+test('passes', t => {
+	t.pass();
+});
+
+test('fails until fixed', t => {
+	t.truthy(process.env.FIXED);
+});
+
+test('fails', t => {
+	t.fail();
+});
@@ -0,0 +1,55 @@
+import fs from 'node:fs';
+
+import test from '@ava/test';
+
+import {cleanOutput, cwd, fixture} from '../helpers/exec.js';
+
+// Failing tests are only recorded when not in CI.
+const env = {AVA_FORCE_CI: 'not-ci'};
+
+const titles = statObjects => statObjects.map(({file, title}) => `${file} ${title}`);
+
+test.afterEach.always(() => {
+	fs.rmSync(cwd('node_modules'), {recursive: true, force: true});
+});
+
+test.serial('reports when there are no previously failing tests', async t => {
+	const result = await fixture(['--only-failures'], {env});
+	t.is(cleanOutput(result.stderr), 'There are no previously failing tests to run');
+	t.deepEqual(result.stats.passed, []);
+});
+
+test.serial('only reruns the failing tests', async t => {
+	await t.throwsAsync(fixture([], {env}));
+
+	const result = await t.throwsAsync(fixture(['--only-failures'], {env: {...env, FIXED: 'true'}}));
+	t.deepEqual(titles(result.stats.passed), [
+		'hook.js first',
+		'hook.js second',
+		'tests.js fails until fixed',
+	]);
+	t.deepEqual(titles(result.stats.failed), ['tests.js fails']);
+});
+
+test.serial('forgets tests once they pass', async t => {
+	await t.throwsAsync(fixture([], {env}));
+	await t.throwsAsync(fixture(['--only-failures'], {env: {...env, FIXED: 'true'}}));
+
+	const result = await t.throwsAsync(fixture(['--only-failures'], {env: {...env, FIXED: 'true'}}));
+	t.deepEqual(titles(result.stats.passed), []);
+	t.deepEqual(titles(result.stats.failed), ['tests.js fails']);
+});
+
+test.serial('retains failures of test files that were not run', async t => {
+	await t.throwsAsync(fixture([], {env}));
+	await t.throwsAsync(fixture(['tests.js'], {env: {...env, FIXED: 'true'}}));
+
+	const result = await t.throwsAsync(fixture(['--only-failures'], {env}));
+	t.deepEqual(titles(result.stats.failed), ['tests.js fails']);
+	t.is(result.stats.failedHooks.length, 2);
+});
+
+test('is not available in CI', async t => {
+	const result = await t.throwsAsync(fixture(['--only-failures'], {env: {AVA_FORCE_CI: 'ci'}}));
+	t.is(cleanOutput(result.stderr), 'The --only-failures flag is not available in CI, as failing tests are not recorded there.');
+});
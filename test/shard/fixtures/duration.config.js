@@ -0,0 +1,6 @@
+export default {
+	files: [
+		'test-*.js',
+	],
+	shardBalancing: 'duration',
+};
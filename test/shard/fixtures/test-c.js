@@ -0,0 +1,5 @@
+import test from 'ava';
+
+test('c', t => {
+	t.pass();
+});
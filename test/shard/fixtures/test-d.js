@@ -0,0 +1,5 @@
+import test from 'ava';
+
+test('d', t => {
+	t.pass();
+});
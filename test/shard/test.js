@@ -0,0 +1,64 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+import test from '@ava/test';
+
+import {cleanOutput, cwd, fixture} from '../helpers/exec.js';
+
+const cacheDir = cwd('node_modules', '.cache', 'ava');
+
+const runShard = async (shard, extraArgs = []) => {
+	const result = await fixture([`--shard=${shard}`, ...extraArgs]);
+	return result.stats.passed.map(({file}) => file).toSorted();
+};
+
+test.afterEach.always(() => {
+	fs.rmSync(cwd('node_modules'), {recursive: true, force: true});
+});
+
+test.serial('shards split the test files', async t => {
+	const first = await runShard('1/2');
+	const second = await runShard('2/2');
+
+	t.deepEqual(first, ['test-a.js', 'test-b.js']);
+	t.deepEqual(second, ['test-c.js', 'test-d.js']);
+});
+
+test.serial('shards are balanced by recorded durations', async t => {
+	fs.mkdirSync(cacheDir, {recursive: true});
+	const durations = JSON.stringify({
+		'test-a.js': 10,
+		'test-b.js': 10,
+		'test-c.js': 1000,
+		'test-d.js': 10,
+	});
+
+	fs.writeFileSync(path.join(cacheDir, 'file-durations.json'), durations);
+	const first = await runShard('1/2', ['--config', 'duration.config.js']);
+	fs.writeFileSync(path.join(cacheDir, 'file-durations.json'), durations);
+	const second = await runShard('2/2', ['--config', 'duration.config.js']);
+
+	t.deepEqual(first, ['test-c.js']);
+	t.deepEqual(second, ['test-a.js', 'test-b.js', 'test-d.js']);
+});
+
+test.serial('durations are recorded when balancing by duration', async t => {
+	await fixture(['--config', 'duration.config.js']);
+
+	const durations = JSON.parse(fs.readFileSync(path.join(cacheDir, 'file-durations.json'), 'utf8'));
+	t.deepEqual(Object.keys(durations).toSorted(), ['test-a.js', 'test-b.js', 'test-c.js', 'test-d.js']);
+});
+
+test.serial('balancing by duration falls back to splitting by file count', async t => {
+	const first = await runShard('1/2', ['--config', 'duration.config.js']);
+	fs.rmSync(cwd('node_modules'), {recursive: true, force: true});
+	const second = await runShard('2/2', ['--config', 'duration.config.js']);
+
+	t.deepEqual(first, ['test-a.js', 'test-b.js']);
+	t.deepEqual(second, ['test-c.js', 'test-d.js']);
+});
+
+test('shard must be valid', async t => {
+	const result = await t.throwsAsync(fixture(['--shard=3/2']));
+	t.is(cleanOutput(result.stderr), 'The --shard flag must be provided as <index>/<total>, where <index> is between 1 and <total>.');
+});
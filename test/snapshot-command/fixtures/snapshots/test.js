@@ -0,0 +1,10 @@
+const {default: test} = await import(process.env.TEST_AVA_IMPORT_FROM); // This fixture is copied to a temporary directory, so import AVA through its configured path.
+
+test('object', t => {
+	t.snapshot({value: process.env.TEMPLATE ? 'original' : 'changed'});
+	t.snapshot('second', 'labelled');
+});
+
+test('map', t => {
+	t.snapshot(new Map([['key', 'value']]));
+});
@@ -0,0 +1,94 @@
+import {promises as fs} from 'node:fs';
+import path from 'node:path';
+
+import test from '@ava/test';
+import {execa} from 'execa';
+
+import {cleanOutput, cwd, fixture} from '../helpers/exec.js';
+import {withTemporaryFixture} from '../helpers/with-temporary-fixture.js';
+
+const env = {
+	AVA_FORCE_CI: 'not-ci',
+};
+
+const withSnapshots = implementation => withTemporaryFixture(cwd('snapshots'), async cwd => {
+	await fixture([], {cwd, env: {...env, TEMPLATE: 'true'}});
+	await implementation(cwd);
+});
+
+// Commit the original snapshots, then update them so they differ from the commit.
+const withChangedSnapshots = implementation => withSnapshots(async cwd => {
+	const git = (...args) => execa('git', ['-c', 'user.name=ava', '-c', 'user.email=ava@example.com', ...args], {cwd});
+	await git('init', '--quiet');
+	await git('add', '--all');
+	await git('commit', '--quiet', '--message', 'Record snapshots');
+	await fixture(['--update-snapshots'], {cwd, env});
+	await implementation(cwd);
+});
+
+test('lists the tests in a snapshot file', async t => {
+	await withSnapshots(async cwd => {
+		const result = await fixture(['snapshot', 'list', 'test.js.snap'], {cwd, env});
+		t.is(cleanOutput(result.stdout), 'object (2 snapshots)\nmap (1 snapshot)');
+	});
+});
+
+test('lists the tests in the snapshot file of a test file', async t => {
+	await withSnapshots(async cwd => {
+		const result = await fixture(['snapshot', 'list', 'test.js'], {cwd, env});
+		t.is(cleanOutput(result.stdout), 'object (2 snapshots)\nmap (1 snapshot)');
+	});
+});
+
+test('shows the snapshots of a test', async t => {
+	await withSnapshots(async cwd => {
+		const result = await fixture(['snapshot', 'show', 'test.js', '--title', 'object'], {cwd, env});
+		t.true(result.stdout.includes('> Snapshot 1'));
+		t.true(result.stdout.includes('value: \'original\''));
+		t.true(result.stdout.includes('> labelled'));
+		t.false(result.stdout.includes('map'));
+	});
+});
+
+test('reads the snapshot file from standard input', async t => {
+	await withSnapshots(async cwd => {
+		const input = await fs.readFile(path.join(cwd, 'test.js.snap'));
+		const result = await fixture(['snapshot', 'show'], {cwd, env, input});
+		t.true(result.stdout.includes('value: \'original\''));
+		t.true(result.stdout.includes('Map {'));
+	});
+});
+
+test('fails when the test has no snapshots', async t => {
+	await withSnapshots(async cwd => {
+		const result = await t.throwsAsync(fixture(['snapshot', 'show', 'test.js', '--title', 'missing'], {cwd, env}));
+		t.true(result.stderr.includes('No snapshots found for ‘missing’'));
+	});
+});
+
+test('fails when the snapshot file cannot be decoded', async t => {
+	await withSnapshots(async cwd => {
+		await fs.writeFile(path.join(cwd, 'test.js.snap'), 'AVA Snapshot v3\ngarbage');
+		const result = await t.throwsAsync(fixture(['snapshot', 'list', 'test.js'], {cwd, env}));
+		t.true(result.stderr.includes('Could not decode test.js.snap'));
+	});
+});
+
+test('shows how snapshots changed since a Git revision', async t => {
+	await withChangedSnapshots(async cwd => {
+		const result = await fixture(['snapshot', 'diff', 'HEAD'], {cwd, env});
+		t.true(result.stdout.includes('test.js.snap'));
+		t.true(result.stdout.includes('Changed object'));
+		t.regex(result.stdout, /- {3}value: 'original'/);
+		t.regex(result.stdout, /\+ {3}value: 'changed'/);
+		t.false(result.stdout.includes('map'));
+	});
+});
+
+test('reports when snapshots did not change since a Git revision', async t => {
+	await withChangedSnapshots(async cwd => {
+		await fixture(['--update-snapshots'], {cwd, env: {...env, TEMPLATE: 'true'}});
+		const result = await fixture(['snapshot', 'diff', 'HEAD', 'test.js'], {cwd, env});
+		t.true(result.stdout.includes('No snapshots changed since HEAD'));
+	});
+});
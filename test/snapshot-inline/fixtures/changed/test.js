@@ -0,0 +1,13 @@
+const {default: test} = await import(process.env.TEST_AVA_IMPORT_FROM); // This fixture is copied to a temporary directory, so import AVA through its configured path.
+
+test('matches', t => {
+	t.snapshot.inline({foo: 'bar'}, `
+		{
+		  foo: 'bar',
+		}
+	`);
+});
+
+test('does not match', t => {
+	t.snapshot.inline('changed', '\'original\'');
+});
@@ -0,0 +1,12 @@
+const {default: test} = await import(process.env.TEST_AVA_IMPORT_FROM); // This fixture is copied to a temporary directory, so import AVA through its configured path.
+
+test('writes snapshots', t => {
+	t.snapshot.inline(1 + 1);
+	t.snapshot.inline({foo: ['bar', 'baz']});
+});
+
+test('writes each snapshot once', t => {
+	for (const value of ['same', 'same']) {
+		t.snapshot.inline(value);
+	}
+});
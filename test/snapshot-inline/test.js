@@ -0,0 +1,60 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import test from '@ava/test';
+
+import {cwd, fixture} from '../helpers/exec.js';
+import {withTemporaryFixture} from '../helpers/with-temporary-fixture.js';
+
+const readTestFile = cwd => fs.readFile(path.join(cwd, 'test.js'), 'utf8');
+
+test.serial('first run writes inline snapshots into the test file', async t => {
+	await withTemporaryFixture(cwd('new'), async cwd => {
+		const result = await fixture([], {cwd, env: {AVA_FORCE_CI: 'not-ci'}});
+		t.is(result.stats.passed.length, 2);
+
+		const source = await readTestFile(cwd);
+		t.true(source.includes('t.snapshot.inline(1 + 1, `2`);'));
+		t.true(source.includes([
+			'\tt.snapshot.inline({foo: [\'bar\', \'baz\']}, `',
+			'\t\t{',
+			'\t\t  foo: [',
+			'\t\t    \'bar\',',
+			'\t\t    \'baz\',',
+			'\t\t  ],',
+			'\t\t}',
+			'\t`);',
+		].join('\n')));
+		t.true(source.includes('t.snapshot.inline(value, `\'same\'`);'));
+	});
+});
+
+test.serial('inline snapshots are not written in CI', async t => {
+	await withTemporaryFixture(cwd('new'), async cwd => {
+		const original = await readTestFile(cwd);
+		const result = await t.throwsAsync(fixture([], {cwd, env: {AVA_FORCE_CI: 'ci'}}));
+		t.is(result.stats.failed.length, 2);
+		t.regex(result.stats.getError(result.stats.failed[0]).message, /No inline snapshot available/);
+		t.is(await readTestFile(cwd), original);
+	});
+});
+
+test.serial('mismatched inline snapshots fail', async t => {
+	await withTemporaryFixture(cwd('changed'), async cwd => {
+		const original = await readTestFile(cwd);
+		const result = await t.throwsAsync(fixture([], {cwd, env: {AVA_FORCE_CI: 'not-ci'}}));
+		t.is(result.stats.passed.length, 1);
+		t.is(result.stats.failed.length, 1);
+		t.is(result.stats.getError(result.stats.failed[0]).message, 'Did not match inline snapshot');
+		t.is(await readTestFile(cwd), original);
+	});
+});
+
+test.serial('--update-snapshots rewrites mismatched inline snapshots', async t => {
+	await withTemporaryFixture(cwd('changed'), async cwd => {
+		const original = await readTestFile(cwd);
+		const result = await fixture(['--update-snapshots'], {cwd});
+		t.is(result.stats.passed.length, 2);
+		t.is(await readTestFile(cwd), original.replace(String.raw`'\'original\''`, '`\'changed\'`'));
+	});
+});
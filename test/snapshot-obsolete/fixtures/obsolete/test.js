@@ -0,0 +1,11 @@
+const {default: test} = await import(process.env.TEST_AVA_IMPORT_FROM); // This fixture is copied to a temporary directory, so import AVA through its configured path.
+
+test('kept', t => {
+	t.snapshot('kept');
+});
+
+if (process.env.TEMPLATE) {
+	test('renamed', t => {
+		t.snapshot('renamed');
+	});
+}
@@ -0,0 +1,73 @@
+import {promises as fs} from 'node:fs';
+import path from 'node:path';
+
+import test from '@ava/test';
+
+import {cwd, fixture} from '../helpers/exec.js';
+import {withTemporaryFixture} from '../helpers/with-temporary-fixture.js';
+
+const env = {
+	AVA_FORCE_CI: 'not-ci',
+};
+
+// Record the snapshots, then remove a test and a test file so their snapshots become obsolete.
+const withObsoleteSnapshots = implementation => withTemporaryFixture(cwd('obsolete'), async cwd => {
+	await fixture([], {cwd, env: {...env, TEMPLATE: 'true'}});
+	await fs.unlink(path.join(cwd, 'test-removed.js'));
+	await implementation(cwd);
+});
+
+const readReport = cwd => fs.readFile(path.join(cwd, 'test.js.md'), 'utf8');
+
+test.serial('obsolete snapshots are reported', async t => {
+	await withObsoleteSnapshots(async cwd => {
+		const result = await fixture([], {cwd, env});
+		t.true(result.stdout.includes('Found 2 obsolete snapshots'));
+		t.true(result.stdout.includes('test.js.snap › renamed'));
+		t.true(result.stdout.includes('test-removed.js.snap'));
+
+		// The snapshots are left alone.
+		const report = await readReport(cwd);
+		t.true(report.includes('## renamed'));
+		await t.notThrowsAsync(fs.access(path.join(cwd, 'test-removed.js.snap')));
+	});
+});
+
+test.serial('obsolete snapshots are not reported when tests are selected', async t => {
+	await withObsoleteSnapshots(async cwd => {
+		const result = await fixture(['--match', 'kept'], {cwd, env});
+		t.false(result.stdout.includes('obsolete'));
+	});
+});
+
+test.serial('obsolete snapshots fail the run if configured', async t => {
+	await withObsoleteSnapshots(async cwd => {
+		await fs.writeFile(path.join(cwd, 'ava.config.js'), 'export default {failOnObsoleteSnapshots: true};');
+		const result = await t.throwsAsync(fixture([], {cwd, env}));
+		t.true(result.stdout.includes('Found 2 obsolete snapshots'));
+		t.deepEqual(result.stats.passed, [{file: 'test.js', title: 'kept'}]);
+	});
+});
+
+test.serial('--prune-snapshots removes obsolete snapshots', async t => {
+	await withObsoleteSnapshots(async cwd => {
+		const result = await fixture(['--prune-snapshots'], {cwd, env});
+		t.true(result.stdout.includes('Removed 2 obsolete snapshots'));
+
+		const report = await readReport(cwd);
+		t.true(report.includes('## kept'));
+		t.false(report.includes('## renamed'));
+		await t.throwsAsync(fs.access(path.join(cwd, 'test-removed.js.snap')), {code: 'ENOENT'});
+		await t.throwsAsync(fs.access(path.join(cwd, 'test-removed.js.md')), {code: 'ENOENT'});
+
+		// The remaining snapshots still pass.
+		const rerun = await fixture([], {cwd, env: {AVA_FORCE_CI: 'ci'}});
+		t.false(rerun.stdout.includes('obsolete'));
+		t.deepEqual(rerun.stats.passed, [{file: 'test.js', title: 'kept'}]);
+	});
+});
+
+test.serial('--prune-snapshots cannot be used when tests are selected', async t => {
+	const result = await t.throwsAsync(fixture(['--prune-snapshots', '--match', 'kept'], {cwd: cwd('obsolete'), env}));
+	t.true(result.stderr.includes('Obsolete snapshots can only be pruned when running all tests'));
+});
@@ -0,0 +1,10 @@
+export default [
+	{
+		test: value => value instanceof URL,
+		serialize: url => url.href,
+	},
+	{
+		test: value => value instanceof Date,
+		serialize: () => '<date>',
+	},
+];
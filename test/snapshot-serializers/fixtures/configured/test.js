@@ -0,0 +1,20 @@
+import test from 'ava';
+
+test('configured serializers apply to nested values', t => {
+	t.snapshot.inline({homepage: new URL('https://avajs.dev/'), released: [new Date()]}, `
+		{
+		  homepage: 'https://avajs.dev/',
+		  released: [
+		    '<date>',
+		  ],
+		}
+	`);
+});
+
+test('added serializers take precedence', t => {
+	t.snapshot.addSerializer({
+		test: value => value instanceof URL,
+		serialize: url => url.hostname,
+	});
+	t.snapshot.inline(new URL('https://avajs.dev/'), '\'avajs.dev\'');
+});
@@ -0,0 +1,3 @@
+export default {
+	test: value => value instanceof URL,
+};
@@ -0,0 +1,14 @@
+import test from '@ava/test';
+
+import {cwd, fixture} from '../helpers/exec.js';
+
+test('applies configured serializers', async t => {
+	const result = await fixture([], {cwd: cwd('configured')});
+	t.is(result.stats.passed.length, 2);
+});
+
+test('crashes if a configured serializer is invalid', async t => {
+	const result = await t.throwsAsync(fixture([], {cwd: cwd('invalid')}));
+	t.is(result.stats.uncaughtExceptions.length, 1);
+	t.regex(result.stats.uncaughtExceptions[0].message, /Invalid snapshot serializer ’\.\/serializer\.js’/);
+});
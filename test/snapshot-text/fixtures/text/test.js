@@ -0,0 +1,10 @@
+const {default: test} = await import(process.env.TEST_AVA_IMPORT_FROM); // This fixture is copied to a temporary directory, so import AVA through its configured path.
+
+test('beta', t => {
+	t.snapshot({value: 'beta'});
+	t.snapshot(new Map([['key', 'value']]), 'labelled');
+});
+
+test('alpha', t => {
+	t.snapshot(['alpha']);
+});
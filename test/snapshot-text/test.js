@@ -0,0 +1,67 @@
+import {promises as fs} from 'node:fs';
+import path from 'node:path';
+
+import test from '@ava/test';
+
+import {cwd, fixture} from '../helpers/exec.js';
+import {withTemporaryFixture} from '../helpers/with-temporary-fixture.js';
+
+const env = {
+	AVA_FORCE_CI: 'not-ci',
+};
+
+const readSnapshots = cwd => fs.readFile(path.join(cwd, 'test.js.snap'), 'utf8');
+const isStoredAsText = async cwd => {
+	const snapshots = await readSnapshots(cwd);
+	return snapshots.startsWith('AVA Snapshot v3 text\n');
+};
+
+const configure = (cwd, config) => fs.writeFile(path.join(cwd, 'package.json'), JSON.stringify({ava: config}));
+
+test('snapshots are stored as text, sorted by title', async t => {
+	await withTemporaryFixture(cwd('text'), async cwd => {
+		await fixture([], {cwd, env});
+		const snapshots = await readSnapshots(cwd);
+		t.true(snapshots.startsWith('AVA Snapshot v3 text\n'));
+		t.true(snapshots.indexOf('# "alpha"') < snapshots.indexOf('# "beta"'));
+		t.true(snapshots.includes('> "labelled"'));
+
+		const result = await fixture([], {cwd, env: {AVA_FORCE_CI: 'ci'}});
+		t.is(result.stats.passed.length, 2);
+	});
+});
+
+test('text snapshots with conflicting blocks are invalid', async t => {
+	await withTemporaryFixture(cwd('text'), async cwd => {
+		await fixture([], {cwd, env});
+		const snapshots = await readSnapshots(cwd);
+		const [, alpha] = snapshots.split('\n\n');
+		await fs.appendFile(path.join(cwd, 'test.js.snap'), `\n${alpha}\n`);
+
+		const result = await t.throwsAsync(fixture([], {cwd, env}));
+		t.true(result.stdout.includes('The snapshot file is corrupted.'));
+	});
+});
+
+test('snapshot files are converted between formats', async t => {
+	await withTemporaryFixture(cwd('text'), async cwd => {
+		await configure(cwd, {});
+		await fixture([], {cwd, env});
+		t.false(await isStoredAsText(cwd));
+
+		// Files are not converted in CI.
+		await configure(cwd, {snapshotFormat: 'text'});
+		await fixture([], {cwd, env: {AVA_FORCE_CI: 'ci'}});
+		t.false(await isStoredAsText(cwd));
+
+		await fixture([], {cwd, env});
+		t.true(await isStoredAsText(cwd));
+
+		await configure(cwd, {snapshotFormat: 'binary'});
+		await fixture([], {cwd, env});
+		t.false(await isStoredAsText(cwd));
+
+		const result = await fixture([], {cwd, env: {AVA_FORCE_CI: 'ci'}});
+		t.is(result.stats.passed.length, 2);
+	});
+});
@@ -0,0 +1,12 @@
+import {setTimeout as delay} from 'node:timers/promises';
+
+import test from 'ava';
+
+test('default timeout', async () => {
+	await new Promise(() => {});
+});
+
+test.timeout(1000)('declared timeout', async t => {
+	await delay(200);
+	t.pass();
+});
@@ -0,0 +1,9 @@
+import test from 'ava';
+
+test.timeout(10)('declared timeout', async () => {
+	await new Promise(() => {});
+});
+
+test('other test', t => {
+	t.pass();
+});
@@ -1,6 +1,6 @@
 import test from '@ava/test';
 
-import {fixture} from '../helpers/exec.js';
+import {cwd, fixture} from '../helpers/exec.js';
 
 test('timeout message can be specified', async t => {
 	const result = await t.throwsAsync(fixture(['custom-message.js']));
@@ -14,3 +14,18 @@ test('timeout messages must be strings', async t => {
 	t.snapshot(error.message, 'error message');
 	t.snapshot(error.formattedDetails, 'formatted details');
 });
+
+test('tests with a declared timeout time out, while the other tests still run', async t => {
+	const result = await t.throwsAsync(fixture(['declared.js']));
+	t.deepEqual(result.stats.failed, [{file: 'declared.js', title: 'declared timeout'}]);
+	t.deepEqual(result.stats.passed, [{file: 'declared.js', title: 'other test'}]);
+	t.is(result.stats.getError(result.stats.failed[0]).message, 'Test timeout exceeded');
+	t.true(result.stdout.includes('[timed out]: declared timeout'));
+	t.true(result.stdout.includes('1 test timed out'));
+});
+
+test('tests time out after the configured testTimeout, unless they declare a timeout', async t => {
+	const result = await t.throwsAsync(fixture([], {cwd: cwd('config')}));
+	t.deepEqual(result.stats.failed, [{file: 'test.js', title: 'default timeout'}]);
+	t.deepEqual(result.stats.passed, [{file: 'test.js', title: 'declared timeout'}]);
+});
@@ -0,0 +1,71 @@
+import {test, withFixture} from './helpers/watch.js';
+
+const command = object => `${JSON.stringify(object)}\n`;
+const parseEvents = stdout => stdout.trim().split('\n').map(line => JSON.parse(line));
+
+test('can be controlled through JSON commands', withFixture('filter-files'), async (t, fixture) => {
+	await fixture.watch({
+		async 1({process, stats}) {
+			t.is(stats.selectedTestCount, 8);
+
+			process.stdin.write(command({type: 'select-lines', pattern: 'test1.test.js:3'}));
+		},
+
+		async 2({process, stats}) {
+			t.deepEqual(stats.passed.map(({title}) => title), ['alice']);
+
+			process.stdin.write(command({type: 'select-lines'}));
+			process.stdin.write(command({type: 'set-match', pattern: 'bob'}));
+		},
+
+		async 3({process, stats}) {
+			t.deepEqual(stats.passed.map(({title}) => title), ['bob']);
+
+			process.send('abort-watcher');
+			const {stdout} = await process;
+			const events = parseEvents(stdout);
+			t.is(events[0].type, 'run');
+			t.like(events.find(({type}) => type === 'watch-idle'), {
+				failureCount: 2,
+				filters: {},
+			});
+			t.true(events.some(({type, filters}) => type === 'watch-idle' && filters.lines === 'test1.test.js:3'));
+
+			this.done();
+		},
+	}, ['--control=json']);
+});
+
+test('quits through a JSON command', withFixture('filter-files'), async (t, fixture) => {
+	await fixture.watch({
+		async 1({process}) {
+			process.stdin.write(command({type: 'quit'}));
+			const {exitCode} = await process;
+			t.is(exitCode, 0);
+
+			this.done();
+		},
+	}, ['--control=json']);
+});
+
+test('reports invalid JSON commands', withFixture('filter-files'), async (t, fixture) => {
+	await fixture.watch({
+		async 1({process}) {
+			process.stdin.write('r\n');
+			process.stdin.write(command({type: 'select-lines', pattern: 'test1.test.js'}));
+			process.stdin.write(command({type: 'rerun'}));
+		},
+
+		async 2({process}) {
+			process.send('abort-watcher');
+			const {stdout} = await process;
+			const errors = parseEvents(stdout).filter(({type}) => type === 'watch-error').map(({message}) => message);
+			t.deepEqual(errors, [
+				'Could not parse command as JSON: r',
+				'The ’select-lines’ pattern must include the line numbers after the file, such as ’test.js:12’: test1.test.js',
+			]);
+
+			this.done();
+		},
+	}, ['--control=json']);
+});
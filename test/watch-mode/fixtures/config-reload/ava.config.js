@@ -0,0 +1,14 @@
+import fs from 'node:fs';
+
+import files from './files.js';
+
+// Unlike the imported module, this file is read again when the configuration is reloaded. The watcher ignores it, so
+// it can be changed without triggering a run.
+const extraFiles = JSON.parse(fs.readFileSync(new URL('extra-files.json', import.meta.url), 'utf8'));
+
+export default {
+	files: [...files, ...extraFiles],
+	watchMode: {
+		ignoreChanges: ['extra-files.json'],
+	},
+};
@@ -0,0 +1,11 @@
+import value from './value.js';
+
+const {default: test} = await import(process.env.TEST_AVA_IMPORT_FROM); // This fixture is copied to a temporary directory, so import AVA through its configured path.
+
+test('first', t => {
+	t.snapshot(value);
+});
+
+test('second', t => {
+	t.snapshot(`second ${value}`);
+});
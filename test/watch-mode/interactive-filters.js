@@ -153,3 +153,69 @@ test('when filtering by title, run all tests with \'a', withFixture('filter-file
 		},
 	});
 });
+
+test('can focus on tests by line number', withFixture('filter-files'), async (t, fixture) => {
+	await fixture.watch({
+		async 1({process, stats}) {
+			// First run should run all tests
+			t.is(stats.selectedTestCount, 8);
+			t.is(stats.passed.length, 6);
+
+			// Focus on alice and catherine in test1.test.js
+			process.stdin.write('l\n');
+			process.stdin.write('test1.test.js:3,11\n');
+		},
+
+		async 2({process, stats}) {
+			// Only the tests at those lines should run
+			t.deepEqual(stats.passed.map(({title}) => title), ['alice', 'catherine']);
+			t.is(stats.failed.length, 0);
+
+			// Clear the focus
+			process.stdin.write('l\n');
+			process.stdin.write('\n');
+		},
+
+		async 3({stats}) {
+			t.is(stats.selectedTestCount, 8);
+			this.done();
+		},
+	});
+});
+
+test('prompts again when the line numbers are missing', withFixture('filter-files'), async (t, fixture) => {
+	await fixture.watch({
+		async 1({process}) {
+			process.stdin.write('l\n');
+			process.stdin.write('test1.test.js\n');
+			process.stdin.write('test1.test.js:7\n');
+		},
+
+		async 2({process, stats}) {
+			t.deepEqual(stats.passed.map(({title}) => title), ['bob']);
+
+			process.send('abort-watcher');
+			const {stdout} = await process;
+			t.regex(stdout, /Include the line numbers after the file/);
+
+			this.done();
+		},
+	});
+});
+
+test('can rerun only the failing tests with \'f', withFixture('filter-files'), async (t, fixture) => {
+	await fixture.watch({
+		async 1({process, stats}) {
+			t.is(stats.selectedTestCount, 8);
+			t.is(stats.failed.length, 2);
+
+			process.stdin.write('f\n');
+		},
+		async 2({stats}) {
+			t.is(stats.selectedTestCount, 2);
+			t.deepEqual(stats.failed.map(({title}) => title).toSorted(), ['david', 'harry']);
+
+			this.done();
+		},
+	});
+});
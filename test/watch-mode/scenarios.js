@@ -106,3 +106,73 @@ serial('filters test files', withFixture('basic'), async (t, fixture) => {
 		},
 	}, ['source.test.js']);
 });
+
+serial('reloads the configuration when it changes', withFixture('basic'), async (t, fixture) => {
+	await fixture.watch({
+		async 1() {
+			await this.write('ava.config.js', 'export default {files: [\'source.test.js\']};\n');
+		},
+		async 2({stats}) {
+			t.deepEqual(stats.passed, [{file: 'source.test.js', title: 'source'}]);
+			this.done();
+		},
+	});
+});
+
+serial('reports configuration errors without exiting', withFixture('basic'), async (t, fixture) => {
+	await fixture.watch({
+		async 1() {
+			await this.assertIdle(async () => {
+				await this.write('ava.config.js', 'export default {snapshotFormat: \'json\'};\n');
+			});
+			await this.write('ava.config.js', 'export default {files: [\'source.test.js\']};\n');
+		},
+		async 2({process, stats}) {
+			t.deepEqual(stats.passed, [{file: 'source.test.js', title: 'source'}]);
+
+			process.send('abort-watcher');
+			const {stdout} = await process;
+			t.regex(stdout, /Could not reload the configuration: ’snapshotFormat’ must be either ’binary’ or ’text’\./);
+			this.done();
+		},
+	});
+});
+
+serial('reloads the configuration file but not the modules it imports', withFixture('config-reload'), async (t, fixture) => {
+	await fixture.watch({
+		async 1({stats}) {
+			t.deepEqual(stats.passed, [{file: 'a.test.js', title: 'a'}]);
+			await this.assertIdle(async () => {
+				await this.write('extra-files.json', '["c.test.js"]\n');
+			});
+			await this.write('files.js', 'export default [\'b.test.js\'];\n');
+		},
+		async 2({stats}) {
+			t.deepEqual(stats.passed, [{file: 'a.test.js', title: 'a'}]);
+			await this.touch('ava.config.js');
+		},
+		async 3({stats}) {
+			t.deepEqual(stats.passed, [{file: 'a.test.js', title: 'a'}, {file: 'c.test.js', title: 'c'}]);
+			this.done();
+		},
+	});
+});
+
+serial('only reloads the configuration when the ava section of package.json changes', withFixture('config-reload'), async (t, fixture) => {
+	await fixture.watch({
+		async 1() {
+			await this.assertIdle(async () => {
+				await this.write('extra-files.json', '["c.test.js"]\n');
+			});
+			await this.write('package.json', '{"type": "module", "description": "Changed"}\n');
+		},
+		async 2({stats}) {
+			t.deepEqual(stats.passed, [{file: 'a.test.js', title: 'a'}]);
+			await this.write('package.json', '{"type": "module", "ava": {}}\n');
+		},
+		async 3({stats}) {
+			t.deepEqual(stats.passed, [{file: 'a.test.js', title: 'a'}, {file: 'c.test.js', title: 'c'}]);
+			this.done();
+		},
+	});
+});
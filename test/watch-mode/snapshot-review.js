@@ -0,0 +1,33 @@
+import {test, withFixture} from './helpers/watch.js';
+
+test('can review failing snapshots one by one', withFixture('snapshot-review'), async (t, fixture) => {
+	await fixture.watch({
+		async 1({stats}) {
+			t.is(stats.passed.length, 2);
+			await this.write('value.js', 'export default \'changed\';\n');
+		},
+
+		async 2({process, stats}) {
+			t.is(stats.failed.length, 2);
+
+			// Accept the first snapshot and reject the second.
+			process.stdin.write('i\n');
+			process.stdin.write('a\n');
+			process.stdin.write('r\n');
+		},
+
+		async 3({stats, stdout}) {
+			t.regex(stdout, /Type `i` followed by enter to review 2 failing snapshots one by one/);
+			t.regex(stdout, /Snapshot 2 of 2/);
+
+			// The test file is rerun after accepting a snapshot.
+			t.deepEqual(stats.passed.map(({title}) => title), ['first']);
+			t.deepEqual(stats.failed.map(({title}) => title), ['second']);
+
+			const report = await this.read('test.js.md');
+			t.regex(report, /'changed'/);
+			t.regex(report, /'second original'/);
+			this.done();
+		},
+	});
+});
@@ -1,3 +1,5 @@
+import type {MockFunction} from './mock.js';
+
 export type ErrorConstructor<ErrorType extends Error = Error> = {
 	readonly prototype: ErrorType;
 	new (...args: any[]): ErrorType;
@@ -46,6 +48,19 @@ export type Assertions = {
 	 */
 	assert: AssertAssertion;
 
+	/**
+	 * Assert that the mock function has been called exactly `count` times, returning a boolean indicating whether the
+	 * assertion passed.
+	 */
+	calledTimes: CalledTimesAssertion;
+
+	/**
+	 * Assert that the mock function has been called at least once with arguments that are [deeply
+	 * equal](https://github.com/concordancejs/concordance#comparison-details) to `expectedArguments`, returning a boolean
+	 * indicating whether the assertion passed.
+	 */
+	calledWith: CalledWithAssertion;
+
 	/**
 	 * Assert that `actual` is [deeply equal](https://github.com/concordancejs/concordance#comparison-details) to
 	 * `expected`, returning a boolean indicating whether the assertion passed.
@@ -160,6 +175,29 @@ export type AssertAssertion = {
 	skip(actual: any, message?: string): void;
 };
 
+export type CalledTimesAssertion = {
+	/**
+	 * Assert that the mock function has been called exactly `count` times, returning `true` if the assertion passed and
+	 * throwing otherwise.
+	 */
+	(mock: MockFunction, count: number, message?: string): boolean;
+
+	/** Skip this assertion. */
+	skip(mock: any, count: any, message?: string): void;
+};
+
+export type CalledWithAssertion = {
+	/**
+	 * Assert that the mock function has been called at least once with arguments that are [deeply
+	 * equal](https://github.com/concordancejs/concordance#comparison-details) to `expectedArguments`, returning `true` if
+	 * the assertion passed and throwing otherwise.
+	 */
+	<Fn extends MockFunction>(mock: Fn, expectedArguments: Parameters<Fn>, message?: string): boolean;
+
+	/** Skip this assertion. */
+	skip(mock: any, expectedArguments: any, message?: string): void;
+};
+
 export type DeepEqualAssertion = {
 	/**
 	 * Assert that `actual` is [deeply equal](https://github.com/concordancejs/concordance#comparison-details) to
@@ -327,10 +365,41 @@ export type SnapshotAssertion = {
 	 */
 	(expected: any, message?: string): true;
 
+	/** Compare with a snapshot that is stored in the test file itself. */
+	inline: InlineSnapshotAssertion;
+
+	/**
+	 * Add a serializer for the snapshots in this test. It takes precedence over previously added serializers and those
+	 * from the `snapshotSerializers` configuration.
+	 */
+	addSerializer(serializer: SnapshotSerializer): void;
+
 	/** Skip this assertion. */
 	skip(expected: any, message?: string): void;
 };
 
+export type SnapshotSerializer = {
+	/** Whether the serializer applies to the value. */
+	test(value: unknown): boolean;
+
+	/** Return the representation of the value that is used for snapshots. Nested values are serialized, too. */
+	serialize(value: any): unknown;
+};
+
+export type InlineSnapshotAssertion = {
+	/**
+	 * Assert that the [formatted](https://github.com/concordancejs/concordance#formatting-details) `actual` value equals
+	 * the `snapshot` string. If the `snapshot` is not provided, or when updating snapshots, AVA writes it into the test
+	 * file.
+	 *
+	 * Returns `true` if the assertion passed and throws otherwise.
+	 */
+	(actual: any, snapshot?: string, message?: string): true;
+
+	/** Skip this assertion. */
+	skip(actual: any, snapshot?: string, message?: string): void;
+};
+
 export type ThrowsAssertion = {
 	/**
 	 * Assert that the function throws a native error. The error must satisfy all expectations. Returns the error value if
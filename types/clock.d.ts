@@ -0,0 +1,29 @@
+export type ClockInstallOptions = {
+	/** The initial system time, as a timestamp in milliseconds or a date. Defaults to the current time. */
+	now?: number | Date;
+};
+
+export type FakeClock = {
+	/** Advance the clock to the next scheduled timer and run it, returning the new time. */
+	next(): number;
+
+	/** Run all scheduled timers, including those scheduled while running, returning the new time. */
+	runAll(): number;
+
+	/** Change the system time without running any timers. */
+	setSystemTime(now: number | Date): void;
+
+	/** Advance the clock by `ms` milliseconds, running any timers that are due, and return the new time. */
+	tick(ms: number): number;
+
+	/** Restore the real timers and dates. This happens automatically when the test has finished. */
+	uninstall(): void;
+};
+
+export type ClockFn = {
+	/**
+	 * Replace `setTimeout()`, `setInterval()`, `setImmediate()`, `Date` and `performance.now()` with fakes that are
+	 * controlled by the returned clock. The real implementations are restored when the test has finished.
+	 */
+	install(options?: ClockInstallOptions): FakeClock;
+};
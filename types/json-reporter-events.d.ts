@@ -0,0 +1,26 @@
+import type {StateChangeEvent} from './state-change-events.js';
+
+/**
+ * How values of state change events are represented in the JSON reporter output. File paths are made relative to the
+ * project directory, maps become objects, sets become arrays and output chunks become strings. Serialized errors do not
+ * include the original error.
+ */
+type Jsonify<T> =
+	T extends Uint8Array ? string
+		: T extends Map<string, infer Value> ? Record<string, Jsonify<Value>>
+			: T extends Set<infer Value> ? Array<Jsonify<Value>>
+				: T extends Array<infer Value> ? Array<Jsonify<Value>>
+					: T extends {originalError: unknown} ? Jsonify<Omit<T, 'originalError'>>
+						: T extends Record<string, unknown> ? {[Key in keyof T]: Jsonify<T[Key]>}
+							: T;
+
+/** The first event of each run. */
+export type JsonRunEvent = {
+	type: 'run';
+	/** Incremented when incompatible changes are made to the events. */
+	version: 1;
+	files: string[];
+	randomSeed?: number;
+};
+
+export type JsonReporterEvent = JsonRunEvent | Jsonify<StateChangeEvent>;
@@ -0,0 +1,81 @@
+type AnyFunction = (...args: any[]) => any;
+
+/** Keys of `Target` whose values are functions. */
+export type MethodKeys<Target> = {
+	[Key in keyof Target]-?: Target[Key] extends AnyFunction ? Key : never;
+}[keyof Target];
+
+/** A recorded call of a mock function. */
+export type MockCall<Fn extends AnyFunction> = {
+	/** The arguments the mock function was called with. */
+	readonly arguments: Parameters<Fn>;
+
+	/** The error thrown by the implementation, if any. */
+	readonly error: unknown;
+
+	/** The value returned by the implementation, or `undefined` if it threw. */
+	readonly result: ReturnType<Fn> | undefined;
+
+	/** The `this` value the mock function was called with. */
+	readonly this: unknown;
+};
+
+export type MockFunctionContext<Fn extends AnyFunction> = {
+	/** The calls of the mock function, in order. */
+	readonly calls: ReadonlyArray<MockCall<Fn>>;
+
+	/** Get the number of times the mock function was called. */
+	callCount(): number;
+
+	/** Change the implementation that is called by the mock function. */
+	mockImplementation(implementation: Fn): void;
+
+	/** Forget the recorded calls. */
+	resetCalls(): void;
+
+	/** Restore the original implementation. Mocked methods are restored on the object. */
+	restore(): void;
+};
+
+/** A function that records its calls. */
+export type MockFunction<Fn extends AnyFunction = AnyFunction> = Fn & {
+	readonly mock: MockFunctionContext<Fn>;
+};
+
+/** Create a mock function that records its calls and calls `implementation`, if provided. */
+export type MockFn = <Fn extends AnyFunction = (...args: any[]) => undefined>(implementation?: Fn) => MockFunction<Fn>;
+
+/**
+ * Replace `object[methodName]` with a mock function that records its calls and calls `implementation`, or the original
+ * method if not provided. The original method is restored when the test has finished.
+ */
+export type MockMethodFn = <Target extends Record<PropertyKey, any>, Name extends MethodKeys<Target>>(
+	object: Target,
+	methodName: Name,
+	implementation?: Extract<Target[Name], AnyFunction>,
+) => MockFunction<Extract<Target[Name], AnyFunction>>;
+
+export type MockModuleOptions = {
+	/** The default export of the mocked module. If not provided, the mocked module does not have a default export. */
+	defaultExport?: unknown;
+
+	/** The named exports of the mocked module. */
+	namedExports?: Record<string, unknown>;
+};
+
+export type ModuleMock = {
+	/** Remove the mock, so subsequent imports receive the actual module. */
+	restore(): void;
+};
+
+/**
+ * Mock the module that `specifier` resolves to, relative to the test file. Subsequent imports receive the mock, until
+ * the test has finished.
+ */
+export type MockModuleFn = (specifier: string, options?: MockModuleOptions) => ModuleMock;
+
+export type Mock = {
+	readonly fn: MockFn;
+	readonly method: MockMethodFn;
+	readonly module: MockModuleFn;
+};
@@ -43,6 +43,7 @@ export type StateChangeEvent = {
 			declaredTests: number;
 			failedHooks: number;
 			failedTests: number;
+			flakyTests: number;
 			internalErrors: number;
 			remainingTests: number;
 			passedKnownFailingTests: number;
@@ -59,6 +60,7 @@ export type StateChangeEvent = {
 		failedTests: number;
 		failedWorkers: number;
 		files: number;
+		flakyTests: number;
 		parallelRuns: {
 			currentIndex: number;
 			totalRuns: number;
@@ -81,6 +83,11 @@ export type StateChangeEvent = {
 	type: 'declared-test';
 	title: string;
 	knownFailing: boolean;
+	/** The line on which the test is declared. Only available when listing tests. */
+	line?: number;
+	only: boolean;
+	serial: boolean;
+	skip: boolean;
 	todo: boolean;
 	testFile: string;
 } | {
@@ -101,6 +108,18 @@ export type StateChangeEvent = {
 	duration: number;
 	knownFailing: boolean;
 	logs: string[];
+	/** Number of times the test was retried before it passed. */
+	retries: number;
+	testFile: string;
+} | {
+	type: 'test-retried';
+	title: string;
+	err: SerializedError;
+	duration: number;
+	/** The number of the retry that is about to start. */
+	attempt: number;
+	retries: number;
+	logs: string[];
 	testFile: string;
 } | {
 	type: 'test-failed';
@@ -109,6 +128,8 @@ export type StateChangeEvent = {
 	duration: number;
 	knownFailing: boolean;
 	logs: string[];
+	/** Whether the test failed because it exceeded its timeout. */
+	timedOut: boolean;
 	testFile: string;
 } | {
 	type: 'worker-finished';
@@ -119,6 +140,37 @@ export type StateChangeEvent = {
 	nonZeroExitCode?: boolean;
 	signal?: string;
 	err?: SerializedError;
+} | {
+	/** Snapshots in the snapshot file that do not belong to any of the tests declared in the test file. */
+	type: 'obsolete-snapshots';
+	snapPath: string;
+	titles: string[];
+	/** Whether the snapshots were removed from the snapshot file. */
+	pruned: boolean;
+	testFile: string;
+} | {
+	/** Snapshot files that were not used by any test file. */
+	type: 'obsolete-snapshot-files';
+	files: string[];
+	/** Whether the files were removed. */
+	pruned: boolean;
+} | {
+	/** A snapshot that did not match. Only reported in watch mode, so the new value can be reviewed. */
+	type: 'snapshot-mismatch';
+	title: string;
+	index: number;
+	label: string | undefined;
+	/** The new value, serialized. */
+	data: Uint8Array;
+	paths: {
+		dir: string;
+		relFile: string;
+		reportFile: string;
+		reportPath: string;
+		snapFile: string;
+		snapPath: string;
+	};
+	testFile: string;
 } | {
 	type: 'touched-files';
 	files: {
@@ -1,4 +1,6 @@
 import type {Assertions} from './assertions.js';
+import type {ClockFn} from './clock.js';
+import type {Mock} from './mock.js';
 import type {Subscribable} from './subscribable.js';
 import type {TryFn} from './try-fn.js';
 
@@ -13,7 +15,11 @@ export type ExecutionContext<Context = unknown> = {
 	/** Whether the test has passed. Only accurate in afterEach hooks. */
 	readonly passed: boolean;
 
+	/** Control timers and dates. */
+	readonly clock: ClockFn;
 	readonly log: LogFn;
+	/** Create mock functions and mock methods of objects. */
+	readonly mock: Mock;
 	readonly plan: PlanFn;
 	/** Declare a function to be run after the test has ended. */
 	readonly teardown: TeardownFn;
@@ -87,16 +93,20 @@ export type TestFn<Context = unknown> = {
 	afterEach: AfterFn<Context>;
 	before: BeforeFn<Context>;
 	beforeEach: BeforeFn<Context>;
+	each: EachFn<Context>;
 	failing: FailingFn<Context>;
+	group: GroupFn<Context>;
 	macro: MacroFn<Context>;
 	meta: Meta;
 	only: OnlyFn<Context>;
+	retry: RetryFn<Context>;
 	/** Declare a test that only runs when `condition` is true; otherwise the test is skipped. */
 	runIf: RunIfFn<TestFn<Context>>;
 	serial: SerialFn<Context>;
 	skip: SkipFn<Context>;
 	/** Declare a test that is skipped when `condition` is true. */
 	skipIf: SkipIfFn<TestFn<Context>>;
+	timeout: TimeoutChainFn<Context>;
 	/** Declare a test that should be implemented later. */
 	todo: TodoFn;
 };
@@ -150,6 +160,23 @@ export type BeforeFn<Context = unknown> = {
 	skip: HookSkipFn<Context>;
 };
 
+/** The arguments passed to the implementation for a row of `test.each()`. Array rows are spread. */
+export type EachRowArgs<Row> = Row extends readonly unknown[] ? [...Row] : [Row];
+
+export type EachDeclarationFn<Row, Context = unknown> = {
+	/**
+	 * Declare a test for each row. The title may contain `%s` placeholders, which are replaced by the row's values in order,
+	 * `$name` placeholders, which are replaced by properties of object rows, and `%#`, which is replaced by the row index.
+	 */
+	(title: string, implementation: Implementation<EachRowArgs<Row>, Context>): void;
+
+	/** Declare a test for each row, using a macro. The macro is responsible for generating a unique test title. */
+	(macro: Macro<EachRowArgs<Row>, Context>): void;
+};
+
+/** Declare a test for each of the `rows`. Array rows are spread as arguments to the implementation. */
+export type EachFn<Context = unknown> = <const Row>(rows: readonly Row[]) => EachDeclarationFn<Row, Context>;
+
 export type FailingFn<Context = unknown> = {
 	/**
 	 * Declare a concurrent test that is expected to fail.
@@ -163,6 +190,7 @@ export type FailingFn<Context = unknown> = {
 	 */
 	<Args extends unknown[]>(macro: Macro<Args, Context>, ...args: Args): void;
 
+	each: EachFn<Context>;
 	only: OnlyFn<Context>;
 	/** Declare a test that only runs when `condition` is true; otherwise the test is skipped. */
 	runIf: RunIfFn<FailingFn<Context>>;
@@ -171,6 +199,23 @@ export type FailingFn<Context = unknown> = {
 	skipIf: SkipIfFn<FailingFn<Context>>;
 };
 
+/** Called synchronously to declare the tests and hooks within a group. */
+export type GroupImplementation<Context = unknown> = (test: TestFn<Context>) => void;
+
+export type GroupFn<Context = unknown> = {
+	/**
+	 * Declare a group of tests. Hooks declared within the group only apply to its tests.
+	 * The group title is prefixed to the titles of its tests.
+	 */
+	(title: string, implementation: GroupImplementation<Context>): void;
+
+	/** Declare a group of tests. Only the tests in this group and others declared with `.only()` are run. */
+	only(title: string, implementation: GroupImplementation<Context>): void;
+
+	/** Skip the tests in this group. */
+	skip(title: string, implementation: GroupImplementation<Context>): void;
+};
+
 export type HookSkipFn<Context = unknown> = {
 	/** Skip this hook. */
 	<Args extends unknown[]>(title: string, implementation: Implementation<Args, Context>, ...args: Args): void;
@@ -191,8 +236,22 @@ export type OnlyFn<Context = unknown> = {
 	 * Additional arguments are passed to the macro. The macro is responsible for generating a unique test title.
 	 */
 	<Args extends unknown[]>(macro: Macro<Args, Context>, ...args: Args): void;
+
+	each: EachFn<Context>;
 };
 
+/**
+ * Declare tests that are retried up to `retries` times if they fail. This overrides the `retries` configuration.
+ * Tests that pass after being retried are reported as flaky.
+ */
+export type RetryFn<Context = unknown> = (retries: number) => TestFn<Context>;
+
+/**
+ * Declare tests and hooks that fail if they do not complete within `ms` milliseconds, as if `t.timeout(ms)` is called
+ * before their implementation runs.
+ */
+export type TimeoutChainFn<Context = unknown> = (ms: number) => TestFn<Context>;
+
 /** Declare a test that only runs when `condition` is true; otherwise the test is skipped. */
 export type RunIfFn<Chain> = (condition: boolean) => Chain;
 
@@ -209,7 +268,9 @@ export type SerialFn<Context = unknown> = {
 	afterEach: AfterFn<Context>;
 	before: BeforeFn<Context>;
 	beforeEach: BeforeFn<Context>;
+	each: EachFn<Context>;
 	failing: FailingFn<Context>;
+	group: GroupFn<Context>;
 	only: OnlyFn<Context>;
 	/** Declare a test that only runs when `condition` is true; otherwise the test is skipped. */
 	runIf: RunIfFn<SerialFn<Context>>;
@@ -226,6 +287,8 @@ export type SkipFn<Context = unknown> = {
 
 	/** Skip this test. */
 	<Args extends unknown[]>(macro: Macro<Args, Context>, ...args: Args): void;
+
+	each: EachFn<Context>;
 };
 
 /** Declare a test that is skipped when `condition` is true. */
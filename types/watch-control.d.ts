@@ -0,0 +1,37 @@
+import type {JsonReporterEvent} from './json-reporter-events.js';
+
+/** Commands accepted on standard input when running `ava --watch --control=json`, one JSON object per line. */
+export type WatchControlCommand =
+	| {type: 'quit'}
+	| {type: 'rerun'}
+	| {type: 'rerun-all'}
+	| {type: 'rerun-failures'}
+	| {type: 'update-snapshots'}
+	/** Set the glob pattern for test files. Omit the pattern to clear it. */
+	| {type: 'set-glob'; pattern?: string}
+	/** Set the pattern for test titles. Omit the pattern to clear it. */
+	| {type: 'set-match'; pattern?: string}
+	/** Focus on the tests at the given lines of a test file, such as `test.js:12`. Omit the pattern to clear the focus. */
+	| {type: 'select-lines'; pattern?: string};
+
+/** Written when the watcher is waiting for changes or commands. */
+export type WatchIdleEvent = {
+	type: 'watch-idle';
+	/** Number of known failures, including those in test files that were not rerun. */
+	failureCount: number;
+	/** The interactive filters that are currently applied. */
+	filters: {
+		glob?: string;
+		lines?: string;
+		match?: string;
+	};
+	snapshotMismatchCount: number;
+};
+
+export type WatchMessageEvent = {
+	type: 'watch-error' | 'watch-notice';
+	message: string;
+};
+
+/** Events written to standard output when running `ava --watch --control=json`, one JSON object per line. */
+export type WatchControlEvent = JsonReporterEvent | WatchIdleEvent | WatchMessageEvent;
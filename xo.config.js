@@ -95,6 +95,13 @@ const xoConfig = [
 			'unicorn/prefer-module': 'off',
 		},
 	},
+	{
+		// Tests that module mocks do not affect CommonJS.
+		files: 'test/module-mocks/fixtures/commonjs/**',
+		rules: {
+			'unicorn/prefer-module': 'off',
+		},
+	},
 	{
 		// TODO: Update tests.
 		files: 'test-tap/**',